@@ -1,4 +1,11 @@
+const mongoose = require('mongoose');
 const Article = require('./articleModel');
+const { NEWS_CATEGORIES } = require('./articleModel');
+const { Post, REACTION_TYPES, SPACE_CONFIG, ARTICLE_DISCUSSION_SPACES } = require('./models/postModel');
+const { ArticleComment } = require('./models/articleCommentModel');
+const feedCacheService = require('./services/feedCacheService');
+const { classifyArticle } = require('./utils/categoryClassifier');
+const storyClusteringService = require('./services/storyClusteringService');
 const { batchGenerateContent, generateArticleContent } = require('./utils/aiUtils');
 
 const VALID_STATES = [
@@ -12,17 +19,38 @@ const VALID_STATES = [
   'Tripura'
 ];
 
-// Get all articles with optional pagination and search
+// Validate the optional ?category= filter (returns an error message or null)
+const invalidCategory = (category) => (
+  category !== undefined && !NEWS_CATEGORIES.includes(category)
+    ? `Invalid category. Use one of: ${NEWS_CATEGORIES.join(', ')}`
+    : null
+);
+
+// Resolve an optional ?state= filter to its VALID_STATES name, ignoring case
+// (returns undefined when absent or empty, null when invalid)
+const resolveStateFilter = (state) => {
+  if (state === undefined || state === '') return undefined;
+  if (typeof state !== 'string') return null;
+  return VALID_STATES.find(name => name.toLowerCase() === state.toLowerCase()) || null;
+};
+
+// Get all articles with optional pagination, search and category filter
 const getAllArticles = async (req, res) => {
   // Reduced logging for performance
   if (process.env.NODE_ENV === 'development') {
     console.log("🔥 Incoming GET /api/news request");
   }
   try {
-    const { page = 1, limit = 10, search = '' } = req.query;
-    const query = search
-      ? { title: { $regex: search, $options: 'i' } }
-      : {};
+    const { page = 1, limit = 10, search = '', category } = req.query;
+    const categoryError = invalidCategory(category);
+    if (categoryError) {
+      return res.status(400).json({ error: categoryError });
+    }
+
+    const query = {
+      ...(search && { title: { $regex: search, $options: 'i' } }),
+      ...(category && { categories: category })
+    };
 
     const articles = await Article.find(query)
       .sort({ createdAt: -1 })
@@ -37,29 +65,410 @@ const getAllArticles = async (req, res) => {
   }
 };
 
-// Get a single article by ID
+// Shape a post discussing an article for the article page
+const formatDiscussion = (post) => ({
+  id: post._id,
+  space: post.space,
+  state: post.state,
+  title: post.title,
+  commentCount: post.commentCount || 0,
+  url: `/${post.space}/${post._id}`,
+  createdAt: post.createdAt,
+  lastActivity: post.lastActivity
+});
+
+// Get a single article by ID, with its linked discussion threads
 const getArticleById = async (req, res) => {
   const { id } = req.params;
   try {
-    const article = await Article.findById(id);
+    if (!mongoose.isValidObjectId(id)) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const [article, discussions] = await Promise.all([
+      Article.findById(id).select('+body'),
+      Post.find({ 'article.articleId': id, isActive: true })
+        .select('space state title commentCount createdAt lastActivity')
+        .lean()
+    ]);
     if (!article) {
       return res.status(404).json({ error: 'Article not found' });
     }
-    res.status(200).json(article);
+
+    Article.recordView(article._id).catch(err => {
+      console.error(`❌ Failed to record view for article ${article._id}:`, err.message);
+    });
+
+    res.status(200).json({
+      ...article.toObject(),
+      discussions: discussions.map(formatDiscussion),
+      discussionCommentCount: discussions.reduce((total, post) => total + (post.commentCount || 0), 0)
+    });
   } catch (err) {
     res.status(500).json({ error: 'Error retrieving article', details: err.message });
   }
 };
 
+// Discuss an article: reuse its live thread in the space or start one. Local
+// threads go in the article's state, so only users from that state can start one
+const discussArticle = async (req, res) => {
+  const { id } = req.params;
+  const { space, body } = req.body;
+
+  if (!ARTICLE_DISCUSSION_SPACES.includes(space)) {
+    return res.status(400).json({ error: `Articles can be discussed in: ${ARTICLE_DISCUSSION_SPACES.join(', ')}` });
+  }
+  if (body !== undefined && (typeof body !== 'string' || !body.trim() || body.length > SPACE_CONFIG[space].maxBodyLength)) {
+    return res.status(400).json({ error: `Body must be 1-${SPACE_CONFIG[space].maxBodyLength} characters` });
+  }
+
+  try {
+    const article = mongoose.isValidObjectId(id) ? await Article.findById(id) : null;
+    if (!article) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    if (space === 'local' && article.state && article.state.toLowerCase() !== (req.user.state || '').toLowerCase()) {
+      const existing = await Post.exists({ 'article.articleId': article._id, space, isActive: true });
+      if (!existing) {
+        return res.status(403).json({ error: `Only users from ${article.state} can start a local discussion of this article` });
+      }
+    }
+
+    const result = await Post.discussArticle(article, {
+      space,
+      userId: req.user._id,
+      userState: req.user.state,
+      body: body && body.trim()
+    });
+    if (!result) {
+      return res.status(400).json({ error: 'This article has no state to hold a local discussion in' });
+    }
+
+    const { post, created } = result;
+    if (created) {
+      console.log(`📰 ${space.toUpperCase()} discussion ${post._id} started for article ${article._id} by ${req.user.username}`);
+      await feedCacheService.invalidateSpace(space);
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Discussion started' : 'Discussion already exists',
+      created,
+      discussion: formatDiscussion(post)
+    });
+  } catch (err) {
+    console.error('❌ Article discussion failed:', err);
+    res.status(500).json({ error: 'Failed to start discussion', details: err.message });
+  }
+};
+
+// React to an article (same type again removes the reaction)
+const reactToArticle = async (req, res) => {
+  const { id } = req.params;
+  const { type } = req.body;
+
+  if (!REACTION_TYPES.includes(type)) {
+    return res.status(400).json({ error: `Reaction must be one of: ${REACTION_TYPES.join(', ')}` });
+  }
+
+  try {
+    const result = mongoose.isValidObjectId(id)
+      ? await Article.toggleReaction(id, req.user._id, type)
+      : null;
+    if (!result) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    res.status(200).json({
+      action: result.action,
+      userReaction: result.action === 'removed' ? null : type,
+      reactions: REACTION_TYPES.reduce((counts, reactionType) => {
+        counts[reactionType] = result.reactionCounts[reactionType] || 0;
+        return counts;
+      }, {})
+    });
+  } catch (err) {
+    if (err.code === 'REACTION_CONFLICT') {
+      return res.status(err.status).json({ error: err.message });
+    }
+    res.status(500).json({ error: 'Failed to react to article', details: err.message });
+  }
+};
+
+const formatArticleComment = (comment, author = comment.userId) => ({
+  id: comment._id,
+  body: comment.body,
+  author: {
+    id: author?._id || author,
+    username: author?.username || null,
+    state: author?.state || null
+  },
+  createdAt: comment.createdAt
+});
+
+// Get an article's comments, newest first (cursor = last comment id seen)
+const getArticleComments = async (req, res) => {
+  const { id } = req.params;
+  const { cursor } = req.query;
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+
+  if (!mongoose.isValidObjectId(id) || (cursor && !mongoose.isValidObjectId(cursor))) {
+    return res.status(400).json({ error: 'Invalid article or cursor id' });
+  }
+
+  try {
+    const query = { articleId: id, isRemoved: false };
+    if (cursor) query._id = { $lt: cursor };
+
+    const comments = await ArticleComment.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .populate('userId', 'username state')
+      .lean();
+    const hasMore = comments.length > limit;
+    if (hasMore) comments.pop();
+
+    res.status(200).json({
+      comments: comments.map(comment => formatArticleComment(comment)),
+      hasMore,
+      nextCursor: hasMore ? comments[comments.length - 1]._id : null
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch comments', details: err.message });
+  }
+};
+
+// Comment on an article
+const addArticleComment = async (req, res) => {
+  const { id } = req.params;
+  const body = typeof req.body.body === 'string' ? req.body.body.trim() : '';
+
+  if (!body || body.length > 2000) {
+    return res.status(400).json({ error: 'Comment must be 1-2000 characters' });
+  }
+
+  try {
+    const exists = mongoose.isValidObjectId(id) && await Article.exists({ _id: id });
+    if (!exists) {
+      return res.status(404).json({ error: 'Article not found' });
+    }
+
+    const comment = await ArticleComment.addToArticle(id, req.user._id, body);
+    console.log(`💬 Comment ${comment._id} on article ${id} by ${req.user.username}`);
+
+    res.status(201).json({
+      message: 'Comment added',
+      comment: formatArticleComment(comment, req.user)
+    });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to add comment', details: err.message });
+  }
+};
+
+// Delete own comment on an article (soft delete)
+const deleteArticleComment = async (req, res) => {
+  const { id, commentId } = req.params;
+
+  try {
+    const comment = mongoose.isValidObjectId(id) && mongoose.isValidObjectId(commentId)
+      ? await ArticleComment.findOne({ _id: commentId, articleId: id, isRemoved: false })
+      : null;
+    if (!comment) {
+      return res.status(404).json({ error: 'Comment not found' });
+    }
+    if (comment.userId.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Only the author can delete this comment' });
+    }
+
+    await comment.softRemove();
+    res.status(200).json({ message: 'Comment deleted' });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to delete comment', details: err.message });
+  }
+};
+
+// Personalized feed ranking. Followed-state stories are weighted by how sure the
+// geographic analysis was that they belong to that state; stories assigned to
+// another state that mention a followed one ("cross-state") get the remaining doubt
+const FEED_CONFIG = {
+  windowDays: 14, // Only rank recent articles
+  defaultConfidence: 0.5, // Articles scraped before confidence was recorded
+  minStateWeight: 0.3,
+  crossStateWeight: 0.5, // Scaled by (1 - confidence)
+  topicBoost: 1.5,
+  halfLifeHours: 24 // Recency: score halves after this many hours
+};
+
+function encodeFeedCursor(score, id, at) {
+  return Buffer.from(JSON.stringify({ s: score, id: id.toString(), at })).toString('base64url');
+}
+
+function decodeFeedCursor(cursor) {
+  try {
+    const { s, id, at } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof s !== 'number' || typeof at !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { score: s, id: new mongoose.Types.ObjectId(id), at };
+  } catch (error) {
+    return null;
+  }
+}
+
+// Get the user's personalized news feed (followed states, muted sources, preferred
+// topics). The cursor pins the ranking time so later pages stay consistent
+const getPersonalizedFeed = async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const decoded = req.query.cursor ? decodeFeedCursor(req.query.cursor) : null;
+  if (req.query.cursor && !decoded) {
+    return res.status(400).json({ error: 'Invalid feed cursor' });
+  }
+
+  try {
+    const preferences = req.user.newsPreferences || {};
+    const followedStates = preferences.followedStates?.length ? preferences.followedStates : [req.user.state];
+    const followedLower = followedStates.map(state => state.toLowerCase());
+    const mutedSources = preferences.mutedSources || [];
+    const preferredTopics = preferences.preferredTopics || [];
+
+    const rankedAt = decoded ? decoded.at : Date.now();
+    const now = new Date(rankedAt);
+    const since = new Date(rankedAt - FEED_CONFIG.windowDays * 86400000);
+    const publishedAt = { $ifNull: ['$scrapedAt', '$createdAt'] };
+    const confidence = { $ifNull: ['$stateConfidence', FEED_CONFIG.defaultConfidence] };
+
+    const pipeline = [
+      {
+        $match: {
+          $and: [
+            {
+              $or: [
+                { state: { $in: followedStates.map(state => new RegExp(`^${state}$`, 'i')) } },
+                { relatedStates: { $in: followedStates } }
+              ]
+            },
+            {
+              $or: [
+                { scrapedAt: { $gte: since, $lte: now } },
+                { scrapedAt: { $exists: false }, createdAt: { $gte: since, $lte: now } }
+              ]
+            }
+          ],
+          ...(mutedSources.length > 0 && {
+            $expr: { $not: { $in: [{ $toLower: { $ifNull: ['$source', ''] } }, mutedSources] } }
+          })
+        }
+      },
+      {
+        $addFields: {
+          feedScore: {
+            $multiply: [
+              // State weight: own/followed state by confidence, cross-state by the doubt
+              {
+                $cond: [
+                  { $in: [{ $toLower: { $ifNull: ['$state', ''] } }, followedLower] },
+                  { $max: [FEED_CONFIG.minStateWeight, confidence] },
+                  { $multiply: [FEED_CONFIG.crossStateWeight, { $subtract: [1, confidence] }] }
+                ]
+              },
+              // Preferred topics
+              {
+                $cond: [
+                  { $gt: [{ $size: { $setIntersection: [{ $ifNull: ['$categories', []] }, preferredTopics] } }, 0] },
+                  FEED_CONFIG.topicBoost,
+                  1
+                ]
+              },
+              // Recency (halves every halfLifeHours)
+              {
+                $pow: [
+                  0.5,
+                  { $divide: [{ $subtract: [now, publishedAt] }, FEED_CONFIG.halfLifeHours * 3600000] }
+                ]
+              }
+            ]
+          }
+        }
+      }
+    ];
+
+    if (decoded) {
+      pipeline.push({
+        $match: {
+          $or: [
+            { feedScore: { $lt: decoded.score } },
+            { feedScore: decoded.score, _id: { $lt: decoded.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push(
+      { $sort: { feedScore: -1, _id: -1 } },
+      { $limit: limit + 1 },
+      { $project: { reactions: 0, body: 0 } } // Aggregations ignore select: false on body
+    );
+
+    const articles = await Article.aggregate(pipeline);
+    const hasMore = articles.length > limit;
+    if (hasMore) articles.pop();
+
+    const last = articles[articles.length - 1];
+    res.status(200).json({
+      articles,
+      preferences: { followedStates, mutedSources, preferredTopics },
+      hasMore,
+      nextCursor: hasMore ? encodeFeedCursor(last.feedScore, last._id, rankedAt) : null
+    });
+  } catch (err) {
+    console.error('❌ Personalized news feed failed:', err);
+    res.status(500).json({ error: 'Failed to fetch news feed', details: err.message });
+  }
+};
+
+// Get stories: the same event across sources and states, each with a lead
+// article and its alternate sources (?state=, ?category=, ?minSources=)
+const getStories = async (req, res) => {
+  const { category } = req.query;
+  const state = resolveStateFilter(req.query.state);
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 50);
+  const minSources = Math.max(parseInt(req.query.minSources) || 1, 1);
+
+  const categoryError = invalidCategory(category);
+  if (categoryError) {
+    return res.status(400).json({ error: categoryError });
+  }
+  if (state === null) {
+    return res.status(400).json({ error: `Invalid state. Use one of: ${VALID_STATES.join(', ')}` });
+  }
+
+  try {
+    const { stories, hasMore } = await storyClusteringService.getStories({ page, limit, state, category, minSources });
+
+    res.status(200).json({
+      stories,
+      pagination: { page, limit, hasMore }
+    });
+  } catch (err) {
+    console.error('❌ Failed to fetch stories:', err);
+    res.status(500).json({ error: 'Failed to fetch stories', details: err.message });
+  }
+};
+
 // Get articles by state
 const getArticlesByState = async (req, res) => {
   const { state } = req.params;
-  const { page = 1, limit = 10, search = '' } = req.query;
+  const { page = 1, limit = 10, search = '', category } = req.query;
+
+  const categoryError = invalidCategory(category);
+  if (categoryError) {
+    return res.status(400).json({ error: categoryError });
+  }
 
   try {
     const query = {
       state: { $regex: new RegExp(`^${state}$`, 'i') },
-      ...(search && { title: { $regex: new RegExp(search, 'i') } })
+      ...(search && { title: { $regex: new RegExp(search, 'i') } }),
+      ...(category && { categories: category })
     };
     // Only log in development
     if (process.env.NODE_ENV === 'development') {
@@ -93,7 +502,8 @@ const createArticle = async (req, res) => {
   }
 
   try {
-    const newArticle = new Article({ title, summary, image, link, state });
+    const { categories } = await classifyArticle({ title, summary }, { useAI: false });
+    const newArticle = new Article({ title, summary, image, link, state, categories });
     await newArticle.save();
     
     // Automatically enhance with AI in the background (non-blocking)
@@ -247,7 +657,14 @@ const enhanceArticlesWithAI = async (req, res) => {
 module.exports = {
   getAllArticles,
   getArticleById,
+  discussArticle,
+  reactToArticle,
+  getArticleComments,
+  addArticleComment,
+  deleteArticleComment,
   getArticlesByState,
+  getPersonalizedFeed,
+  getStories,
   createArticle,
   updateArticle,
   deleteArticle,
@@ -1,4 +1,11 @@
 const mongoose = require('mongoose');
+const { REACTION_TYPES } = require('./models/postModel');
+
+// Topics readers can follow and filter news by
+const NEWS_CATEGORIES = [
+  'politics', 'sports', 'weather', 'culture', 'business',
+  'education', 'health', 'crime', 'environment', 'technology',
+];
 
 const articleSchema = new mongoose.Schema({
   title: {
@@ -21,6 +28,29 @@ const articleSchema = new mongoose.Schema({
     type: String,
     required: false,
   },
+  // Geographic relevance (utils/geographicRelevance.js) at scrape time: how sure
+  // we are the story belongs to `state`, and other Northeast states it mentions
+  stateConfidence: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: null,
+  },
+  relatedStates: {
+    type: [String],
+    default: [],
+  },
+  categories: {
+    type: [String],
+    enum: NEWS_CATEGORIES,
+    default: [],
+  },
+  // Story this article belongs to: articles about the same event across
+  // sources and states share it (services/storyClusteringService.js)
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null,
+  },
   // AI Enhancement fields
   aiPunchline: {
     type: String,
@@ -50,6 +80,27 @@ const articleSchema = new mongoose.Schema({
     type: Date,
     required: false,
   },
+  // Publication date reported by the source (feed, sitemap or article page)
+  publishedAt: {
+    type: Date,
+    default: null,
+  },
+  // Full text extracted from the article page (utils/articleExtractor.js).
+  // Only returned for single-article reads
+  body: {
+    type: String,
+    default: null,
+    select: false,
+  },
+  author: {
+    type: String,
+    default: null,
+  },
+  wordCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -58,8 +109,125 @@ const articleSchema = new mongoose.Schema({
     type: String,
     index: true,
   },
+  // Number of users who saved this article (saved articles survive cleanup)
+  saveCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  // Engagement: one reaction per user (same types as posts), with per-type counters
+  reactions: {
+    type: [{
+      _id: false,
+      userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+      },
+      type: {
+        type: String,
+        enum: REACTION_TYPES,
+        required: true,
+      },
+      createdAt: {
+        type: Date,
+        default: Date.now,
+      },
+    }],
+    select: false,
+  },
+  reactionCounts: REACTION_TYPES.reduce((counts, type) => {
+    counts[type] = { type: Number, default: 0, min: 0 };
+    return counts;
+  }, {}),
+  // Active comments (stored in the ArticleComment collection)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  views: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
 });
 
+// Static method to add, switch or remove (same type again) a user's reaction.
+// Each step is a guarded update, retried if the user's reaction changed in between
+articleSchema.statics.toggleReaction = async function(articleId, reactingUserId, reactionType, maxAttempts = 3) {
+  // Projections are not cast by Mongoose, so cast the id up front
+  const userId = new mongoose.Types.ObjectId(reactingUserId.toString());
+
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const current = await this.findOne(
+      { _id: articleId },
+      { reactions: { $elemMatch: { userId } } }
+    ).lean();
+
+    if (!current) {
+      return null;
+    }
+
+    const previousType = current.reactions?.[0]?.type || null;
+    let filter, update, action;
+
+    if (!previousType) {
+      action = 'added';
+      filter = { _id: articleId, 'reactions.userId': { $ne: userId } };
+      update = {
+        $push: { reactions: { userId, type: reactionType, createdAt: new Date() } },
+        $inc: { [`reactionCounts.${reactionType}`]: 1 },
+      };
+    } else if (previousType === reactionType) {
+      action = 'removed';
+      filter = { _id: articleId, reactions: { $elemMatch: { userId, type: previousType } } };
+      update = {
+        $pull: { reactions: { userId } },
+        $inc: { [`reactionCounts.${reactionType}`]: -1 },
+      };
+    } else {
+      action = 'changed';
+      filter = { _id: articleId, reactions: { $elemMatch: { userId, type: previousType } } };
+      update = {
+        $set: { 'reactions.$.type': reactionType, 'reactions.$.createdAt': new Date() },
+        $inc: { [`reactionCounts.${previousType}`]: -1, [`reactionCounts.${reactionType}`]: 1 },
+      };
+    }
+
+    const result = await this.updateOne(filter, update);
+
+    if (result.modifiedCount === 1) {
+      const updated = await this.findById(articleId).select('reactionCounts').lean();
+      return { action, previousType, reactionCounts: updated?.reactionCounts || {} };
+    }
+  }
+
+  const error = new Error('Reaction changed concurrently, please retry');
+  error.status = 409;
+  error.code = 'REACTION_CONFLICT';
+  throw error;
+};
+
+// Static method to adjust the denormalized comment counter (never below zero)
+articleSchema.statics.adjustCommentCount = function(articleId, delta) {
+  return this.updateOne({ _id: articleId }, [
+    { $set: { commentCount: { $max: [0, { $add: [{ $ifNull: ['$commentCount', 0] }, delta] }] } } },
+  ]);
+};
+
+// Static method to count a view (fire-and-forget from the article page)
+articleSchema.statics.recordView = function(articleId) {
+  return this.updateOne({ _id: articleId }, { $inc: { views: 1 } });
+};
+
+// Personalized feed candidates (state or mentioned state, recent first)
+articleSchema.index({ state: 1, scrapedAt: -1 });
+articleSchema.index({ relatedStates: 1, scrapedAt: -1 });
+articleSchema.index({ categories: 1, createdAt: -1 }); // ?category= filters
+articleSchema.index({ storyId: 1, scrapedAt: 1 }); // Story grouping
+
 const Article = mongoose.model('Article', articleSchema);
 
-module.exports = Article;
\ No newline at end of file
+module.exports = Article;
+module.exports.NEWS_CATEGORIES = NEWS_CATEGORIES;
\ No newline at end of file
@@ -4,6 +4,8 @@ const Comment = require('./commentModel');
 const TeaIslandPost = require('./teaIslandPostModel');
 const Notification = require('./notificationModel');
 const auth = require('./middleware/auth');
+const notificationTriggerService = require('./services/notificationTriggerService');
+const { resolveMentions, getTeaIslandAudience } = require('./utils/mentions');
 
 // Helper function to check state access for commenting
 const checkStateAccess = async (postId, userState) => {
@@ -93,6 +95,25 @@ router.post('/', auth, async (req, res) => {
       // Don't fail the comment creation if notification fails
     }
 
+    // Notify @mentioned users who can see the post (the post author was notified above)
+    const authorId = user._id || user.userId;
+    const { mentions, recipients } = await resolveMentions(comment.content, {
+      audience: getTeaIslandAudience(post),
+      authorId
+    });
+    notificationTriggerService.triggerMentionNotifications({
+      recipients,
+      senderId: authorId,
+      sender: user.username,
+      senderState: user.state,
+      contentType: `${post.tab} comment`,
+      preview: comment.content,
+      actionUrl: `/posts/${post.tab}/${post._id}`,
+      relatedPost: post._id,
+      relatedComment: comment._id,
+      excludeUserIds: [post.author]
+    });
+
     // Return the created comment
     res.status(201).json({
       success: true,
@@ -104,7 +125,8 @@ router.post('/', auth, async (req, res) => {
         createdAt: comment.createdAt,
         timeAgo: comment.timeAgo,
         votes: comment.votes,
-        edited: comment.edited
+        edited: comment.edited,
+        mentions
       }
     });
 
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const User = require('./userModel');
+
+// One document per follow edge, so the social graph never grows a user document
+const followSchema = new mongoose.Schema({
+  // User doing the following
+  follower: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // User being followed
+  following: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One edge per pair; list indexes page newest-first by _id
+followSchema.index({ follower: 1, following: 1 }, { unique: true });
+followSchema.index({ follower: 1, _id: -1 });
+followSchema.index({ following: 1, _id: -1 });
+
+// Static method to follow a user. Returns true only when a new edge was created,
+// so repeated requests never double-count the denormalized counters
+followSchema.statics.follow = async function(followerId, followingId) {
+  let result;
+  try {
+    result = await this.updateOne(
+      { follower: followerId, following: followingId },
+      { $setOnInsert: { follower: followerId, following: followingId, createdAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Concurrent upserts of the same pair: the other request created the edge
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (result.upsertedCount === 0) {
+    return false;
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: followerId }, { $inc: { followingCount: 1 } }),
+    User.updateOne({ _id: followingId }, { $inc: { followerCount: 1 } })
+  ]);
+
+  return true;
+};
+
+// Static method to unfollow a user. Returns true only when an edge was removed
+followSchema.statics.unfollow = async function(followerId, followingId) {
+  const result = await this.deleteOne({ follower: followerId, following: followingId });
+
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  await Promise.all([
+    User.updateOne({ _id: followerId, followingCount: { $gt: 0 } }, { $inc: { followingCount: -1 } }),
+    User.updateOne({ _id: followingId, followerCount: { $gt: 0 } }, { $inc: { followerCount: -1 } })
+  ]);
+
+  return true;
+};
+
+// Static method to get the ids of everyone a user follows
+followSchema.statics.getFollowingIds = async function(userId) {
+  const edges = await this.find({ follower: userId }).select('following').lean();
+  return edges.map(edge => edge.following);
+};
+
+// Static method to check whether one user follows another
+followSchema.statics.isFollowing = async function(followerId, followingId) {
+  return Boolean(await this.exists({ follower: followerId, following: followingId }));
+};
+
+module.exports = mongoose.model('Follow', followSchema);
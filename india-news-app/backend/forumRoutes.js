@@ -3,6 +3,8 @@ const router = express.Router();
 const ForumThread = require('./forumThreadModel');
 const Notification = require('./notificationModel');
 const auth = require('./middleware/auth');
+const notificationTriggerService = require('./services/notificationTriggerService');
+const { resolveMentions } = require('./utils/mentions');
 
 // Get forum threads by category
 router.get('/threads/:category', async (req, res) => {
@@ -143,6 +145,19 @@ router.post('/threads', auth, async (req, res) => {
 
     await thread.save();
 
+    // Notify @mentioned users (forum threads are readable by everyone)
+    const { mentions, recipients } = await resolveMentions(content, { authorId: userId });
+    notificationTriggerService.triggerMentionNotifications({
+      recipients,
+      senderId: userId,
+      sender: username,
+      senderState: req.user.state,
+      contentType: 'thread',
+      preview: title,
+      actionUrl: `/forum/thread/${thread._id}`,
+      relatedThread: thread._id
+    });
+
     res.status(201).json({
       message: 'Thread created successfully',
       thread: {
@@ -154,7 +169,8 @@ router.post('/threads', auth, async (req, res) => {
         replies: 0,
         likes: 0,
         isSticky: false,
-        lastActivity: formatTimestamp(thread.lastActivity)
+        lastActivity: formatTimestamp(thread.lastActivity),
+        mentions
       }
     });
 
@@ -222,14 +238,31 @@ router.post('/thread/:id/reply', auth, async (req, res) => {
       // Don't fail the reply if notification fails
     }
 
+    // Notify @mentioned users (the thread author was notified above)
+    const replyId = thread.replies[thread.replies.length - 1]._id;
+    const { mentions, recipients } = await resolveMentions(content, { authorId: userId });
+    notificationTriggerService.triggerMentionNotifications({
+      recipients,
+      senderId: userId,
+      sender: username,
+      senderState: req.user.state,
+      contentType: 'reply',
+      preview: content,
+      actionUrl: `/forum/thread/${thread._id}#comment-${replyId}`,
+      relatedThread: thread._id,
+      relatedComment: replyId,
+      excludeUserIds: [thread.author]
+    });
+
     res.status(201).json({
       message: 'Reply added successfully',
       reply: {
-        id: thread.replies[thread.replies.length - 1]._id,
+        id: replyId,
         content,
         author: username,
         timestamp: formatTimestamp(new Date()),
-        likes: 0
+        likes: 0,
+        mentions
       }
     });
 
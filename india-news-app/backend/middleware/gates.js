@@ -116,6 +116,18 @@ const stateGate = (enforceOnRead = false) => {
   };
 };
 
+/**
+ * Readable spaces - resolves which spaces a user may read from
+ * Gender-restricted spaces (Tea/Brospace) are only included for matching users
+ * @param {Object|null} user - Authenticated user claims, or null for anonymous
+ * @returns {string[]} Array of readable space names
+ */
+const getReadableSpaces = (user) => {
+  return Object.entries(SPACE_CONFIG)
+    .filter(([, config]) => !config.genderRequired || (user && user.gender === config.genderRequired))
+    .map(([space]) => space);
+};
+
 /**
  * Space-specific validation gate
  * Validates content against space-specific rules and categories
@@ -290,6 +302,7 @@ module.exports = {
   spaceGate,
   genderGate,
   stateGate,
+  getReadableSpaces,
   spaceValidationGate,
   createSpaceGate,
   rateLimitGate,
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Article = require('../articleModel');
+
+// Comments directly on scraped news Articles (flat, newest first). Longer
+// conversations happen in the Yap/Local discussion posts linked to the article
+const articleCommentSchema = new mongoose.Schema({
+  articleId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Article',
+    required: true
+  },
+
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  body: {
+    type: String,
+    required: true,
+    minlength: 1,
+    maxlength: 2000,
+    trim: true
+  },
+
+  isRemoved: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Article comment pages (newest first by _id) and per-user history
+articleCommentSchema.index({ articleId: 1, isRemoved: 1, _id: -1 });
+articleCommentSchema.index({ userId: 1, createdAt: -1 });
+
+// Static method to add a comment and bump the article's comment counter
+articleCommentSchema.statics.addToArticle = async function(articleId, userId, body) {
+  const comment = await this.create({ articleId, userId, body });
+  await Article.adjustCommentCount(articleId, 1);
+  return comment;
+};
+
+// Instance method to soft-delete the comment
+articleCommentSchema.methods.softRemove = async function() {
+  // Guarded so concurrent deletes only decrement the counter once
+  const result = await this.constructor.updateOne(
+    { _id: this._id, isRemoved: false },
+    { $set: { isRemoved: true } }
+  );
+  this.isRemoved = true;
+
+  if (result.modifiedCount === 1) {
+    await Article.adjustCommentCount(this.articleId, -1);
+  }
+  return this;
+};
+
+const ArticleComment = mongoose.model('ArticleComment', articleCommentSchema);
+
+module.exports = {
+  ArticleComment
+};
@@ -0,0 +1,79 @@
+const mongoose = require('mongoose');
+
+// Accepted upload formats (detected from the file contents, not the client's MIME type)
+const IMAGE_FORMATS = ['jpeg', 'png', 'webp'];
+
+// Generated sizes for every upload, largest first
+const IMAGE_VARIANTS = ['original', 'medium', 'thumbnail'];
+
+const variantSchema = new mongoose.Schema({
+  _id: false,
+  key: { type: String, required: true }, // Storage key (see services/imageStorage.js)
+  width: { type: Number, required: true },
+  height: { type: Number, required: true },
+  bytes: { type: Number, required: true },
+  format: { type: String, required: true }
+});
+
+// One uploaded image with its re-encoded (metadata-free) variants. Assets start
+// unattached and are claimed by the post that references them; unclaimed ones
+// are swept by services/imageUploadService.js
+const imageAssetSchema = new mongoose.Schema({
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    default: null
+  },
+
+  format: {
+    type: String,
+    enum: IMAGE_FORMATS,
+    required: true
+  },
+
+  // Size of the file as uploaded
+  bytes: {
+    type: Number,
+    required: true
+  },
+
+  variants: IMAGE_VARIANTS.reduce((variants, name) => {
+    variants[name] = { type: variantSchema, required: true };
+    return variants;
+  }, {})
+}, {
+  timestamps: true
+});
+
+imageAssetSchema.index({ ownerId: 1, postId: 1, createdAt: -1 });
+imageAssetSchema.index({ postId: 1, createdAt: 1 }); // Also finds expired unattached uploads
+
+// Static method to claim unattached assets for a post. Only the owner's free
+// assets match, so an asset can never end up on two posts. Returns how many were claimed
+imageAssetSchema.statics.attachToPost = async function(assetIds, ownerId, postId) {
+  const result = await this.updateMany(
+    { _id: { $in: assetIds }, ownerId, postId: null },
+    { $set: { postId } }
+  );
+  return result.modifiedCount;
+};
+
+// Static method to release a post's assets (e.g. when creating the post failed)
+imageAssetSchema.statics.detachFromPost = function(postId) {
+  return this.updateMany({ postId }, { $set: { postId: null } });
+};
+
+const ImageAsset = mongoose.model('ImageAsset', imageAssetSchema);
+
+module.exports = {
+  ImageAsset,
+  IMAGE_FORMATS,
+  IMAGE_VARIANTS,
+  imageVariantSchema: variantSchema
+};
@@ -0,0 +1,175 @@
+const mongoose = require('mongoose');
+const { Post, MAX_COMMENT_DEPTH, MAX_REVISIONS } = require('./postModel');
+
+// Comments on unified posts, stored in their own collection so commenting
+// never rewrites the parent Post document
+const postCommentSchema = new mongoose.Schema({
+  // Post this comment belongs to
+  postId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+
+  // Denormalized space of the parent post for per-space queries
+  space: {
+    type: String,
+    enum: ['yap', 'tea', 'brospace', 'local'],
+    required: true
+  },
+
+  // User who wrote the comment
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  body: {
+    type: String,
+    required: true,
+    minlength: 1,
+    maxlength: 4000,
+    trim: true
+  },
+
+  // Threading: parent comment (null for top-level), nesting depth and
+  // a denormalized count of direct replies for collapsed threads
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PostComment',
+    default: null
+  },
+
+  depth: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: MAX_COMMENT_DEPTH
+  },
+
+  replyCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+
+  featured: {
+    type: Boolean,
+    default: false
+  },
+
+  isRemoved: {
+    type: Boolean,
+    default: false
+  },
+
+  // Edit tracking (revisions hold previous bodies, moderator-only)
+  editedAt: {
+    type: Date,
+    default: null
+  },
+
+  revisions: {
+    type: [{
+      _id: false,
+      body: String,
+      editedAt: { type: Date, default: Date.now }
+    }],
+    select: false
+  }
+}, {
+  timestamps: true // Adds createdAt and updatedAt automatically
+});
+
+// Indexes for thread loading, reply pagination and per-user history
+postCommentSchema.index({ postId: 1, _id: 1 });
+postCommentSchema.index({ postId: 1, parentId: 1, _id: 1 });
+postCommentSchema.index({ userId: 1, createdAt: -1 });
+postCommentSchema.index({ space: 1, createdAt: -1 });
+
+// Static method to add a comment (optionally as a reply) and update the
+// denormalized counters on the parent comment and post
+postCommentSchema.statics.addToPost = async function(post, userId, body, parentId = null) {
+  let depth = 0;
+
+  if (parentId) {
+    const parent = await this.findOne({ _id: parentId, postId: post._id, isRemoved: false });
+    if (!parent) {
+      const error = new Error('Parent comment not found');
+      error.status = 404;
+      error.code = 'PARENT_COMMENT_NOT_FOUND';
+      throw error;
+    }
+
+    if (parent.depth >= MAX_COMMENT_DEPTH) {
+      const error = new Error(`Replies are limited to ${MAX_COMMENT_DEPTH} levels`);
+      error.status = 400;
+      error.code = 'MAX_DEPTH_REACHED';
+      throw error;
+    }
+
+    depth = parent.depth + 1;
+  }
+
+  const comment = await this.create({
+    postId: post._id,
+    space: post.space,
+    userId,
+    body,
+    parentId: parentId || null,
+    depth
+  });
+
+  await Promise.all([
+    parentId ? this.updateOne({ _id: parentId }, { $inc: { replyCount: 1 } }) : null,
+    Post.adjustCommentCount(post._id, 1)
+  ]);
+
+  return comment;
+};
+
+// Instance method to edit the comment body, recording the previous version
+postCommentSchema.methods.applyEdit = function(body) {
+  if (this.body === body) {
+    return Promise.resolve(this);
+  }
+
+  this.revisions.push({
+    body: this.body,
+    editedAt: new Date()
+  });
+
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+
+  this.body = body;
+  this.editedAt = new Date();
+
+  return this.save();
+};
+
+// Instance method to soft-delete the comment (replies stay attached to the placeholder)
+postCommentSchema.methods.softRemove = async function() {
+  this.isRemoved = true;
+  await this.save();
+
+  await Promise.all([
+    this.parentId
+      ? this.constructor.updateOne({ _id: this.parentId, replyCount: { $gt: 0 } }, { $inc: { replyCount: -1 } })
+      : null,
+    Post.adjustCommentCount(this.postId, -1)
+  ]);
+
+  return this;
+};
+
+// Ensure virtuals are included in JSON output
+postCommentSchema.set('toJSON', { virtuals: true });
+
+const PostComment = mongoose.model('PostComment', postCommentSchema);
+
+module.exports = {
+  PostComment
+};
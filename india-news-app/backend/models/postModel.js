@@ -1,22 +1,112 @@
 const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { IMAGE_VARIANTS, imageVariantSchema } = require('./imageAssetModel');
 
 // Define the reaction types as constants for consistency across all spaces
 const REACTION_TYPES = ['heart', 'laugh', 'meh', 'skeptical', 'fire', 'handshake'];
 
+// Maximum nesting depth for threaded comment replies (top-level comments are depth 0)
+const MAX_COMMENT_DEPTH = 4;
+
+// Maximum images per post (external URLs and uploaded images combined)
+const MAX_POST_IMAGES = 6;
+
+// Maximum number of stored revisions per post or comment (oldest are dropped)
+const MAX_REVISIONS = 50;
+
+// Poll limits (options per poll, longest allowed voting period)
+const POLL_MIN_OPTIONS = 2;
+const POLL_MAX_OPTIONS = 6;
+const POLL_MAX_DURATION_DAYS = 30;
+
+// Publication states. Drafts are private to the author and scheduled posts are
+// flipped live by services/postPublisher.js; until then they stay isActive: false
+// so feeds, search and interactions never see them
+const POST_STATUSES = ['draft', 'scheduled', 'published'];
+
+// How far ahead a post may be scheduled
+const MAX_SCHEDULE_DAYS = 30;
+
+// Feed sort orders. Every order ends in _id so feed cursors (the sort values of
+// the last post on a page) name one position. Published drafts keep their old _id
+// but move createdAt to the publish time, so an _id-only cursor would repeat them
+const FEED_SORTS = {
+  new: { createdAt: -1, _id: -1 },
+  hot: { isPinned: -1, 'metrics.score': -1, createdAt: -1, _id: -1 }
+};
+
+// How each sort field is read back out of a cursor (undefined means invalid)
+const FEED_CURSOR_FIELDS = {
+  isPinned: value => (typeof value === 'boolean' ? value : undefined),
+  'metrics.score': value => (typeof value === 'number' && Number.isFinite(value) ? value : undefined),
+  createdAt: value => {
+    const date = typeof value === 'string' ? new Date(value) : null;
+    return date && !isNaN(date.getTime()) ? date : undefined;
+  },
+  _id: value => (typeof value === 'string' && mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined)
+};
+
+// Spaces a news Article can be discussed in (local threads use the article's state)
+const ARTICLE_DISCUSSION_SPACES = ['yap', 'local'];
+
+// Hashtags: letters (any script, incl. combining marks), digits and underscores.
+// A tag must contain at least one letter so "#1" is not a tag
+const HASHTAG_REGEX = /(^|[^\p{L}\p{M}\p{N}_#&])#([\p{L}\p{M}\p{N}_]{2,50})/gu;
+const MAX_TAGS_PER_POST = 10;
+
+// Normalize a tag from user input or post text ("#Hornbill" -> "hornbill")
+function normalizeTag(tag) {
+  if (typeof tag !== 'string') return null;
+  const normalized = tag.trim().replace(/^#/, '').toLowerCase();
+  return /^[\p{L}\p{M}\p{N}_]{2,50}$/u.test(normalized) && /\p{L}/u.test(normalized) ? normalized : null;
+}
+
+// Extract unique, normalized hashtags from post text (first occurrences win)
+function extractHashtags(text) {
+  if (!text) return [];
+
+  const tags = [];
+  for (const match of text.matchAll(HASHTAG_REGEX)) {
+    const tag = normalizeTag(match[2]);
+    if (tag && !tags.includes(tag)) tags.push(tag);
+    if (tags.length >= MAX_TAGS_PER_POST) break;
+  }
+  return tags;
+}
+
+// Pseudonyms for anonymous posts ("Quiet Hornbill 42"), picked once per post
+const PSEUDONYM_ADJECTIVES = [
+  'Quiet', 'Brave', 'Gentle', 'Curious', 'Misty', 'Sunny', 'Calm', 'Bold',
+  'Kind', 'Swift', 'Wandering', 'Hidden', 'Cheerful', 'Sleepy', 'Clever', 'Rainy'
+];
+const PSEUDONYM_ANIMALS = [
+  'Hornbill', 'Red Panda', 'Takin', 'Rhino', 'Mithun', 'Hoolock', 'Otter', 'Pangolin',
+  'Kingfisher', 'Leopard', 'Dolphin', 'Myna', 'Peacock', 'Tiger', 'Elephant', 'Owl'
+];
+
+function generatePseudonym() {
+  const adjective = PSEUDONYM_ADJECTIVES[crypto.randomInt(PSEUDONYM_ADJECTIVES.length)];
+  const animal = PSEUDONYM_ANIMALS[crypto.randomInt(PSEUDONYM_ANIMALS.length)];
+  return `${adjective} ${animal} ${crypto.randomInt(10, 100)}`;
+}
+
 // Define space-specific configurations
 const SPACE_CONFIG = {
   yap: {
     topics: ['mental-health', 'humor', 'food', 'relationships', 'work', 'life', 'random'],
     allowTitle: true,
     maxBodyLength: 8000,
-    requiresState: false
+    requiresState: false,
+    allowAnonymous: true,
+    linkPreviews: true
   },
   tea: {
     categories: ['girl-talk', 'k-fanatic', 'hot-topics', 'glow-up'],
     allowTitle: true,
     maxBodyLength: 5000,
     requiresState: false,
-    genderRequired: 'female'
+    genderRequired: 'female',
+    allowAnonymous: true
   },
   brospace: {
     categories: ['brotherhood', 'anime', 'gym-rat', 'hustle'],
@@ -72,7 +162,7 @@ const postSchema = new mongoose.Schema({
     type: [String],
     validate: {
       validator: function(images) {
-        if (images.length > 6) return false;
+        if (images.length > MAX_POST_IMAGES) return false;
         return images.every(url => /^https?:\/\//.test(url));
       },
       message: 'Maximum 6 images allowed, must be HTTP/HTTPS URLs'
@@ -80,6 +170,23 @@ const postSchema = new mongoose.Schema({
     default: []
   },
   
+  // Uploaded images (ImageAsset ids, variants denormalized so feeds need no lookup)
+  media: {
+    type: [{
+      _id: false,
+      assetId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'ImageAsset',
+        required: true
+      },
+      variants: IMAGE_VARIANTS.reduce((variants, name) => {
+        variants[name] = { type: imageVariantSchema, required: true };
+        return variants;
+      }, {})
+    }],
+    default: []
+  },
+  
   // Topic for YAP, Category for Tea/Brospace/Local
   topic: {
     type: String,
@@ -97,6 +204,100 @@ const postSchema = new mongoose.Schema({
     default: null
   },
   
+  // Hashtags extracted from the body on save (normalized, lowercase)
+  tags: {
+    type: [String],
+    default: []
+  },
+  
+  // Open Graph preview of the first link in the body (spaces with linkPreviews).
+  // Filled in the background after create/edit; sourceUrl is the link as written
+  linkPreview: {
+    type: new mongoose.Schema({
+      sourceUrl: { type: String, required: true },
+      url: String,
+      title: String,
+      description: String,
+      image: String,
+      siteName: String,
+      fetchedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }, { _id: false }),
+    default: null
+  },
+  
+  // News Article this post discusses, with a snapshot of its card so feeds need
+  // no lookup. One live discussion per article per space (see discussArticle)
+  article: {
+    type: new mongoose.Schema({
+      articleId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Article',
+        required: true
+      },
+      title: String,
+      punchline: String,
+      image: String,
+      source: String,
+      link: String
+    }, { _id: false }),
+    default: null
+  },
+  
+  // Optional poll attached to the post. One vote per user, enforced by castPollVote
+  poll: {
+    type: new mongoose.Schema({
+      options: {
+        type: [{
+          text: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100
+          },
+          voteCount: {
+            type: Number,
+            default: 0,
+            min: 0
+          }
+        }],
+        validate: {
+          validator: options => options.length >= POLL_MIN_OPTIONS && options.length <= POLL_MAX_OPTIONS,
+          message: `Polls need ${POLL_MIN_OPTIONS}-${POLL_MAX_OPTIONS} options`
+        }
+      },
+      multipleChoice: {
+        type: Boolean,
+        default: false
+      },
+      closesAt: {
+        type: Date,
+        default: null
+      },
+      totalVoters: {
+        type: Number,
+        default: 0,
+        min: 0
+      },
+      voters: [{
+        _id: false,
+        userId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+          required: true
+        },
+        optionIds: [mongoose.Schema.Types.ObjectId],
+        votedAt: {
+          type: Date,
+          default: Date.now
+        }
+      }]
+    }, { _id: false }),
+    default: null
+  },
+  
   // State for regional filtering and local posting restrictions
   state: {
     type: String,
@@ -128,37 +329,18 @@ const postSchema = new mongoose.Schema({
     }
   }],
   
-  // Comments with enhanced features
-  comments: [{
-    userId: {
-      type: mongoose.Schema.Types.ObjectId,
-      ref: 'User',
-      required: true
-    },
-    body: {
-      type: String,
-      required: true,
-      minlength: 1,
-      maxlength: 4000,
-      trim: true
-    },
-    featured: {
-      type: Boolean,
-      default: false
-    },
-    isRemoved: {
-      type: Boolean,
-      default: false
-    },
-    createdAt: {
-      type: Date,
-      default: Date.now
-    },
-    updatedAt: {
-      type: Date,
-      default: Date.now
-    }
-  }],
+  // Denormalized per-type reaction counters, kept in sync by toggleReaction
+  reactionCounts: REACTION_TYPES.reduce((counts, type) => {
+    counts[type] = { type: Number, default: 0, min: 0 };
+    return counts;
+  }, {}),
+  
+  // Denormalized count of active comments (comments live in the PostComment collection)
+  commentCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   
   // Enhanced metrics for engagement tracking
   metrics: {
@@ -178,6 +360,35 @@ const postSchema = new mongoose.Schema({
     }
   },
   
+  // Anonymous posting (spaces with allowAnonymous). userId is kept for ownership
+  // and moderation; public responses only ever show the per-post pseudonym
+  anonymous: {
+    type: Boolean,
+    default: false
+  },
+  
+  anonymousName: {
+    type: String,
+    default: null
+  },
+  
+  // Publication state (existing posts are published)
+  status: {
+    type: String,
+    enum: POST_STATUSES,
+    default: 'published'
+  },
+  
+  scheduledFor: {
+    type: Date,
+    default: null
+  },
+  
+  publishedAt: {
+    type: Date,
+    default: null
+  },
+  
   // Moderation and status fields
   isActive: {
     type: Boolean,
@@ -218,6 +429,31 @@ const postSchema = new mongoose.Schema({
     default: null
   },
   
+  // Edit tracking (revisions hold previous versions, moderator-only)
+  editedAt: {
+    type: Date,
+    default: null
+  },
+  
+  revisions: {
+    type: [{
+      _id: false,
+      title: String,
+      body: String,
+      topic: String,
+      subcategory: String,
+      editedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      editedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }],
+    select: false
+  },
+  
   // Activity tracking
   lastActivity: {
     type: Date,
@@ -237,6 +473,29 @@ postSchema.index({ space: 1, isActive: 1, createdAt: -1 });
 postSchema.index({ space: 1, isHot: 1, createdAt: -1 });
 postSchema.index({ space: 1, isPinned: 1, createdAt: -1 });
 postSchema.index({ userId: 1, space: 1, createdAt: -1 });
+postSchema.index({ 'reactions.userId': 1, createdAt: -1 }); // For You interest profile
+postSchema.index({ space: 1, tags: 1, createdAt: -1 });
+postSchema.index({ tags: 1, createdAt: -1 });
+postSchema.index({ status: 1, scheduledFor: 1 }); // Scheduled post publisher
+postSchema.index({ userId: 1, status: 1, _id: -1 }); // Author's drafts
+postSchema.index(
+  { 'article.articleId': 1, space: 1 },
+  { unique: true, partialFilterExpression: { 'article.articleId': { $exists: true }, isActive: true } }
+); // One live discussion per article per space
+
+// Full-text search index (titles weigh more than body text)
+postSchema.index(
+  { title: 'text', body: 'text' },
+  { name: 'post_text_search', weights: { title: 3, body: 1 } }
+);
+
+// Space-specific scoring multipliers
+const SPACE_SCORE_MULTIPLIER = {
+  yap: 1.0,
+  tea: 1.1,     // Slightly boost tea engagement
+  brospace: 1.1, // Slightly boost brospace engagement  
+  local: 0.8    // Local posts compete less globally
+};
 
 // Pre-save middleware to update metrics and activity
 postSchema.pre('save', function(next) {
@@ -245,43 +504,106 @@ postSchema.pre('save', function(next) {
     this.lastActivity = new Date();
   }
   
+  // Unpublished posts are never live
+  if (this.status !== 'published') {
+    this.isActive = false;
+  } else if (!this.publishedAt) {
+    this.publishedAt = this.createdAt || new Date();
+  }
+  
+  // Stable pseudonym for the lifetime of an anonymous post
+  if (this.anonymous && !this.anonymousName) {
+    this.anonymousName = generatePseudonym();
+  }
+  
+  // Keep hashtags in sync with the body (new posts and edits)
+  if (this.isNew || this.isModified('body')) {
+    this.tags = extractHashtags(this.body);
+  }
+  
   // Calculate engagement score based on reactions, comments, and views
   const reactionScore = this.reactions.length * 2;
-  const commentScore = this.comments.filter(c => !c.isRemoved).length * 5;
+  const commentScore = this.commentCount * 5;
   const viewScore = this.metrics.views * 0.1;
   
   // Time decay factor (newer posts get slight boost)
   const ageInHours = (Date.now() - this.createdAt.getTime()) / (1000 * 60 * 60);
   const timeDecay = Math.max(0.1, 1 - (ageInHours / 168)); // Decay over 1 week
   
-  // Space-specific scoring multipliers
-  const spaceMultiplier = {
-    yap: 1.0,
-    tea: 1.1,     // Slightly boost tea engagement
-    brospace: 1.1, // Slightly boost brospace engagement  
-    local: 0.8    // Local posts compete less globally
-  };
-  
-  const multiplier = spaceMultiplier[this.space] || 1.0;
+  const multiplier = SPACE_SCORE_MULTIPLIER[this.space] || 1.0;
   this.metrics.score = Math.round((reactionScore + commentScore + viewScore) * timeDecay * multiplier);
   
   // Calculate engagement rate
   if (this.metrics.views > 0) {
-    this.metrics.engagementRate = ((this.reactions.length + this.comments.length) / this.metrics.views) * 100;
+    this.metrics.engagementRate = ((this.reactions.length + this.commentCount) / this.metrics.views) * 100;
   }
   
   // Auto-mark as hot if high engagement
-  const totalEngagement = this.reactions.length + this.comments.length;
+  const totalEngagement = this.reactions.length + this.commentCount;
   this.isHot = totalEngagement >= 10 || this.metrics.score >= 50;
   
   next();
 });
 
-// Instance method to get reaction counts by type
+// Update-pipeline version of the pre-save scoring above. Atomic updates append
+// these stages so the score is computed server-side from the fresh document
+// instead of from a stale copy loaded into memory (keep both in sync)
+function scoreUpdateStages() {
+  const reactionCount = { $size: { $ifNull: ['$reactions', []] } };
+  const commentCount = { $ifNull: ['$commentCount', 0] };
+  const views = { $ifNull: ['$metrics.views', 0] };
+  
+  const ageInHours = { $divide: [{ $subtract: ['$$NOW', '$createdAt'] }, 1000 * 60 * 60] };
+  const timeDecay = { $max: [0.1, { $subtract: [1, { $divide: [ageInHours, 168] }] }] };
+  const multiplier = {
+    $switch: {
+      branches: Object.entries(SPACE_SCORE_MULTIPLIER).map(([space, value]) => ({
+        case: { $eq: ['$space', space] },
+        then: value
+      })),
+      default: 1.0
+    }
+  };
+  
+  return [
+    {
+      $set: {
+        'metrics.score': {
+          $round: [{
+            $multiply: [
+              { $add: [{ $multiply: [reactionCount, 2] }, { $multiply: [commentCount, 5] }, { $multiply: [views, 0.1] }] },
+              timeDecay,
+              multiplier
+            ]
+          }, 0]
+        },
+        'metrics.engagementRate': {
+          $cond: [
+            { $gt: [views, 0] },
+            { $multiply: [{ $divide: [{ $add: [reactionCount, commentCount] }, views] }, 100] },
+            { $ifNull: ['$metrics.engagementRate', 0] }
+          ]
+        }
+      }
+    },
+    {
+      $set: {
+        isHot: {
+          $or: [
+            { $gte: [{ $add: [reactionCount, commentCount] }, 10] },
+            { $gte: ['$metrics.score', 50] }
+          ]
+        }
+      }
+    }
+  ];
+}
+
+// Instance method to get reaction counts by type (from the denormalized counters)
 postSchema.methods.getReactionCounts = function() {
   const counts = {};
   REACTION_TYPES.forEach(type => {
-    counts[type] = this.reactions.filter(r => r.type === type).length;
+    counts[type] = this.reactionCounts?.[type] || 0;
   });
   return counts;
 };
@@ -292,40 +614,145 @@ postSchema.methods.getUserReaction = function(userId) {
   return reaction ? reaction.type : null;
 };
 
-// Instance method to add or update user reaction (idempotent)
-postSchema.methods.updateReaction = function(userId, reactionType) {
-  // Remove any existing reaction from this user
-  this.reactions = this.reactions.filter(r => r.userId.toString() !== userId.toString());
+// Static method to toggle a user's reaction atomically. Reads only the caller's
+// reaction, then applies $push/$pull/positional $set guarded by that state, so
+// concurrent reactions from other users never overwrite each other. A guard miss
+// means the same user raced themselves; re-read and retry.
+postSchema.statics.toggleReaction = async function(postId, reactingUserId, reactionType, maxAttempts = 3) {
+  // Projections are not cast by Mongoose, so cast the id up front
+  const userId = new mongoose.Types.ObjectId(reactingUserId.toString());
   
-  // Add new reaction
-  this.reactions.push({
-    userId: userId,
-    type: reactionType,
-    createdAt: new Date()
-  });
+  for (let attempt = 0; attempt < maxAttempts; attempt++) {
+    const current = await this.findOne(
+      { _id: postId, isActive: true },
+      { reactions: { $elemMatch: { userId } }, userId: 1, space: 1, title: 1, body: 1 }
+    ).lean();
+    
+    if (!current) {
+      return null;
+    }
+    
+    const previousType = current.reactions?.[0]?.type || null;
+    let filter, update, action;
+    
+    if (!previousType) {
+      action = 'added';
+      filter = { _id: postId, 'reactions.userId': { $ne: userId } };
+      update = {
+        $push: { reactions: { userId, type: reactionType, createdAt: new Date() } },
+        $inc: { [`reactionCounts.${reactionType}`]: 1 }
+      };
+    } else if (previousType === reactionType) {
+      action = 'removed';
+      filter = { _id: postId, reactions: { $elemMatch: { userId, type: previousType } } };
+      update = {
+        $pull: { reactions: { userId } },
+        $inc: { [`reactionCounts.${reactionType}`]: -1 }
+      };
+    } else {
+      action = 'changed';
+      filter = { _id: postId, reactions: { $elemMatch: { userId, type: previousType } } };
+      update = {
+        $set: { 'reactions.$.type': reactionType, 'reactions.$.createdAt': new Date() },
+        $inc: { [`reactionCounts.${previousType}`]: -1, [`reactionCounts.${reactionType}`]: 1 }
+      };
+    }
+    
+    const result = await this.updateOne(filter, update);
+    
+    if (result.modifiedCount === 1) {
+      await this.refreshScore(postId);
+      delete current.reactions;
+      return { post: current, action, previousType };
+    }
+  }
   
-  return this.save();
+  const error = new Error('Reaction changed concurrently, please retry');
+  error.status = 409;
+  error.code = 'REACTION_CONFLICT';
+  throw error;
 };
 
-// Instance method to remove user reaction
-postSchema.methods.removeReaction = function(userId) {
-  this.reactions = this.reactions.filter(r => r.userId.toString() !== userId.toString());
-  return this.save();
+// Static method to recompute score from the stored document (no lost updates)
+postSchema.statics.refreshScore = function(postId) {
+  return this.updateOne({ _id: postId }, [
+    { $set: { lastActivity: '$$NOW' } },
+    ...scoreUpdateStages()
+  ]);
+};
+
+// Static method to atomically count a view and refresh the score
+postSchema.statics.recordView = function(postId) {
+  return this.updateOne({ _id: postId }, [
+    { $set: { 'metrics.views': { $add: [{ $ifNull: ['$metrics.views', 0] }, 1] } } },
+    ...scoreUpdateStages()
+  ]);
 };
 
-// Instance method to add comment
-postSchema.methods.addComment = function(userId, body, featured = false) {
-  this.comments.push({
-    userId: userId,
-    body: body,
-    featured: featured,
-    createdAt: new Date(),
-    updatedAt: new Date()
+// Static method to rebuild the per-type reaction counters from the reactions
+// array (backfill for posts created before counters existed, or repair)
+postSchema.statics.rebuildReactionCounts = function(filter = {}) {
+  const counts = {};
+  REACTION_TYPES.forEach(type => {
+    counts[`reactionCounts.${type}`] = {
+      $size: {
+        $filter: {
+          input: { $ifNull: ['$reactions', []] },
+          cond: { $eq: ['$$this.type', type] }
+        }
+      }
+    };
+  });
+  
+  return this.updateMany(filter, [{ $set: counts }]);
+};
+
+// Instance method to edit post content, recording the previous version
+postSchema.methods.applyEdit = function(editorId, changes) {
+  const editableFields = ['title', 'body', 'topic', 'subcategory'];
+  const changedFields = editableFields.filter(field =>
+    changes[field] !== undefined && changes[field] !== this[field]
+  );
+  
+  if (changedFields.length === 0) {
+    return Promise.resolve(this);
+  }
+  
+  this.revisions.push({
+    title: this.title,
+    body: this.body,
+    topic: this.topic,
+    subcategory: this.subcategory,
+    editedBy: editorId,
+    editedAt: new Date()
   });
   
+  if (this.revisions.length > MAX_REVISIONS) {
+    this.revisions.splice(0, this.revisions.length - MAX_REVISIONS);
+  }
+  
+  changedFields.forEach(field => {
+    this[field] = changes[field];
+  });
+  this.editedAt = new Date();
+  
   return this.save();
 };
 
+// Static method to atomically adjust the denormalized comment count and
+// refresh the score without rewriting the whole post document
+postSchema.statics.adjustCommentCount = function(postId, delta) {
+  return this.updateOne({ _id: postId }, [
+    {
+      $set: {
+        commentCount: { $max: [0, { $add: [{ $ifNull: ['$commentCount', 0] }, delta] }] },
+        lastActivity: '$$NOW'
+      }
+    },
+    ...scoreUpdateStages()
+  ]);
+};
+
 // Static method for space-specific trending posts
 postSchema.statics.getTrending = function(space, limit = 20) {
   const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000);
@@ -343,7 +770,7 @@ postSchema.statics.getTrending = function(space, limit = 20) {
         trendingScore: {
           $add: [
             { $multiply: [{ $size: '$reactions' }, 3] },
-            { $multiply: [{ $size: { $filter: { input: '$comments', cond: { $eq: ['$$this.isRemoved', false] } } } }, 5] },
+            { $multiply: [{ $ifNull: ['$commentCount', 0] }, 5] },
             { $multiply: ['$metrics.views', 0.2] }
           ]
         }
@@ -358,6 +785,141 @@ postSchema.statics.getTrending = function(space, limit = 20) {
   ]);
 };
 
+// Static method to cast a poll vote. The guard filter and the update run as one
+// atomic operation, so a user can never vote twice or after the poll closes
+postSchema.statics.castPollVote = async function(postId, votingUserId, optionIds) {
+  const post = await this.findOne({ _id: postId, isActive: true }).select('poll.options poll.multipleChoice poll.closesAt').lean();
+  if (!post) return null;
+  
+  const fail = (message, status, code) => {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  };
+  
+  if (!post.poll || !post.poll.options || post.poll.options.length === 0) {
+    throw fail('This post has no poll', 404, 'POLL_NOT_FOUND');
+  }
+  
+  const validIds = new Set(post.poll.options.map(option => option._id.toString()));
+  const chosen = [...new Set(optionIds.map(id => id.toString()))];
+  if (chosen.length === 0 || !chosen.every(id => validIds.has(id))) {
+    throw fail('Invalid poll option', 400, 'INVALID_POLL_OPTIONS');
+  }
+  if (!post.poll.multipleChoice && chosen.length > 1) {
+    throw fail('This poll allows a single choice', 400, 'INVALID_POLL_OPTIONS');
+  }
+  
+  const now = new Date();
+  const userId = new mongoose.Types.ObjectId(votingUserId);
+  const chosenIds = chosen.map(id => new mongoose.Types.ObjectId(id));
+  
+  const result = await this.updateOne(
+    {
+      _id: post._id,
+      isActive: true,
+      'poll.voters.userId': { $ne: userId },
+      $or: [{ 'poll.closesAt': null }, { 'poll.closesAt': { $gt: now } }]
+    },
+    {
+      $push: { 'poll.voters': { userId, optionIds: chosenIds, votedAt: now } },
+      $inc: { 'poll.totalVoters': 1, 'poll.options.$[chosen].voteCount': 1 },
+      $set: { lastActivity: now }
+    },
+    { arrayFilters: [{ 'chosen._id': { $in: chosenIds } }] }
+  );
+  
+  if (result.modifiedCount === 0) {
+    if (await this.exists({ _id: post._id, 'poll.voters.userId': userId })) {
+      throw fail('You have already voted in this poll', 409, 'ALREADY_VOTED');
+    }
+    if (post.poll.closesAt && post.poll.closesAt <= now) {
+      throw fail('This poll is closed', 400, 'POLL_CLOSED');
+    }
+    return null; // Post was removed while voting
+  }
+  
+  return this.findById(post._id).select('space poll').lean();
+};
+
+// Static method for trending hashtags. Compares how often each tag was used in
+// the recent window against the rest of the day, so rising tags outrank tags
+// that are merely busy. Uses are weighted like getTrending weighs engagement
+postSchema.statics.getTrendingTags = function(spaces, { state = null, limit = 10, recentHours = 6 } = {}) {
+  const now = Date.now();
+  const oneDayAgo = new Date(now - 24 * 60 * 60 * 1000);
+  const recentSince = new Date(now - recentHours * 60 * 60 * 1000);
+  const baselineHours = 24 - recentHours;
+  
+  const match = {
+    space: { $in: spaces },
+    isActive: true,
+    isRemoved: { $ne: true },
+    createdAt: { $gte: oneDayAgo },
+    'tags.0': { $exists: true }
+  };
+  if (state) {
+    match.state = state;
+  }
+  
+  return this.aggregate([
+    { $match: match },
+    { $unwind: '$tags' },
+    {
+      $group: {
+        _id: '$tags',
+        uses: { $sum: 1 },
+        recentUses: { $sum: { $cond: [{ $gte: ['$createdAt', recentSince] }, 1, 0] } },
+        authors: { $addToSet: '$userId' },
+        comments: { $sum: { $ifNull: ['$commentCount', 0] } },
+        spaces: { $addToSet: '$space' },
+        lastUsedAt: { $max: '$createdAt' }
+      }
+    },
+    {
+      $addFields: {
+        uniqueAuthors: { $size: '$authors' },
+        // Uses per hour in the recent window minus the earlier baseline rate
+        velocity: {
+          $subtract: [
+            { $divide: ['$recentUses', recentHours] },
+            { $divide: [{ $subtract: ['$uses', '$recentUses'] }, baselineHours] }
+          ]
+        }
+      }
+    },
+    {
+      $addFields: {
+        trendingScore: {
+          $add: [
+            { $multiply: ['$recentUses', 3] },
+            { $multiply: ['$uniqueAuthors', 2] },
+            { $multiply: [{ $max: ['$velocity', 0] }, 5] },
+            { $multiply: ['$comments', 0.5] },
+            '$uses'
+          ]
+        }
+      }
+    },
+    { $sort: { trendingScore: -1, lastUsedAt: -1 } },
+    { $limit: limit },
+    {
+      $project: {
+        _id: 0,
+        tag: '$_id',
+        uses: 1,
+        recentUses: 1,
+        uniqueAuthors: 1,
+        velocity: { $round: ['$velocity', 2] },
+        trendingScore: { $round: ['$trendingScore', 2] },
+        spaces: 1,
+        lastUsedAt: 1
+      }
+    }
+  ]);
+};
+
 // Static method for space-specific hot posts
 postSchema.statics.getHot = function(space, limit = 20) {
   return this.find({
@@ -370,6 +932,129 @@ postSchema.statics.getHot = function(space, limit = 20) {
   .populate('userId', 'username karma state gender');
 };
 
+// Static method to publish a draft or scheduled post. The status guard makes the
+// flip atomic, so a post is published (and announced) exactly once even when the
+// publisher and a "publish now" request race. createdAt moves to the publish time
+// so the post ranks as new (feeds page on FEED_SORTS cursors, not _id, for this
+// reason). Returns the published post, or null if it was not pending
+postSchema.statics.publishPost = function(postId, { dueOnly = false } = {}) {
+  const now = new Date();
+  const filter = {
+    _id: postId,
+    status: dueOnly ? 'scheduled' : { $in: ['draft', 'scheduled'] },
+    isRemoved: { $ne: true }
+  };
+  if (dueOnly) {
+    filter.scheduledFor = { $lte: now };
+  }
+  
+  return this.findOneAndUpdate(
+    filter,
+    {
+      $set: {
+        status: 'published',
+        isActive: true,
+        scheduledFor: null,
+        publishedAt: now,
+        createdAt: now,
+        lastActivity: now
+      }
+    },
+    { new: true, overwriteImmutable: true }
+  );
+};
+
+// Static method to encode the feed cursor that follows a post in the given sort
+postSchema.statics.encodeFeedCursor = function(post, sort = 'new') {
+  const values = Object.keys(FEED_SORTS[sort]).map(field => {
+    const value = field.split('.').reduce((obj, key) => obj?.[key], post);
+    return field === '_id' ? value.toString() : value;
+  });
+  return Buffer.from(JSON.stringify(values)).toString('base64url');
+};
+
+// Static method to turn a feed cursor into a query for the posts after it (keyset
+// pagination over the sort fields). Returns null for a malformed cursor
+postSchema.statics.feedCursorFilter = function(cursor, sort = 'new') {
+  const fields = Object.keys(FEED_SORTS[sort]);
+  let values;
+  try {
+    values = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    return null;
+  }
+  if (!Array.isArray(values) || values.length !== fields.length) return null;
+
+  values = values.map((value, i) => FEED_CURSOR_FIELDS[fields[i]](value));
+  if (values.some(value => value === undefined)) return null;
+
+  // Equal on every earlier field and past the cursor on this one
+  return {
+    $or: fields.map((field, i) => {
+      const clause = {};
+      fields.slice(0, i).forEach((prev, j) => { clause[prev] = values[j]; });
+      clause[field] = { [FEED_SORTS[sort][field] === -1 ? '$lt' : '$gt']: values[i] };
+      return clause;
+    })
+  };
+};
+
+// Static method to get the audience of a post (who may see it): gendered spaces
+// by gender, local posts by the post's state
+postSchema.statics.getAudience = function(post) {
+  const config = SPACE_CONFIG[post.space] || {};
+  return {
+    gender: config.genderRequired || null,
+    state: config.stateRestricted ? post.state : null
+  };
+};
+
+// Static method to find or start the discussion of a news Article in a space.
+// Local discussions live in the article's state. Concurrent starts resolve to
+// the same post through the unique index. Returns { post, created }, or null
+// when the article has no Northeast state to hold a local discussion in
+postSchema.statics.discussArticle = async function(article, { space, userId, userState = null, body = null }) {
+  const existing = await this.findOne({ 'article.articleId': article._id, space, isActive: true });
+  if (existing) return { post: existing, created: false };
+  
+  let state = userState;
+  if (space === 'local') {
+    state = this.schema.path('state').enumValues
+      .find(value => value && article.state && value.toLowerCase() === article.state.trim().toLowerCase());
+    if (!state) return null;
+  }
+  
+  const title = article.title.length > 200 ? `${article.title.substring(0, 197)}...` : article.title;
+  const post = new this({
+    space,
+    userId,
+    title,
+    body: body || article.aiPunchline || article.summary || article.title,
+    topic: space === 'local' ? 'news' : null,
+    state,
+    article: {
+      articleId: article._id,
+      title: article.title,
+      punchline: article.aiPunchline || null,
+      image: article.image || null,
+      source: article.source || null,
+      link: article.link
+    }
+  });
+  
+  try {
+    await post.save();
+  } catch (error) {
+    // Someone else started the discussion first
+    if (error.code !== 11000) throw error;
+    const winner = await this.findOne({ 'article.articleId': article._id, space, isActive: true });
+    if (!winner) throw error;
+    return { post: winner, created: false };
+  }
+  
+  return { post, created: true };
+};
+
 // Static method to get space configuration
 postSchema.statics.getSpaceConfig = function(space) {
   return SPACE_CONFIG[space] || null;
@@ -377,15 +1062,14 @@ postSchema.statics.getSpaceConfig = function(space) {
 
 // Virtual for total engagement
 postSchema.virtual('totalEngagement').get(function() {
-  const activeComments = this.comments.filter(c => !c.isRemoved).length;
-  return this.reactions.length + activeComments + Math.floor(this.metrics.views / 10);
+  return this.reactions.length + this.commentCount + Math.floor(this.metrics.views / 10);
 });
 
 // Virtual for engagement summary
 postSchema.virtual('engagementSummary').get(function() {
   return {
     reactions: this.reactions.length,
-    comments: this.comments.filter(c => !c.isRemoved).length,
+    comments: this.commentCount,
     views: this.metrics.views,
     score: this.metrics.score,
     isHot: this.isHot
@@ -400,5 +1084,17 @@ const Post = mongoose.model('Post', postSchema);
 module.exports = {
   Post,
   REACTION_TYPES,
-  SPACE_CONFIG
+  SPACE_CONFIG,
+  MAX_COMMENT_DEPTH,
+  MAX_REVISIONS,
+  POLL_MIN_OPTIONS,
+  POLL_MAX_OPTIONS,
+  POLL_MAX_DURATION_DAYS,
+  POST_STATUSES,
+  MAX_SCHEDULE_DAYS,
+  FEED_SORTS,
+  MAX_POST_IMAGES,
+  ARTICLE_DISCUSSION_SPACES,
+  normalizeTag,
+  extractHashtags
 };
\ No newline at end of file
@@ -1,4 +1,5 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Report = require('./reportModel');
 const User = require('./userModel');
@@ -6,6 +7,8 @@ const ForumThread = require('./forumThreadModel');
 const TeaIslandPost = require('./teaIslandPostModel');
 const Comment = require('./commentModel');
 const Notification = require('./notificationModel');
+const { Post } = require('./models/postModel');
+const { PostComment } = require('./models/postCommentModel');
 const auth = require('./middleware/auth');
 const { requireAuth, moderatorAuth, adminAuth, requireActiveUser } = require('./middleware/adminAuth');
 
@@ -277,6 +280,128 @@ router.delete('/admin/post/:id', adminAuth, async (req, res) => {
   }
 });
 
+// GET /admin/posts/:id/author - Real author behind a unified post, including anonymous posts (moderators and admins)
+router.get('/admin/posts/:id/author', auth, moderatorAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const moderatorUsername = req.userFull.username;
+
+    console.log(`🕵️ GET /api/moderation/admin/posts/${id}/author - Moderator: ${moderatorUsername}`);
+
+    const post = mongoose.isValidObjectId(id)
+      ? await Post.findById(id)
+        .select('space userId anonymous anonymousName isActive isRemoved createdAt')
+        .populate('userId', 'username state gender status warnings karma createdAt')
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    // Unmasking an anonymous author is logged so it can be audited
+    if (post.anonymous) {
+      console.log(`🔓 Anonymous post ${id} (${post.anonymousName}) author revealed to moderator ${moderatorUsername}`);
+    }
+
+    const author = post.userId;
+
+    res.json({
+      success: true,
+      post: {
+        id: post._id,
+        space: post.space,
+        anonymous: post.anonymous,
+        anonymousName: post.anonymousName,
+        isActive: post.isActive,
+        isRemoved: post.isRemoved,
+        createdAt: post.createdAt
+      },
+      author: author ? {
+        id: author._id,
+        username: author.username,
+        state: author.state,
+        gender: author.gender,
+        status: author.status,
+        warnings: author.warnings,
+        karma: author.karma,
+        joinedAt: author.createdAt
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Error fetching post author:', error);
+    res.status(500).json({ error: 'Failed to fetch post author' });
+  }
+});
+
+// GET /admin/posts/:id/revisions - Edit history of a unified post and its comments (moderators and admins)
+router.get('/admin/posts/:id/revisions', auth, moderatorAuth, async (req, res) => {
+  try {
+    const { id } = req.params;
+    const moderatorUsername = req.userFull.username;
+
+    console.log(`📜 GET /api/moderation/admin/posts/${id}/revisions - Moderator: ${moderatorUsername}`);
+
+    const post = mongoose.isValidObjectId(id)
+      ? await Post.findById(id)
+        .select('+revisions')
+        .populate('userId', 'username state')
+        .populate('revisions.editedBy', 'username')
+      : null;
+
+    if (!post) {
+      return res.status(404).json({ error: 'Post not found' });
+    }
+
+    const editedComments = await PostComment.find({ postId: post._id, editedAt: { $ne: null } })
+      .select('+revisions')
+      .sort({ _id: 1 });
+
+    res.json({
+      success: true,
+      post: {
+        id: post._id,
+        space: post.space,
+        author: post.userId ? { id: post.userId._id, username: post.userId.username } : null,
+        anonymous: post.anonymous,
+        anonymousName: post.anonymousName,
+        current: {
+          title: post.title,
+          body: post.body,
+          topic: post.topic,
+          subcategory: post.subcategory
+        },
+        isActive: post.isActive,
+        removalReason: post.removalReason,
+        editedAt: post.editedAt,
+        revisions: post.revisions.map(revision => ({
+          title: revision.title,
+          body: revision.body,
+          topic: revision.topic,
+          subcategory: revision.subcategory,
+          editedBy: revision.editedBy ? revision.editedBy.username : null,
+          editedAt: revision.editedAt
+        }))
+      },
+      comments: editedComments.map(comment => ({
+        id: comment._id,
+        authorId: comment.userId,
+        current: comment.body,
+        isRemoved: comment.isRemoved,
+        editedAt: comment.editedAt,
+        revisions: comment.revisions.map(revision => ({
+          body: revision.body,
+          editedAt: revision.editedAt
+        }))
+      }))
+    });
+
+  } catch (error) {
+    console.error('Error fetching post revisions:', error);
+    res.status(500).json({ error: 'Failed to fetch post revisions' });
+  }
+});
+
 // DELETE /admin/thread/:id - Remove thread (admins only)
 router.delete('/admin/thread/:id', adminAuth, async (req, res) => {
   try {
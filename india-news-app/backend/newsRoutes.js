@@ -6,12 +6,22 @@ const {
   getAllArticles,
   getArticlesByState,
   getArticleById,
+  discussArticle,
+  reactToArticle,
+  getArticleComments,
+  addArticleComment,
+  deleteArticleComment,
+  getPersonalizedFeed,
+  getStories,
   createArticle,
   updateArticle,
   deleteArticle,
   enhanceArticlesWithAI,
 } = require('./articleControllers');
 const { dynamicScrapeHandler } = require('./scrapes/scrapeControllers');
+const { authenticateToken } = require('./authRoutes');
+const { limitWrites } = require('./middleware/upstashRateLimit');
+const { moderationGate } = require('./middleware/gates');
 
 
 router.get('/ping', (req, res) => {
@@ -95,7 +105,9 @@ router.get('/ne-popular', async (req, res) => {
       // Sort by most recent
       sortCriteria = { scrapedAt: -1, createdAt: -1 };
     } else {
-      // Sort by popularity score
+      // Sort by engagement (weighted like post scores), decayed over a week so
+      // fresh articles can compete; ties fall back to recency
+      const { REACTION_TYPES } = require('./models/postModel');
       const articles = await require('./articleModel').aggregate([
         {
           $match: {
@@ -107,33 +119,39 @@ router.get('/ne-popular', async (req, res) => {
         {
           $addFields: {
             popularityScore: {
-              $add: [
-                // AI-enhanced articles get major boost
-                { $cond: [{ $eq: ["$aiGenerated", true] }, 100, 0] },
-                // Recent articles get time-based bonus (max 50 points)
+              $multiply: [
+                {
+                  $add: [
+                    // Reactions x2
+                    { $multiply: [{ $add: REACTION_TYPES.map(type => ({ $ifNull: [`$reactionCounts.${type}`, 0] })) }, 2] },
+                    // Comments x5
+                    { $multiply: [{ $ifNull: ["$commentCount", 0] }, 5] },
+                    // Views x0.1
+                    { $multiply: [{ $ifNull: ["$views", 0] }, 0.1] }
+                  ]
+                },
+                // Time decay over a week (minimum 0.1)
                 {
                   $max: [
-                    0,
+                    0.1,
                     {
                       $subtract: [
-                        50,
+                        1,
                         {
                           $divide: [
                             { $subtract: [new Date(), { $ifNull: ["$scrapedAt", "$createdAt"] }] },
-                            86400000 // 24 hours in milliseconds
+                            604800000 // 7 days in milliseconds
                           ]
                         }
                       ]
                     }
                   ]
-                },
-                // Random factor for variety (0-25 points)
-                { $multiply: [{ $rand: {} }, 25] }
+                }
               ]
             }
           }
         },
-        { $sort: { popularityScore: -1, scrapedAt: -1 } },
+        { $sort: { popularityScore: -1, scrapedAt: -1, _id: -1 } },
         { $skip: skip },
         { $limit: parseInt(limit) },
         {
@@ -145,8 +163,12 @@ router.get('/ne-popular', async (req, res) => {
             state: 1,
             source: 1,
             scrapedAt: 1,
+            publishedAt: 1,
             createdAt: 1,
             aiGenerated: 1,
+            reactionCounts: 1,
+            commentCount: 1,
+            views: 1,
             popularityScore: 1
           }
         }
@@ -171,7 +193,7 @@ router.get('/ne-popular', async (req, res) => {
           $in: neStates.map(state => new RegExp(`^${state}$`, 'i'))
         }
       })
-      .select('title aiPunchline image link state source scrapedAt createdAt aiGenerated')
+      .select('title aiPunchline image link state source scrapedAt publishedAt createdAt aiGenerated reactionCounts commentCount views')
       .sort(sortCriteria)
       .skip(skip)
       .limit(parseInt(limit));
@@ -197,18 +219,35 @@ router.get('/ne-popular', async (req, res) => {
   }
 });
 
-// Get all articles with optional pagination and search
+// Personalized feed from the user's news preferences (cursor pagination)
+router.get('/feed', authenticateToken, getPersonalizedFeed);
+
+// Stories: related coverage across sources and states grouped under a lead article
+router.get('/stories', getStories);
+
+// Get all articles with optional pagination, search and ?category=
 router.get('/', getAllArticles);
 
-// Get articles by state (e.g., ?state=Manipur)
+// Get articles by state (also supports ?category=)
 router.get('/state/:state', getArticlesByState);
 
 // Direct state route for frontend compatibility
 router.get('/:state', getArticlesByState);
 
-// Get a single article by ID (this should be last to avoid conflicts)
+// Get a single article by ID with its discussion threads (this should be last to avoid conflicts)
 router.get('/article/:id', getArticleById);
 
+// Discuss an article in Yap or Local (creates the linked post or returns the existing one)
+router.post('/article/:id/discuss', authenticateToken, limitWrites(), (req, res, next) => {
+  moderationGate(req.body.space)(req, res, next);
+}, discussArticle);
+
+// Reactions and comments on an article
+router.post('/article/:id/react', authenticateToken, limitWrites(), reactToArticle);
+router.get('/article/:id/comments', getArticleComments);
+router.post('/article/:id/comments', authenticateToken, limitWrites(), moderationGate('news'), addArticleComment);
+router.delete('/article/:id/comments/:commentId', authenticateToken, limitWrites(), deleteArticleComment);
+
 // Create a new article
 router.post('/', createArticle);
 
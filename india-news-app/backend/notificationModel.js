@@ -22,7 +22,9 @@ const notificationSchema = new mongoose.Schema({
       'post_reaction',      // Someone reacted to your post
       'thread_reply',       // Someone replied to your forum thread
       'thread_like',        // Someone liked your forum thread
-      'mention'             // Someone mentioned you (future feature)
+      'mention',            // Someone @mentioned you in a post, comment or thread
+      'new_follower',       // Someone started following you
+      'followed_post'       // Someone you follow published a post
     ]
   },
   title: {
@@ -0,0 +1,142 @@
+/**
+ * Image Upload Routes
+ * Uploads become ImageAssets (metadata stripped, thumbnail/medium/original
+ * variants) that posts attach by id via `imageIds` on POST /api/posts.
+ * Uploads no post claims within IMAGE_UNATTACHED_TTL_HOURS are deleted
+ */
+
+const express = require('express');
+const mongoose = require('mongoose');
+const multer = require('multer');
+const auth = require('../middleware/auth');
+const asyncWrap = require('../utils/asyncWrap');
+const { limitWrites } = require('../middleware/upstashRateLimit');
+const imageUploadService = require('../services/imageUploadService');
+
+const router = express.Router();
+
+// Uploads are kept in memory: they are re-encoded before anything is written to storage
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: {
+    fileSize: imageUploadService.config.maxBytes,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!imageUploadService.isAllowedMimeType(file.mimetype)) {
+      return cb(imageUploadService.fail('Only JPEG, PNG and WebP images are allowed', 415, 'UNSUPPORTED_IMAGE_TYPE'));
+    }
+    cb(null, true);
+  }
+});
+
+// IMAGE_UPLOADS_ENABLED=false turns uploads off (e.g. in CI)
+const requireUploadsEnabled = (req, res, next) => {
+  if (!imageUploadService.isEnabled) {
+    return res.status(503).json({
+      success: false,
+      error: 'Image uploads are disabled',
+      code: 'UPLOADS_DISABLED'
+    });
+  }
+  next();
+};
+
+// Parse the multipart "image" field, mapping multer errors to API errors
+const receiveImage = (req, res, next) => {
+  upload.single('image')(req, res, (error) => {
+    if (!error) return next();
+
+    if (error instanceof multer.MulterError) {
+      const tooLarge = error.code === 'LIMIT_FILE_SIZE';
+      return res.status(tooLarge ? 413 : 400).json({
+        success: false,
+        error: tooLarge ? 'Image is too large' : error.message,
+        code: tooLarge ? 'IMAGE_TOO_LARGE' : 'INVALID_UPLOAD'
+      });
+    }
+
+    if (error.code && error.status) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    next(error);
+  });
+};
+
+// 1. POST /api/images - Upload an image (multipart field "image")
+router.post('/', auth, limitWrites(), requireUploadsEnabled, receiveImage, asyncWrap(async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+
+    console.log(`🖼️ POST /api/images - User: ${req.user.username}, Size: ${req.file?.size || 0} bytes`);
+
+    const asset = await imageUploadService.processUpload(req.file?.buffer, userId);
+
+    console.log(`✅ Image ${asset._id} uploaded by ${req.user.username}`);
+
+    res.status(201).json({
+      success: true,
+      message: 'Image uploaded successfully',
+      image: imageUploadService.formatAsset(asset)
+    });
+
+  } catch (error) {
+    console.error('❌ Image upload error:', error.message);
+
+    if (['NO_IMAGE', 'INVALID_IMAGE', 'UNSUPPORTED_IMAGE_TYPE', 'IMAGE_TOO_LARGE', 'TOO_MANY_UNATTACHED_IMAGES'].includes(error.code)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to upload image',
+      code: 'UPLOAD_FAILED'
+    });
+  }
+}));
+
+// 2. DELETE /api/images/:id - Delete own upload that no post uses yet
+router.delete('/:id', auth, limitWrites(), asyncWrap(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id || req.user.sub;
+
+    console.log(`🗑️ DELETE /api/images/${id} - User: ${req.user.username}`);
+
+    const deleted = mongoose.isValidObjectId(id)
+      ? await imageUploadService.deleteUnattached(id, userId)
+      : false;
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Image not found or already attached to a post',
+        code: 'IMAGE_NOT_FOUND'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Image deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Image delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete image',
+      code: 'DELETE_FAILED'
+    });
+  }
+}));
+
+module.exports = router;
@@ -6,6 +6,7 @@
 const express = require('express');
 const { z } = require('zod');
 const { Post, REACTION_TYPES, SPACE_CONFIG } = require('../models/postModel');
+const { PostComment } = require('../models/postCommentModel');
 const { authenticateToken } = require('../authRoutes');
 const asyncWrap = require('../utils/asyncWrap');
 
@@ -93,7 +94,7 @@ function formatPost(post, userId = null, space = null) {
     },
     reactions: getReactionCounts(post.reactions || []),
     userReaction: userId ? getUserReaction(post.reactions || [], userId) : null,
-    comments: post.comments ? post.comments.filter(c => !c.isRemoved).length : 0,
+    comments: post.commentCount || 0,
     metrics: post.metrics,
     isHot: post.isHot,
     isPinned: post.isPinned,
@@ -256,8 +257,8 @@ router.post('/:id/react', authenticateToken, asyncWrap(async (req, res) => {
     
     const { type } = reactionSchema.parse(req.body);
     
-    const post = await Post.findOne({ _id: id, isActive: true });
-    if (!post) {
+    const result = await Post.toggleReaction(id, userId, type);
+    if (!result) {
       return res.status(404).json({
         success: false,
         error: 'Post not found',
@@ -265,14 +266,6 @@ router.post('/:id/react', authenticateToken, asyncWrap(async (req, res) => {
       });
     }
     
-    const existingReaction = post.getUserReaction(userId);
-    
-    if (existingReaction === type) {
-      await post.removeReaction(userId);
-    } else {
-      await post.updateReaction(userId, type);
-    }
-    
     res.status(204).send();
 
   } catch (error) {
@@ -301,7 +294,7 @@ router.post('/:id/comments', authenticateToken, asyncWrap(async (req, res) => {
     
     const { body } = commentSchema.parse(req.body);
     
-    const post = await Post.findOne({ _id: id, isActive: true });
+    const post = await Post.findOne({ _id: id, isActive: true }).select('space').lean();
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -310,9 +303,7 @@ router.post('/:id/comments', authenticateToken, asyncWrap(async (req, res) => {
       });
     }
     
-    await post.addComment(userId, body);
-    
-    const createdComment = post.comments[post.comments.length - 1];
+    const createdComment = await PostComment.addToPost(post, userId, body);
     
     res.status(201).json({
       success: true,
@@ -355,8 +346,7 @@ router.get('/:id', asyncWrap(async (req, res) => {
     const userId = req.user ? (req.user._id || req.user.userId) : null;
     
     const post = await Post.findOne({ _id: id, isActive: true })
-      .populate('userId', 'username karma state gender')
-      .populate('comments.userId', 'username karma state');
+      .populate('userId', 'username karma state gender');
     
     if (!post) {
       return res.status(404).json({
@@ -366,8 +356,13 @@ router.get('/:id', asyncWrap(async (req, res) => {
       });
     }
     
+    await Post.recordView(post._id);
     post.metrics.views += 1;
-    await post.save();
+    
+    const comments = await PostComment.find({ postId: post._id, isRemoved: false })
+      .sort({ _id: 1 })
+      .populate('userId', 'username karma state')
+      .lean();
     
     const formattedPost = {
       ...formatPost(post, userId, post.space),
@@ -378,8 +373,7 @@ router.get('/:id', asyncWrap(async (req, res) => {
         state: post.userId.state,
         gender: post.userId.gender
       },
-      comments: post.comments
-        .filter(comment => !comment.isRemoved)
+      comments: comments
         .map(comment => ({
           id: comment._id,
           body: comment.body,
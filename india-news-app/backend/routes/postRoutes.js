@@ -5,9 +5,26 @@
  */
 
 const express = require('express');
+const mongoose = require('mongoose');
 const { z } = require('zod');
-const { Post, REACTION_TYPES, SPACE_CONFIG } = require('../models/postModel');
+const {
+  Post,
+  REACTION_TYPES,
+  SPACE_CONFIG,
+  MAX_COMMENT_DEPTH,
+  POLL_MIN_OPTIONS,
+  POLL_MAX_OPTIONS,
+  POLL_MAX_DURATION_DAYS,
+  MAX_SCHEDULE_DAYS,
+  MAX_POST_IMAGES,
+  FEED_SORTS,
+  normalizeTag,
+  extractHashtags
+} = require('../models/postModel');
+const { PostComment } = require('../models/postCommentModel');
 const Notification = require('../notificationModel');
+const Follow = require('../followModel');
+const { ImageAsset } = require('../models/imageAssetModel');
 const auth = require('../middleware/auth');
 const asyncWrap = require('../utils/asyncWrap');
 const feedCacheService = require('../services/feedCacheService');
@@ -16,12 +33,18 @@ const {
   spaceGate, 
   genderGate, 
   stateGate, 
+  getReadableSpaces,
   spaceValidationGate,
   createSpaceGate,
   loggingGate,
   moderationGate 
 } = require('../middleware/gates');
 const notificationTriggerService = require('../services/notificationTriggerService');
+const { resolveMentions } = require('../utils/mentions');
+const { extractFirstUrl, fetchLinkPreview } = require('../utils/linkPreview');
+const forYouFeedService = require('../services/forYouFeedService');
+const postPublisher = require('../services/postPublisher');
+const imageUploadService = require('../services/imageUploadService');
 
 const router = express.Router();
 
@@ -30,40 +53,181 @@ const urlArr = z.array(z.string().url().refine(u => /^https?:\/\//.test(u), {
   message: "Only HTTP/HTTPS URLs are allowed"
 })).max(6);
 
+// Poll attached at creation: 2-6 distinct options, optional close time in the future
+const pollSchema = z.object({
+  options: z.array(z.string().trim().min(1).max(100)).min(POLL_MIN_OPTIONS).max(POLL_MAX_OPTIONS)
+    .refine(options => new Set(options.map(option => option.toLowerCase())).size === options.length, {
+      message: 'Poll options must be unique'
+    }),
+  multipleChoice: z.boolean().default(false),
+  closesAt: z.coerce.date()
+    .refine(date => date > new Date(), { message: 'Poll close time must be in the future' })
+    .refine(date => date <= new Date(Date.now() + POLL_MAX_DURATION_DAYS * 24 * 60 * 60 * 1000), {
+      message: `Polls can stay open for at most ${POLL_MAX_DURATION_DAYS} days`
+    })
+    .optional()
+});
+
+const pollVoteSchema = z.object({
+  optionIds: z.array(z.string().refine(id => mongoose.isValidObjectId(id), {
+    message: 'Invalid poll option id'
+  })).min(1).max(POLL_MAX_OPTIONS)
+});
+
+// Scheduled publish time: in the future, at most MAX_SCHEDULE_DAYS ahead
+const scheduledForSchema = z.coerce.date()
+  .refine(date => date > new Date(), { message: 'Scheduled time must be in the future' })
+  .refine(date => date <= new Date(Date.now() + MAX_SCHEDULE_DAYS * 24 * 60 * 60 * 1000), {
+    message: `Posts can be scheduled at most ${MAX_SCHEDULE_DAYS} days ahead`
+  });
+
+// scheduledFor goes with (and only with) the scheduled status
+const hasValidSchedule = data => (data.status === 'scheduled') === Boolean(data.scheduledFor);
+const scheduleMessage = {
+  message: 'scheduledFor is required for scheduled posts and not allowed otherwise',
+  path: ['scheduledFor']
+};
+
 // Unified validation schemas
 const createPostSchema = z.object({
   space: z.enum(['yap', 'tea', 'brospace', 'local']),
   title: z.string().max(200).optional(),
   body: z.string().min(1).max(8000), // Will be further validated by space gates
   images: urlArr.optional(),
+  // Uploaded images (POST /api/images), in display order
+  imageIds: z.array(z.string().refine(id => mongoose.isValidObjectId(id), {
+    message: 'Invalid image id'
+  })).max(MAX_POST_IMAGES).optional(),
   topic: z.string().max(50).optional(), // For YAP
   category: z.string().max(50).optional(), // For Tea/Brospace/Local
   subcategory: z.string().max(50).optional(),
+  poll: pollSchema.optional(),
   state: z.enum([
     'Assam', 'Meghalaya', 'Manipur', 'Mizoram', 'Nagaland',
     'Arunachal Pradesh', 'Tripura', 'Sikkim',
     'Gujarat', 'Maharashtra'
-  ]).optional()
-});
+  ]).optional(),
+  anonymous: z.boolean().default(false),
+  status: z.enum(['draft', 'scheduled', 'published']).default('published'),
+  scheduledFor: scheduledForSchema.optional()
+}).refine(data => (data.images?.length || 0) + (data.imageIds?.length || 0) <= MAX_POST_IMAGES, {
+  message: `At most ${MAX_POST_IMAGES} images per post`,
+  path: ['imageIds']
+}).refine(data => !data.imageIds || new Set(data.imageIds).size === data.imageIds.length, {
+  message: 'Duplicate image ids',
+  path: ['imageIds']
+}).refine(data => !data.anonymous || SPACE_CONFIG[data.space].allowAnonymous, {
+  message: 'Anonymous posting is not available in this space',
+  path: ['anonymous']
+}).refine(hasValidSchedule, scheduleMessage)
+  .refine(data => !data.poll?.closesAt || !data.scheduledFor || data.poll.closesAt > data.scheduledFor, {
+    message: 'Poll close time must be after the scheduled publish time',
+    path: ['poll', 'closesAt']
+  });
 
 const reactionSchema = z.object({
   type: z.enum(REACTION_TYPES)
 });
 
 const commentSchema = z.object({
+  body: z.string().min(1).max(4000),
+  parentId: z.string().refine(id => mongoose.isValidObjectId(id), {
+    message: 'Invalid parent comment id'
+  }).optional()
+});
+
+const editPostSchema = z.object({
+  title: z.string().max(200).optional(),
+  body: z.string().min(1).max(8000).optional(),
+  topic: z.string().max(50).optional(),
+  category: z.string().max(50).optional(),
+  subcategory: z.string().max(50).optional()
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: 'At least one field must be provided'
+});
+
+// Draft edits: content fields plus moving between draft and scheduled
+const editDraftSchema = z.object({
+  title: z.string().max(200).optional(),
+  body: z.string().min(1).max(8000).optional(),
+  topic: z.string().max(50).optional(),
+  category: z.string().max(50).optional(),
+  subcategory: z.string().max(50).optional(),
+  images: urlArr.optional(),
+  status: z.enum(['draft', 'scheduled']).optional(),
+  scheduledFor: scheduledForSchema.optional()
+}).refine(data => Object.values(data).some(value => value !== undefined), {
+  message: 'At least one field must be provided'
+}).refine(data => data.status !== 'scheduled' || data.scheduledFor, scheduleMessage)
+  .refine(data => !data.scheduledFor || data.status !== 'draft', scheduleMessage);
+
+const draftsQuerySchema = z.object({
+  status: z.enum(['draft', 'scheduled']).optional(),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().min(1).max(50).default(20)
+});
+
+const editCommentSchema = z.object({
   body: z.string().min(1).max(4000)
 });
 
+const threadQuerySchema = z.object({
+  cursor: z.string().optional(), // Pages top-level comments
+  limit: z.coerce.number().min(1).max(100).default(50),
+  replyLimit: z.coerce.number().min(0).max(20).default(3)
+});
+
+const repliesQuerySchema = z.object({
+  cursor: z.string().optional(),
+  limit: z.coerce.number().min(1).max(50).default(10),
+  replyLimit: z.coerce.number().min(0).max(20).default(3)
+});
+
 const querySchema = z.object({
-  space: z.enum(['yap', 'tea', 'brospace', 'local']),
-  sort: z.enum(['hot', 'new', 'trending']).default('hot'),
+  space: z.enum(['yap', 'tea', 'brospace', 'local']).optional(),
+  sort: z.enum(['hot', 'new', 'trending', 'foryou', 'following']).default('hot'),
   cursor: z.string().optional(),
   limit: z.coerce.number().min(1).max(50).default(20),
   topic: z.string().optional(),
   category: z.string().optional(),
-  state: z.string().optional()
+  state: z.string().optional(),
+  tag: z.string().transform(normalizeTag).refine(Boolean, { message: 'Invalid hashtag' }).optional()
+}).refine(data => data.space || ['foryou', 'following'].includes(data.sort), {
+  message: 'space is required unless sort is foryou or following',
+  path: ['space']
+});
+
+const trendingTagsQuerySchema = z.object({
+  space: z.enum(['yap', 'tea', 'brospace', 'local']).optional(),
+  state: z.string().optional(),
+  limit: z.coerce.number().min(1).max(50).default(10)
+});
+
+const searchQuerySchema = z.object({
+  q: z.string().trim().min(2).max(100),
+  space: z.enum(['yap', 'tea', 'brospace', 'local']).optional(),
+  topic: z.string().optional(),
+  category: z.string().optional(),
+  state: z.string().optional(),
+  cursor: z.string().optional(),
+  limit: z.coerce.number().min(1).max(50).default(20)
 });
 
+// Search cursors carry the relevance score and id of the last result
+function encodeSearchCursor(relevance, id) {
+  return Buffer.from(JSON.stringify({ r: relevance, id: id.toString() })).toString('base64url');
+}
+
+function decodeSearchCursor(cursor) {
+  try {
+    const { r, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (typeof r !== 'number' || !mongoose.isValidObjectId(id)) return null;
+    return { relevance: r, id: new mongoose.Types.ObjectId(id) };
+  } catch (error) {
+    return null;
+  }
+}
+
 // Helper function to format timestamp (reused from YAP)
 function getRelativeTime(date) {
   const now = new Date();
@@ -76,12 +240,134 @@ function getRelativeTime(date) {
   return date.toLocaleDateString();
 }
 
+// Poll formatter: per-option results stay hidden until the viewer has voted
+// or the poll has closed
+function formatPoll(poll, userId = null) {
+  if (!poll || !poll.options || poll.options.length === 0) return null;
+  
+  const userVote = userId
+    ? (poll.voters || []).find(voter => voter.userId.toString() === userId.toString())
+    : null;
+  const isClosed = Boolean(poll.closesAt) && new Date(poll.closesAt) <= new Date();
+  const showResults = isClosed || Boolean(userVote);
+  const totalVotes = poll.options.reduce((sum, option) => sum + (option.voteCount || 0), 0);
+  
+  return {
+    options: poll.options.map(option => ({
+      id: option._id,
+      text: option.text,
+      votes: showResults ? option.voteCount || 0 : null,
+      percentage: showResults && totalVotes > 0 ? Math.round(((option.voteCount || 0) / totalVotes) * 100) : null
+    })),
+    multipleChoice: poll.multipleChoice,
+    closesAt: poll.closesAt || null,
+    isClosed,
+    totalVoters: poll.totalVoters || 0,
+    hasVoted: Boolean(userVote),
+    userVote: userVote ? userVote.optionIds : null,
+    resultsVisible: showResults
+  };
+}
+
+// Fill in the viewer's own reaction and poll state on a viewer-independent
+// (cacheable) feed page with one small query for just those posts
+async function personalizeFeed(response, userId) {
+  if (!userId || !mongoose.isValidObjectId(userId) || response.posts.length === 0) {
+    return response;
+  }
+  
+  const viewerId = new mongoose.Types.ObjectId(userId);
+  const onlyViewer = (input) => ({
+    $filter: { input: { $ifNull: [input, []] }, cond: { $eq: ['$$this.userId', viewerId] } }
+  });
+  const viewerState = await Post.aggregate([
+    { $match: { _id: { $in: response.posts.map(post => new mongoose.Types.ObjectId(post.id.toString())) } } },
+    {
+      $project: {
+        reactions: onlyViewer('$reactions'),
+        poll: {
+          $cond: [
+            { $ifNull: ['$poll', false] },
+            {
+              options: '$poll.options',
+              multipleChoice: '$poll.multipleChoice',
+              closesAt: '$poll.closesAt',
+              totalVoters: '$poll.totalVoters',
+              voters: onlyViewer('$poll.voters')
+            },
+            null
+          ]
+        }
+      }
+    }
+  ]);
+  const byId = new Map(viewerState.map(post => [post._id.toString(), post]));
+  
+  return {
+    ...response,
+    posts: response.posts.map(post => {
+      const state = byId.get(post.id.toString());
+      if (!state) return post;
+      return {
+        ...post,
+        userReaction: state.reactions?.[0]?.type || null,
+        poll: formatPoll(state.poll, viewerId)
+      };
+    })
+  };
+}
+
+// Author block shown in place of the real author on anonymous posts
+function formatAnonymousAuthor(post) {
+  return {
+    id: null,
+    username: post.anonymousName,
+    anonymous: true
+  };
+}
+
+// Public author block. Anonymous posts only ever expose their pseudonym; other
+// posts show the populated author (or just the id when userId is not populated)
+function formatAuthor(post) {
+  if (post.anonymous) {
+    return formatAnonymousAuthor(post);
+  }
+  
+  const author = post.userId;
+  if (!author || !author.username) {
+    return { id: author || null };
+  }
+  
+  return {
+    id: author._id,
+    username: author.username,
+    karma: author.karma,
+    state: author.state,
+    gender: author.gender
+  };
+}
+
+// Whether a comment was written by the author of an anonymous post (shown as the pseudonym)
+function isAnonymousOp(post, commentUserId) {
+  if (!post?.anonymous || !commentUserId) return false;
+  const postAuthorId = post.userId?._id || post.userId;
+  const commentAuthorId = commentUserId._id || commentUserId;
+  return postAuthorId.toString() === commentAuthorId.toString();
+}
+
 // Enhanced post formatter with space-aware features
 function formatPost(post, userId = null, space = null) {
-  // Handle both Mongoose documents and lean objects
-  const getReactionCounts = (reactions) => {
+  // Handle both Mongoose documents and lean objects. Prefer the denormalized
+  // counters; posts not yet backfilled fall back to counting the array
+  const getReactionCounts = (post) => {
     const counts = { heart: 0, laugh: 0, meh: 0, skeptical: 0, fire: 0, handshake: 0 };
-    reactions.forEach(reaction => {
+    if (post.reactionCounts) {
+      REACTION_TYPES.forEach(type => {
+        counts[type] = post.reactionCounts[type] || 0;
+      });
+      return counts;
+    }
+    (post.reactions || []).forEach(reaction => {
       counts[reaction.type] = (counts[reaction.type] || 0) + 1;
     });
     return counts;
@@ -99,20 +385,40 @@ function formatPost(post, userId = null, space = null) {
     title: post.title,
     body: post.body,
     images: post.images || [],
+    media: (post.media || []).map(item => imageUploadService.formatAsset(item)),
     topic: post.topic,
     category: post.category || post.topic, // Backward compatibility
     subcategory: post.subcategory,
+    tags: post.tags || [],
     state: post.state,
-    author: {
-      id: post.userId,
-      // Note: In a real app, you'd populate this with user data
-    },
-    reactions: getReactionCounts(post.reactions || []),
+    author: formatAuthor(post),
+    anonymous: Boolean(post.anonymous),
+    reactions: getReactionCounts(post),
     userReaction: userId ? getUserReaction(post.reactions || [], userId) : null,
-    comments: post.comments ? post.comments.filter(c => !c.isRemoved).length : 0,
+    poll: formatPoll(post.poll, userId),
+    article: post.article ? {
+      id: post.article.articleId,
+      title: post.article.title,
+      punchline: post.article.punchline || null,
+      image: post.article.image || null,
+      source: post.article.source || null,
+      link: post.article.link
+    } : null,
+    linkPreview: post.linkPreview ? {
+      url: post.linkPreview.url,
+      title: post.linkPreview.title,
+      description: post.linkPreview.description || null,
+      image: post.linkPreview.image || null,
+      siteName: post.linkPreview.siteName || null
+    } : null,
+    comments: post.commentCount || 0,
     metrics: post.metrics,
     isHot: post.isHot,
     isPinned: post.isPinned,
+    status: post.status || 'published',
+    scheduledFor: post.scheduledFor || null,
+    edited: Boolean(post.editedAt),
+    editedAt: post.editedAt || null,
     timestamp: getRelativeTime(post.createdAt),
     createdAt: post.createdAt,
     updatedAt: post.updatedAt,
@@ -120,9 +426,136 @@ function formatPost(post, userId = null, space = null) {
   };
 }
 
-// Apply space-specific gates based on request
+// Comment formatter (removed comments are kept as placeholders in threads).
+// On anonymous posts the original poster's comments carry the post's pseudonym
+function formatComment(comment, post = null) {
+  const author = comment.userId || {};
+  let formattedAuthor = null;
+  if (!comment.isRemoved) {
+    formattedAuthor = isAnonymousOp(post, comment.userId)
+      ? { ...formatAnonymousAuthor(post), isOp: true }
+      : { id: author._id, username: author.username, karma: author.karma };
+  }
+  
+  return {
+    id: comment._id,
+    body: comment.isRemoved ? '[removed]' : comment.body,
+    author: formattedAuthor,
+    parentId: comment.parentId || null,
+    depth: comment.depth || 0,
+    featured: comment.featured,
+    isRemoved: comment.isRemoved,
+    edited: !comment.isRemoved && Boolean(comment.editedAt),
+    editedAt: comment.isRemoved ? null : comment.editedAt || null,
+    timestamp: getRelativeTime(comment.createdAt),
+    createdAt: comment.createdAt
+  };
+}
+
+// A removed comment stays as a placeholder only while it still has replies
+// (replyCount counts live direct replies)
+const VISIBLE_COMMENT = { $or: [{ isRemoved: false }, { replyCount: { $gt: 0 } }] };
+
+// Load one page of comments under `parentId` (top level when null) and, below
+// each, at most `replyLimit` replies per level; the rest are paged via the
+// replies endpoint. Every query is bounded and runs on { postId, parentId, _id }
+async function loadCommentThread(post, { parentId = null, cursor = null, limit = 50, replyLimit = 3 } = {}) {
+  const query = { postId: post._id, parentId, ...VISIBLE_COMMENT };
+  if (cursor && mongoose.isValidObjectId(cursor)) {
+    query._id = { $gt: cursor }; // ObjectIds are time-ordered, so later siblings are the next page
+  }
+  
+  const page = await PostComment.find(query)
+    .sort({ _id: 1 })
+    .limit(limit + 1)
+    .lean();
+  const hasMore = page.length > limit;
+  if (hasMore) page.pop();
+  
+  // Walk down level by level, fetching replyLimit + 1 children per parent to
+  // know whether more replies exist
+  const childrenOf = new Map();
+  let parents = page;
+  while (parents.length > 0) {
+    const withReplies = parents.filter(comment => comment.replyCount > 0);
+    if (withReplies.length === 0) break;
+    
+    const groups = await PostComment.aggregate([
+      { $match: { _id: { $in: withReplies.map(comment => comment._id) } } },
+      {
+        $lookup: {
+          from: PostComment.collection.name,
+          let: { parentId: '$_id' },
+          pipeline: [
+            { $match: { postId: post._id, ...VISIBLE_COMMENT, $expr: { $eq: ['$parentId', '$$parentId'] } } },
+            { $sort: { _id: 1 } },
+            { $limit: replyLimit + 1 },
+            { $project: { revisions: 0 } }
+          ],
+          as: 'children'
+        }
+      },
+      { $project: { children: 1 } }
+    ]);
+    
+    parents = [];
+    groups.forEach(group => {
+      childrenOf.set(group._id.toString(), group.children);
+      parents.push(...group.children.slice(0, replyLimit));
+    });
+  }
+  
+  const loaded = [...page, ...[...childrenOf.values()].flat()];
+  await PostComment.populate(loaded, { path: 'userId', select: 'username karma state' });
+  
+  const toNode = (comment) => {
+    const children = childrenOf.get(comment._id.toString()) || [];
+    const shown = children.slice(0, replyLimit);
+    const hasMoreReplies = children.length > shown.length;
+    
+    return {
+      ...formatComment(comment, post),
+      replyCount: comment.replyCount || 0,
+      replies: shown.map(toNode),
+      hasMoreReplies,
+      nextReplyCursor: hasMoreReplies && shown.length > 0 ? shown[shown.length - 1]._id : null
+    };
+  };
+  
+  return {
+    nodes: page.map(toNode),
+    hasMore,
+    nextCursor: hasMore && page.length > 0 ? page[page.length - 1]._id : null
+  };
+}
+
+// Unfurl the first link in a post's body in the background (create and edits).
+// The update is guarded on the body it was computed for, so a slow fetch never
+// overwrites the preview of a newer edit. Never throws
+function refreshLinkPreview(post) {
+  if (!SPACE_CONFIG[post.space]?.linkPreviews) return;
+  
+  const sourceUrl = extractFirstUrl(post.body);
+  if ((post.linkPreview?.sourceUrl || null) === sourceUrl) return;
+  
+  (async () => {
+    const preview = sourceUrl ? await fetchLinkPreview(sourceUrl) : null;
+    const result = await Post.updateOne(
+      { _id: post._id, body: post.body },
+      { $set: { linkPreview: preview ? { sourceUrl, ...preview, fetchedAt: new Date() } : null } }
+    );
+    
+    if (result.modifiedCount > 0 && post.status !== 'draft' && post.status !== 'scheduled') {
+      await feedCacheService.invalidateSpace(post.space);
+    }
+  })().catch(error => {
+    console.error(`❌ Link preview update failed for post ${post._id}:`, error.message);
+  });
+}
+
+// Apply space-specific gates based on request (edits use the stored post's space)
 const applySpaceGates = (req, res, next) => {
-  const space = req.body.space || req.query.space || req.params.space;
+  const space = req.post?.space || req.body.space || req.query.space || req.params.space;
   const config = SPACE_CONFIG[space];
   
   if (!config) {
@@ -168,6 +601,115 @@ const applySpaceGates = (req, res, next) => {
   runNextGate();
 };
 
+// Load the target post for edit/delete routes
+const loadPost = asyncWrap(async (req, res, next) => {
+  const { id } = req.params;
+  const post = mongoose.isValidObjectId(id)
+    ? await Post.findOne({ _id: id, isActive: true }).select('+revisions')
+    : null;
+  
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      error: 'Post not found',
+      code: 'POST_NOT_FOUND'
+    });
+  }
+  
+  req.post = post;
+  next();
+});
+
+// Load one of the current user's drafts or scheduled posts (other users get a 404,
+// so unpublished posts are never revealed)
+const loadDraft = asyncWrap(async (req, res, next) => {
+  const { id } = req.params;
+  const userId = req.user.id || req.user.sub;
+  const post = mongoose.isValidObjectId(id)
+    ? await Post.findOne({
+      _id: id,
+      userId,
+      status: { $in: ['draft', 'scheduled'] },
+      isRemoved: { $ne: true }
+    })
+    : null;
+  
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      error: 'Draft not found',
+      code: 'DRAFT_NOT_FOUND'
+    });
+  }
+  
+  req.post = post;
+  next();
+});
+
+// Owner-only guard for post edits and deletes
+const requirePostOwner = (req, res, next) => {
+  const userId = req.user.id || req.user.sub;
+  
+  if (req.post.userId.toString() !== userId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the author can modify this post',
+      code: 'NOT_POST_OWNER'
+    });
+  }
+  
+  next();
+};
+
+// Owner-only guard for comment edits and deletes
+const requireCommentOwner = asyncWrap(async (req, res, next) => {
+  const userId = req.user.id || req.user.sub;
+  const { commentId } = req.params;
+  const comment = mongoose.isValidObjectId(commentId)
+    ? await PostComment.findOne({ _id: commentId, postId: req.post._id }).select('+revisions')
+    : null;
+  
+  if (!comment || comment.isRemoved) {
+    return res.status(404).json({
+      success: false,
+      error: 'Comment not found',
+      code: 'COMMENT_NOT_FOUND'
+    });
+  }
+  
+  if (comment.userId.toString() !== userId.toString()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Only the author can modify this comment',
+      code: 'NOT_COMMENT_OWNER'
+    });
+  }
+  
+  req.comment = comment;
+  next();
+});
+
+// Read gates for cross-space reads (search, For You): an explicit space runs
+// the feed gates, and gendered spaces are gated on read too so Tea/Brospace
+// results never reach ineligible users
+const applyReadGates = (req, res, next) => {
+  const { space } = req.query;
+  if (!space) return next();
+
+  applySpaceGates(req, res, (err) => {
+    if (err) return next(err);
+    const config = SPACE_CONFIG[space];
+    if (!config.genderRequired) return next();
+    genderGate(config.genderRequired)(req, res, next);
+  });
+};
+
+// Feed gates: For You and Following blend spaces, everything else is a single-space feed
+const applyFeedGates = (req, res, next) => {
+  if (['foryou', 'following'].includes(req.query.sort)) return applyReadGates(req, res, next);
+  applySpaceGates(req, res, next);
+};
+
 // 1. POST /api/posts - Create new post in any space
 router.post('/', auth, limitWrites(), applySpaceGates, asyncWrap(async (req, res) => {
   try {
@@ -188,7 +730,10 @@ router.post('/', auth, limitWrites(), applySpaceGates, asyncWrap(async (req, res
       title: validatedData.title,
       body: validatedData.body,
       images: validatedData.images || [],
-      state: validatedData.state || req.user.state // Default to user's state
+      state: validatedData.state || req.user.state, // Default to user's state
+      anonymous: validatedData.anonymous,
+      status: validatedData.status,
+      scheduledFor: validatedData.scheduledFor || null
     };
     
     // Set topic or category based on space
@@ -199,18 +744,71 @@ router.post('/', auth, limitWrites(), applySpaceGates, asyncWrap(async (req, res
       postData.subcategory = validatedData.subcategory;
     }
     
+    if (validatedData.poll) {
+      postData.poll = {
+        options: validatedData.poll.options.map(text => ({ text })),
+        multipleChoice: validatedData.poll.multipleChoice,
+        closesAt: validatedData.poll.closesAt || null
+      };
+    }
+    
     const post = new Post(postData);
-    await post.save();
+    
+    // Claim the uploaded images for this post (only the author's unused uploads match)
+    const imageIds = validatedData.imageIds || [];
+    if (imageIds.length > 0) {
+      const claimed = await ImageAsset.attachToPost(imageIds, userId, post._id);
+      if (claimed !== imageIds.length) {
+        await ImageAsset.detachFromPost(post._id);
+        return res.status(400).json({
+          success: false,
+          error: 'One or more images were not found or are already used by another post',
+          code: 'INVALID_IMAGE_IDS'
+        });
+      }
+      
+      const assets = await ImageAsset.find({ _id: { $in: imageIds } }).select('variants').lean();
+      const assetsById = new Map(assets.map(asset => [asset._id.toString(), asset]));
+      post.media = imageIds.map(id => ({ assetId: id, variants: assetsById.get(id).variants }));
+    }
+    
+    try {
+      await post.save();
+    } catch (saveError) {
+      if (imageIds.length > 0) {
+        await ImageAsset.detachFromPost(post._id);
+      }
+      throw saveError;
+    }
+    
+    refreshLinkPreview(post);
+    
+    // Drafts and scheduled posts stay private; the publisher announces them when they go live
+    if (post.status !== 'published') {
+      console.log(`📝 ${space.toUpperCase()} ${post.status} saved: ${post._id} by ${req.user.username}`);
+      
+      return res.status(201).json({
+        success: true,
+        message: post.status === 'scheduled' ? 'Post scheduled successfully' : 'Draft saved successfully',
+        post: formatPost(post, userId, space)
+      });
+    }
     
     console.log(`✅ ${space.toUpperCase()} post created: "${post.title || post.body.substring(0, 50)}..." by ${req.user.username}`);
 
+    // Notify followers (unless anonymous) and @mentioned users who can see this space
+    const mentions = await postPublisher.announce(post);
+
     // Invalidate feed cache for this space
     await feedCacheService.invalidateSpace(space);
 
     res.status(201).json({
       success: true,
       message: 'Post created successfully',
-      post: formatPost(post, req.user.id || req.user.sub, space)
+      post: {
+        ...formatPost(post, req.user.id || req.user.sub, space),
+        mentions
+      }
     });
 
   } catch (error) {
@@ -234,23 +832,113 @@ router.post('/', auth, limitWrites(), applySpaceGates, asyncWrap(async (req, res
 }));
 
 // 2. GET /api/posts - Get posts with space-based filtering and pagination (with Redis caching)
-router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
+//    sort=foryou ranks posts from every readable space for the current user
+//    sort=following lists posts from followed users, newest first
+router.get('/', auth.optional, applyFeedGates, asyncWrap(async (req, res) => {
   try {
     // Validate query parameters
-    const { space, sort, cursor, limit, topic, category, state } = querySchema.parse(req.query);
+    const { space, sort, cursor, limit, topic, category, state, tag } = querySchema.parse(req.query);
+    
+    console.log(`📖 GET /api/posts - Space: ${space || 'all'}, Query: ${JSON.stringify(req.query)}`);
     
-    console.log(`📖 GET /api/posts - Space: ${space}, Query: ${JSON.stringify(req.query)}`);
+    // For You: personalized blend of readable spaces, paged from a ranking snapshot
+    if (sort === 'foryou') {
+      const page = await forYouFeedService.getPage(req.user, { cursor, limit, space });
+      const viewerId = req.user?.id || req.user?.sub;
+      const formattedPosts = page.posts.map(post => formatPost(post, viewerId, post.space));
+      
+      console.log(`✨ For You page: ${formattedPosts.length} posts from ${page.spaces.join(', ')}`);
+      
+      return res.json({
+        success: true,
+        posts: formattedPosts,
+        nextCursor: page.nextCursor,
+        hasMore: page.hasMore,
+        space: space || null,
+        spaces: page.spaces,
+        refreshed: page.refreshed,
+        pagination: {
+          sort,
+          limit,
+          total: formattedPosts.length
+        }
+      });
+    }
     
     // Try cache first (only for hot/new sorts without complex filters)
-    const filters = { topic, category, state };
+    const filters = { topic, category, state, tag };
     const canCache = ['hot', 'new'].includes(sort) && !Object.values(filters).some(Boolean);
     
     if (canCache) {
       const cached = await feedCacheService.get(space, cursor, limit, filters);
       if (cached) {
         console.log(`📋 Cache HIT for ${space} feed`);
-        return res.json(cached);
+        return res.json(await personalizeFeed(cached, req.user?.id || req.user?.sub));
+      }
+    }
+    
+    // Following: newest posts by followed users across readable spaces
+    if (sort === 'following') {
+      const viewerId = req.user?.id || req.user?.sub;
+      if (!viewerId) {
+        return res.status(401).json({
+          success: false,
+          error: 'Authentication required',
+          code: 'AUTH_REQUIRED'
+        });
+      }
+      
+      const spaces = space ? [space] : getReadableSpaces(req.user);
+      const followingIds = await Follow.getFollowingIds(viewerId);
+      // Anonymous posts never show up here, or the feed would reveal their authors
+      const followingQuery = {
+        userId: { $in: followingIds },
+        space: { $in: spaces },
+        anonymous: { $ne: true },
+        isActive: true,
+        isRemoved: { $ne: true }
+      };
+      if (cursor) {
+        const after = Post.feedCursorFilter(cursor, 'new');
+        if (!after) {
+          return res.status(400).json({
+            success: false,
+            error: 'Invalid feed cursor',
+            code: 'INVALID_CURSOR'
+          });
+        }
+        Object.assign(followingQuery, after);
+      }
+      if (tag) {
+        followingQuery.tags = tag;
       }
+      
+      const posts = followingIds.length === 0 ? [] : await Post.find(followingQuery)
+        .sort(FEED_SORTS.new)
+        .limit(limit + 1)
+        .populate('userId', 'username karma state gender')
+        .lean();
+      
+      const hasMore = posts.length > limit;
+      if (hasMore) posts.pop();
+      
+      const formattedPosts = posts.map(post => formatPost(post, viewerId, post.space));
+      
+      console.log(`👥 Following feed: ${formattedPosts.length} posts from ${followingIds.length} followed users`);
+      
+      return res.json({
+        success: true,
+        posts: formattedPosts,
+        nextCursor: hasMore && posts.length > 0 ? Post.encodeFeedCursor(posts[posts.length - 1], 'new') : null,
+        hasMore,
+        space: space || null,
+        spaces,
+        pagination: {
+          sort,
+          limit,
+          total: formattedPosts.length
+        }
+      });
     }
     
     // Build query
@@ -265,21 +953,20 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
       query.state = state;
     }
     
-    // Add cursor pagination
-    if (cursor) {
-      query._id = { $lt: cursor };
+    if (tag) {
+      query.tags = tag;
     }
     
     // Build sort options
     let sortOptions = {};
     switch (sort) {
       case 'new':
-        sortOptions = { createdAt: -1 };
+        sortOptions = FEED_SORTS.new;
         break;
       case 'trending':
         // Use the trending aggregation for recent popular posts
         const trendingPosts = await Post.getTrending(space, limit);
-        const formattedTrending = trendingPosts.map(post => formatPost(post, req.user?._id, space));
+        const formattedTrending = trendingPosts.map(post => formatPost(post, req.user?.id || req.user?.sub, space));
         
         return res.json({
           success: true,
@@ -291,9 +978,23 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
         });
       case 'hot':
       default:
-        sortOptions = { isPinned: -1, 'metrics.score': -1, createdAt: -1 };
+        sortOptions = FEED_SORTS.hot;
         break;
     }
+    const feedSort = sort === 'new' ? 'new' : 'hot';
+    
+    // Keyset pagination on the sort fields (ending in _id) keeps pages stable
+    if (cursor) {
+      const after = Post.feedCursorFilter(cursor, feedSort);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid feed cursor',
+          code: 'INVALID_CURSOR'
+        });
+      }
+      Object.assign(query, after);
+    }
     
     // Execute query
     const posts = await Post.find(query)
@@ -308,24 +1009,15 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
       posts.pop(); // Remove the extra post
     }
     
-    // Format posts for response
-    const formattedPosts = posts.map(post => ({
-      ...formatPost(post, req.user?._id, space),
-      author: {
-        id: post.userId._id,
-        username: post.userId.username,
-        karma: post.userId.karma,
-        state: post.userId.state,
-        gender: post.userId.gender
-      }
-    }));
+    // Format posts for response (viewer-independent so the page can be cached)
+    const formattedPosts = posts.map(post => formatPost(post, null, space));
     
     console.log(`📊 Found ${formattedPosts.length} ${space.toUpperCase()} posts (sort: ${sort})`);
     
     const response = {
       success: true,
       posts: formattedPosts,
-      nextCursor: hasMore && formattedPosts.length > 0 ? formattedPosts[formattedPosts.length - 1].id : null,
+      nextCursor: hasMore && posts.length > 0 ? Post.encodeFeedCursor(posts[posts.length - 1], feedSort) : null,
       hasMore,
       space,
       pagination: {
@@ -340,7 +1032,7 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
       await feedCacheService.set(space, cursor, limit, filters, response);
     }
     
-    res.json(response);
+    res.json(await personalizeFeed(response, req.user?.id || req.user?.sub));
 
   } catch (error) {
     console.error(`❌ ${req.query.space?.toUpperCase() || 'UNKNOWN'} posts fetch error:`, error);
@@ -354,6 +1046,14 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
       });
     }
     
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to fetch posts',
@@ -362,65 +1062,432 @@ router.get('/', auth.optional, applySpaceGates, asyncWrap(async (req, res) => {
   }
 }));
 
-// 3. POST /api/posts/:id/react - React to a post (space-agnostic)
-router.post('/:id/react', auth, limitWrites(), asyncWrap(async (req, res) => {
+// 3. GET /api/posts/search - Full-text search across spaces ranked by relevance
+router.get('/search', auth.optional, limitReads(), applyReadGates, asyncWrap(async (req, res) => {
   try {
-    const { id } = req.params;
-    const userId = req.user.id || req.user.sub;
-    
-    console.log(`💖 POST /api/posts/${id}/react - User: ${req.user.username}`);
-    
-    // Validate reaction type
-    const { type } = reactionSchema.parse(req.body);
-    
-    // Find the post (space-agnostic)
-    const post = await Post.findOne({ _id: id, isActive: true });
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        error: 'Post not found',
-        code: 'POST_NOT_FOUND'
-      });
+    const { q, space, topic, category, state, cursor, limit } = searchQuerySchema.parse(req.query);
+
+    console.log(`🔎 GET /api/posts/search - Query: "${q}", Space: ${space || 'all'}`);
+
+    const readableSpaces = getReadableSpaces(req.user);
+    const match = {
+      $text: { $search: q },
+      space: space ? space : { $in: readableSpaces },
+      isActive: true,
+      isRemoved: { $ne: true }
+    };
+
+    if (topic || category) {
+      match.topic = topic || category;
     }
-    
-    // Check if user already has this reaction
-    const existingReaction = post.getUserReaction(userId);
-    
-    if (existingReaction === type) {
-      // Remove reaction if it's the same type
-      await post.removeReaction(userId);
-      console.log(`🔄 Reaction removed: ${type} on ${post.space} post ${id} by ${req.user.username}`);
-    } else {
-      // Add or update reaction
-      await post.updateReaction(userId, type);
-      console.log(`✅ Reaction added: ${type} on ${post.space} post ${id} by ${req.user.username}`);
-      
-      // Create notification for post author (only for new reactions, not removals)
-      try {
-        if (post.userId.toString() !== userId.toString()) {
-          await Notification.createNotification({
-            recipient: post.userId,
-            sender: userId,
-            type: 'post_reaction',
-            title: 'Post Reaction',
-            message: `${req.user.username} reacted to your ${post.space} post: "${(post.title || post.body).substring(0, 50)}${(post.title || post.body).length > 50 ? '...' : ''}"`,
-            actionUrl: `/${post.space}/${post._id}`,
-            relatedPost: post._id,
-            senderUsername: req.user.username,
-            senderState: req.user.state
-          });
-          console.log(`🔔 Notification sent to post author for ${post.space} reaction`);
-        }
-      } catch (notificationError) {
-        console.error('❌ Failed to create reaction notification:', notificationError);
-        // Don't fail the reaction if notification fails
+
+    if (state) {
+      match.state = state;
+    }
+
+    const pipeline = [
+      { $match: match },
+      { $addFields: { relevance: { $meta: 'textScore' } } }
+    ];
+
+    // Keyset pagination on (relevance, _id) keeps pages stable
+    if (cursor) {
+      const decoded = decodeSearchCursor(cursor);
+      if (!decoded) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid search cursor',
+          code: 'INVALID_CURSOR'
+        });
       }
 
-      // Trigger push notification
-      try {
-        await notificationTriggerService.triggerReactionNotification({
-          postId: post._id,
-          postAuthorId: post.userId,
+      pipeline.push({
+        $match: {
+          $or: [
+            { relevance: { $lt: decoded.relevance } },
+            { relevance: decoded.relevance, _id: { $lt: decoded.id } }
+          ]
+        }
+      });
+    }
+
+    pipeline.push(
+      { $sort: { relevance: -1, _id: -1 } },
+      { $limit: limit + 1 }
+    );
+
+    const results = await Post.aggregate(pipeline);
+    await Post.populate(results, { path: 'userId', select: 'username karma state gender' });
+
+    const hasMore = results.length > limit;
+    if (hasMore) {
+      results.pop();
+    }
+
+    const userId = req.user ? (req.user.id || req.user.sub) : null;
+    const formattedPosts = results.map(post => ({
+      ...formatPost(post, userId, post.space),
+      relevance: post.relevance
+    }));
+
+    const last = results[results.length - 1];
+
+    console.log(`📊 Search "${q}" matched ${formattedPosts.length} posts`);
+
+    res.json({
+      success: true,
+      query: q,
+      posts: formattedPosts,
+      nextCursor: hasMore && last ? encodeSearchCursor(last.relevance, last._id) : null,
+      hasMore,
+      spaces: space ? [space] : readableSpaces,
+      pagination: {
+        limit,
+        total: formattedPosts.length
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Post search error:', error);
+
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid search parameters',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      error: 'Failed to search posts',
+      code: 'SEARCH_FAILED'
+    });
+  }
+}));
+
+// 4. GET /api/posts/tags/trending - Rising hashtags per space (or all readable spaces) and state
+router.get('/tags/trending', auth.optional, limitReads(), applyReadGates, asyncWrap(async (req, res) => {
+  try {
+    const { space, state, limit } = trendingTagsQuerySchema.parse(req.query);
+    const spaces = space ? [space] : getReadableSpaces(req.user);
+    
+    console.log(`#️⃣ GET /api/posts/tags/trending - Spaces: ${spaces.join(', ')}, State: ${state || 'all'}`);
+    
+    // Cached per space set, so gendered results never leak into another user's cache entry
+    const cacheSpace = `tags-${spaces.join('+')}`;
+    const cacheFilters = state ? { state } : {};
+    const cached = await feedCacheService.get(cacheSpace, '', limit, cacheFilters);
+    if (cached) {
+      return res.json(cached);
+    }
+    
+    const tags = await Post.getTrendingTags(spaces, { state, limit });
+    
+    const response = {
+      success: true,
+      tags,
+      spaces,
+      state: state || null,
+      window: '24h'
+    };
+    
+    await feedCacheService.set(cacheSpace, '', limit, cacheFilters, response);
+    
+    res.json(response);
+    
+  } catch (error) {
+    console.error('❌ Trending tags error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch trending tags',
+      code: 'TRENDING_TAGS_FAILED'
+    });
+  }
+}));
+
+// 5. GET /api/posts/drafts - List own drafts and scheduled posts (newest first)
+router.get('/drafts', auth, limitReads(), asyncWrap(async (req, res) => {
+  try {
+    const { status, cursor, limit } = draftsQuerySchema.parse(req.query);
+    const userId = req.user.id || req.user.sub;
+    
+    const query = {
+      userId,
+      status: status || { $in: ['draft', 'scheduled'] },
+      isRemoved: { $ne: true }
+    };
+    if (cursor && mongoose.isValidObjectId(cursor)) {
+      query._id = { $lt: cursor };
+    }
+    
+    const posts = await Post.find(query)
+      .sort({ _id: -1 })
+      .limit(limit + 1)
+      .lean();
+    
+    const hasMore = posts.length > limit;
+    if (hasMore) posts.pop();
+    
+    const formattedPosts = posts.map(post => formatPost(post, userId, post.space));
+    
+    res.json({
+      success: true,
+      posts: formattedPosts,
+      nextCursor: hasMore && formattedPosts.length > 0 ? formattedPosts[formattedPosts.length - 1].id : null,
+      hasMore
+    });
+
+  } catch (error) {
+    console.error('❌ Drafts fetch error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch drafts',
+      code: 'FETCH_FAILED'
+    });
+  }
+}));
+
+// 6. PATCH /api/posts/drafts/:id - Edit own draft or scheduled post, reschedule or unschedule
+//    (re-runs moderation and space validation; no revision history before publishing)
+router.patch('/drafts/:id', auth, limitWrites(), loadDraft, applySpaceGates, asyncWrap(async (req, res) => {
+  try {
+    const { post } = req;
+    const userId = req.user.id || req.user.sub;
+    
+    console.log(`✏️ PATCH /api/posts/drafts/${post._id} - User: ${req.user.username}`);
+    
+    const validatedData = editDraftSchema.parse(req.body);
+    const changes = {};
+    
+    ['title', 'body', 'images'].forEach(field => {
+      if (validatedData[field] !== undefined) changes[field] = validatedData[field];
+    });
+    if (validatedData.topic || validatedData.category) {
+      changes.topic = validatedData.topic || validatedData.category;
+    }
+    if (post.space !== 'yap' && validatedData.subcategory !== undefined) {
+      changes.subcategory = validatedData.subcategory;
+    }
+    if (changes.body !== undefined) {
+      changes.tags = extractHashtags(changes.body);
+    }
+    
+    if (validatedData.scheduledFor) {
+      changes.status = 'scheduled';
+      changes.scheduledFor = validatedData.scheduledFor;
+    } else if (validatedData.status === 'draft') {
+      changes.status = 'draft';
+      changes.scheduledFor = null;
+    }
+    
+    const scheduledFor = changes.status ? changes.scheduledFor : post.scheduledFor;
+    if (post.poll?.closesAt && scheduledFor && post.poll.closesAt <= scheduledFor) {
+      return res.status(400).json({
+        success: false,
+        error: 'Poll close time must be after the scheduled publish time',
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    // Guarded on the unpublished status so an edit never races the publisher
+    const updated = await Post.findOneAndUpdate(
+      { _id: post._id, status: { $in: ['draft', 'scheduled'] } },
+      { $set: changes },
+      { new: true, runValidators: true }
+    );
+    
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        error: 'This post has already been published',
+        code: 'ALREADY_PUBLISHED'
+      });
+    }
+    
+    refreshLinkPreview(updated);
+    
+    console.log(`✅ ${updated.space.toUpperCase()} ${updated.status} ${updated._id} updated by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: updated.status === 'scheduled' ? 'Scheduled post updated successfully' : 'Draft updated successfully',
+      post: formatPost(updated, userId, updated.space)
+    });
+
+  } catch (error) {
+    console.error('❌ Draft edit error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update draft',
+      code: 'UPDATE_FAILED'
+    });
+  }
+}));
+
+// 7. POST /api/posts/drafts/:id/publish - Publish own draft or scheduled post now
+router.post('/drafts/:id/publish', auth, limitWrites(), loadDraft, applySpaceGates, asyncWrap(async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    
+    console.log(`📣 POST /api/posts/drafts/${req.post._id}/publish - User: ${req.user.username}`);
+    
+    const post = await postPublisher.publish(req.post._id);
+    
+    if (!post) {
+      return res.status(409).json({
+        success: false,
+        error: 'This post has already been published',
+        code: 'ALREADY_PUBLISHED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Post published successfully',
+      post: formatPost(post, userId, post.space)
+    });
+
+  } catch (error) {
+    console.error('❌ Draft publish error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish post',
+      code: 'PUBLISH_FAILED'
+    });
+  }
+}));
+
+// 8. DELETE /api/posts/drafts/:id - Discard own draft or scheduled post (soft delete)
+router.delete('/drafts/:id', auth, limitWrites(), loadDraft, asyncWrap(async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const removedAt = new Date();
+    
+    console.log(`🗑️ DELETE /api/posts/drafts/${req.post._id} - User: ${req.user.username}`);
+    
+    const result = await Post.updateOne(
+      { _id: req.post._id, status: { $in: ['draft', 'scheduled'] } },
+      {
+        $set: {
+          isRemoved: true,
+          removedBy: userId,
+          removedAt,
+          removalReason: 'Draft discarded by author'
+        }
+      }
+    );
+    
+    if (result.matchedCount === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'This post has already been published',
+        code: 'ALREADY_PUBLISHED'
+      });
+    }
+    
+    res.json({
+      success: true,
+      message: 'Draft deleted successfully',
+      deletedAt: removedAt
+    });
+
+  } catch (error) {
+    console.error('❌ Draft delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete draft',
+      code: 'DELETE_FAILED'
+    });
+  }
+}));
+
+// 9. POST /api/posts/:id/react - React to a post (space-agnostic)
+router.post('/:id/react', auth, limitWrites(), asyncWrap(async (req, res) => {
+  try {
+    const { id } = req.params;
+    const userId = req.user.id || req.user.sub;
+    
+    console.log(`💖 POST /api/posts/${id}/react - User: ${req.user.username}`);
+    
+    // Validate reaction type
+    const { type } = reactionSchema.parse(req.body);
+    
+    // Toggle the reaction atomically (space-agnostic)
+    const result = await Post.toggleReaction(id, userId, type);
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+    
+    const { post, action } = result;
+    
+    if (action === 'removed') {
+      // Same type again removes the reaction
+      console.log(`🔄 Reaction removed: ${type} on ${post.space} post ${id} by ${req.user.username}`);
+    } else {
+      console.log(`✅ Reaction ${action}: ${type} on ${post.space} post ${id} by ${req.user.username}`);
+      
+      // Create notification for post author (only for new reactions, not removals)
+      try {
+        if (post.userId.toString() !== userId.toString()) {
+          await Notification.createNotification({
+            recipient: post.userId,
+            sender: userId,
+            type: 'post_reaction',
+            title: 'Post Reaction',
+            message: `${req.user.username} reacted to your ${post.space} post: "${(post.title || post.body).substring(0, 50)}${(post.title || post.body).length > 50 ? '...' : ''}"`,
+            actionUrl: `/${post.space}/${post._id}`,
+            relatedPost: post._id,
+            senderUsername: req.user.username,
+            senderState: req.user.state
+          });
+          console.log(`🔔 Notification sent to post author for ${post.space} reaction`);
+        }
+      } catch (notificationError) {
+        console.error('❌ Failed to create reaction notification:', notificationError);
+        // Don't fail the reaction if notification fails
+      }
+
+      // Trigger push notification
+      try {
+        await notificationTriggerService.triggerReactionNotification({
+          postId: post._id,
+          postAuthorId: post.userId,
           reactorId: userId,
           reactor: req.user.username,
           reactionType: type,
@@ -449,6 +1516,14 @@ router.post('/:id/react', auth, limitWrites(), asyncWrap(async (req, res) => {
       });
     }
     
+    if (error.code === 'REACTION_CONFLICT') {
+      return res.status(409).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to process reaction',
@@ -457,7 +1532,70 @@ router.post('/:id/react', auth, limitWrites(), asyncWrap(async (req, res) => {
   }
 }));
 
-// 4. POST /api/posts/:id/comments - Add comment to post (space-agnostic)
+// 10. POST /api/posts/:id/poll/vote - Vote in a post's poll (one vote per user, space gates apply)
+router.post('/:id/poll/vote', auth, limitWrites(), loadPost, applySpaceGates, asyncWrap(async (req, res) => {
+  try {
+    const userId = req.user.id || req.user.sub;
+    const { optionIds } = pollVoteSchema.parse(req.body);
+    const config = SPACE_CONFIG[req.post.space];
+    
+    console.log(`🗳️ POST /api/posts/${req.post._id}/poll/vote - User: ${req.user.username}`);
+    
+    // Local polls are voted on by residents of the post's state, like local posting
+    if (config.stateRestricted && req.post.state && req.post.state !== req.user.state) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. You can only vote in polls from your own state (${req.user.state})`,
+        code: 'STATE_RESTRICTED'
+      });
+    }
+    
+    const updated = await Post.castPollVote(req.post._id, userId, optionIds);
+    if (!updated) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+    
+    console.log(`✅ Poll vote recorded on ${updated.space} post ${updated._id} by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Vote recorded',
+      poll: formatPoll(updated.poll, userId)
+    });
+    
+  } catch (error) {
+    console.error('❌ Poll vote error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid vote',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    if (['POLL_NOT_FOUND', 'INVALID_POLL_OPTIONS', 'POLL_CLOSED', 'ALREADY_VOTED'].includes(error.code)) {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record vote',
+      code: 'POLL_VOTE_FAILED'
+    });
+  }
+}));
+
+// 11. POST /api/posts/:id/comments - Add comment to post (space-agnostic)
 router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) => {
   try {
     const { id } = req.params;
@@ -465,11 +1603,13 @@ router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) =>
     
     console.log(`💬 POST /api/posts/${id}/comments - User: ${req.user.username}`);
     
-    // Validate comment body
-    const { body } = commentSchema.parse(req.body);
+    // Validate comment body and optional parent for threaded replies
+    const { body, parentId } = commentSchema.parse(req.body);
     
     // Find the post (space-agnostic)
-    const post = await Post.findOne({ _id: id, isActive: true });
+    const post = await Post.findOne({ _id: id, isActive: true })
+      .select('space userId title body state anonymous anonymousName')
+      .lean();
     if (!post) {
       return res.status(404).json({
         success: false,
@@ -478,28 +1618,54 @@ router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) =>
       });
     }
     
-    // Add comment using model method
-    await post.addComment(userId, body);
+    // The author of an anonymous post comments under its pseudonym
+    const asAnonymousOp = isAnonymousOp(post, userId);
+    const authorName = asAnonymousOp ? post.anonymousName : req.user.username;
+    const authorState = asAnonymousOp ? 'Anonymous' : req.user.state;
     
-    // Get the created comment (last one in array)
-    const createdComment = post.comments[post.comments.length - 1];
+    // Add comment to the comment collection (validates parent and depth for replies)
+    const createdComment = await PostComment.addToPost(post, userId, body, parentId);
+    const parentComment = parentId ? await PostComment.findById(parentId).lean() : null;
     
-    console.log(`✅ Comment added to ${post.space} post ${id} by ${req.user.username}`);
+    console.log(`✅ ${parentComment ? 'Reply' : 'Comment'} added to ${post.space} post ${id} by ${req.user.username}`);
     
-    // Create notification for post author (if not commenting on own post)
+    // Notify the parent comment author about the reply
     try {
-      if (post.userId.toString() !== userId.toString()) {
+      if (parentComment && parentComment.userId.toString() !== userId.toString()) {
+        await Notification.createNotification({
+          recipient: parentComment.userId,
+          sender: userId,
+          type: 'comment_reply',
+          title: 'New Reply',
+          message: `${authorName} replied to your comment: "${parentComment.body.substring(0, 50)}${parentComment.body.length > 50 ? '...' : ''}"`,
+          actionUrl: `/${post.space}/${post._id}`,
+          relatedPost: post._id,
+          relatedComment: createdComment._id,
+          senderUsername: authorName,
+          senderState: authorState
+        });
+        console.log(`🔔 Notification sent to parent comment author for ${post.space} reply`);
+      }
+    } catch (notificationError) {
+      console.error('❌ Failed to create reply notification:', notificationError);
+      // Don't fail the reply if notification fails
+    }
+    
+    // Create notification for post author (if not commenting on own post or already notified as parent author)
+    try {
+      const notifiedAsParent = parentComment && parentComment.userId.toString() === post.userId.toString();
+      if (post.userId.toString() !== userId.toString() && !notifiedAsParent) {
         await Notification.createNotification({
           recipient: post.userId,
           sender: userId,
           type: 'post_comment',
           title: 'New Comment',
-          message: `${req.user.username} commented on your ${post.space} post: "${(post.title || post.body).substring(0, 50)}${(post.title || post.body).length > 50 ? '...' : ''}"`,
+          message: `${authorName} commented on your ${post.space} post: "${(post.title || post.body).substring(0, 50)}${(post.title || post.body).length > 50 ? '...' : ''}"`,
           actionUrl: `/${post.space}/${post._id}`,
           relatedPost: post._id,
           relatedComment: createdComment._id,
-          senderUsername: req.user.username,
-          senderState: req.user.state
+          senderUsername: authorName,
+          senderState: authorState
         });
         console.log(`🔔 Notification sent to post author for ${post.space} comment`);
       }
@@ -514,27 +1680,48 @@ router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) =>
         postId: post._id,
         postAuthorId: post.userId,
         commentAuthorId: userId,
-        commentAuthor: req.user.username,
+        commentAuthor: authorName,
         postTitle: post.title || post.body.substring(0, 50),
         space: post.space,
-        commentAuthorState: req.user.state
+        commentAuthorState: authorState
       });
     } catch (pushError) {
       console.error('❌ Failed to trigger push notification for comment:', pushError);
       // Don't fail the comment if push notification fails
     }
     
+    // Notify @mentioned users who can see this space (post and parent authors were notified above)
+    const { mentions, recipients } = await resolveMentions(body, {
+      audience: Post.getAudience(post),
+      authorId: userId
+    });
+    notificationTriggerService.triggerMentionNotifications({
+      recipients,
+      senderId: userId,
+      sender: authorName,
+      senderState: authorState,
+      contentType: 'comment',
+      preview: body,
+      actionUrl: `/${post.space}/${post._id}`,
+      relatedPost: post._id,
+      relatedComment: createdComment._id,
+      excludeUserIds: [post.userId, parentComment?.userId]
+    });
+    
     res.status(201).json({
       success: true,
       message: 'Comment added successfully',
       comment: {
         id: createdComment._id,
         body: createdComment.body,
-        author: {
-          id: userId,
-          username: req.user.username
-        },
+        author: asAnonymousOp
+          ? { ...formatAnonymousAuthor(post), isOp: true }
+          : { id: userId, username: req.user.username },
+        parentId: createdComment.parentId,
+        depth: createdComment.depth,
+        replyCount: 0,
         featured: createdComment.featured,
+        mentions,
         timestamp: getRelativeTime(createdComment.createdAt),
         createdAt: createdComment.createdAt
       }
@@ -552,6 +1739,15 @@ router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) =>
       });
     }
     
+    if (error.code === 'PARENT_COMMENT_NOT_FOUND' || error.code === 'MAX_DEPTH_REACHED') {
+      return res.status(error.status).json({
+        success: false,
+        error: error.message,
+        code: error.code,
+        ...(error.code === 'MAX_DEPTH_REACHED' && { maxDepth: MAX_COMMENT_DEPTH })
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to add comment',
@@ -560,18 +1756,88 @@ router.post('/:id/comments', auth, limitWrites(), asyncWrap(async (req, res) =>
   }
 }));
 
-// 5. GET /api/posts/:id - Get single post with comments (space-agnostic)
+// 12. GET /api/posts/:id/comments/:commentId/replies - Paginate replies under a comment
+router.get('/:id/comments/:commentId/replies', auth.optional, asyncWrap(async (req, res) => {
+  try {
+    const { id, commentId } = req.params;
+    const { cursor, limit, replyLimit } = repliesQuerySchema.parse(req.query);
+    
+    console.log(`🧵 GET /api/posts/${id}/comments/${commentId}/replies`);
+    
+    const post = await Post.findOne({ _id: id, isActive: true })
+      .select('userId anonymous anonymousName')
+      .lean();
+    
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        error: 'Post not found',
+        code: 'POST_NOT_FOUND'
+      });
+    }
+    
+    const parent = mongoose.isValidObjectId(commentId)
+      ? await PostComment.findOne({ _id: commentId, postId: post._id }).lean()
+      : null;
+    if (!parent) {
+      return res.status(404).json({
+        success: false,
+        error: 'Comment not found',
+        code: 'COMMENT_NOT_FOUND'
+      });
+    }
+    
+    const { nodes, hasMore, nextCursor } = await loadCommentThread(post, {
+      parentId: parent._id,
+      cursor,
+      limit,
+      replyLimit
+    });
+    
+    res.json({
+      success: true,
+      parent: {
+        id: parent._id,
+        depth: parent.depth,
+        replyCount: parent.replyCount
+      },
+      replies: nodes,
+      nextCursor,
+      hasMore
+    });
+
+  } catch (error) {
+    console.error('❌ Comment replies fetch error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch replies',
+      code: 'FETCH_FAILED'
+    });
+  }
+}));
+
+// 13. GET /api/posts/:id - Get single post with threaded comments (space-agnostic)
 router.get('/:id', auth.optional, asyncWrap(async (req, res) => {
   try {
     const { id } = req.params;
     const userId = req.user ? (req.user.id || req.user.sub) : null;
+    const { cursor, limit, replyLimit } = threadQuerySchema.parse(req.query);
     
     console.log(`📖 GET /api/posts/${id}`);
     
-    // Find post and populate author and comment authors
+    // Find post and populate author
     const post = await Post.findOne({ _id: id, isActive: true })
-      .populate('userId', 'username karma state gender')
-      .populate('comments.userId', 'username karma state');
+      .populate('userId', 'username karma state gender');
     
     if (!post) {
       return res.status(404).json({
@@ -581,34 +1847,20 @@ router.get('/:id', auth.optional, asyncWrap(async (req, res) => {
       });
     }
     
-    // Increment view count
+    // Increment view count atomically (reflect it in the response too)
+    await Post.recordView(post._id);
     post.metrics.views += 1;
-    await post.save();
     
-    // Format post with full comment details
+    // Load a page of top-level comments (oldest first) with their first replies
+    const thread = await loadCommentThread(post, { cursor, limit, replyLimit });
+    
+    // Format post with the threaded comment tree
     const formattedPost = {
       ...formatPost(post, userId, post.space),
-      author: {
-        id: post.userId._id,
-        username: post.userId.username,
-        karma: post.userId.karma,
-        state: post.userId.state,
-        gender: post.userId.gender
-      },
-      comments: post.comments
-        .filter(comment => !comment.isRemoved)
-        .map(comment => ({
-          id: comment._id,
-          body: comment.body,
-          author: {
-            id: comment.userId._id,
-            username: comment.userId.username,
-            karma: comment.userId.karma
-          },
-          featured: comment.featured,
-          timestamp: getRelativeTime(comment.createdAt),
-          createdAt: comment.createdAt
-        }))
+      comments: thread.nodes,
+      nextCommentCursor: thread.nextCursor,
+      hasMoreComments: thread.hasMore,
+      maxCommentDepth: MAX_COMMENT_DEPTH
     };
     
     res.json({
@@ -618,6 +1870,16 @@ router.get('/:id', auth.optional, asyncWrap(async (req, res) => {
 
   } catch (error) {
     console.error('❌ Single post fetch error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid query parameters',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
     res.status(500).json({
       success: false,
       error: 'Failed to fetch post',
@@ -626,6 +1888,162 @@ router.get('/:id', auth.optional, asyncWrap(async (req, res) => {
   }
 }));
 
+// 14. PATCH /api/posts/:id - Edit own post (re-runs moderation and space validation)
+router.patch('/:id', auth, limitWrites(), loadPost, requirePostOwner, applySpaceGates, asyncWrap(async (req, res) => {
+  try {
+    const { post } = req;
+    const userId = req.user.id || req.user.sub;
+    
+    console.log(`✏️ PATCH /api/posts/${post._id} - User: ${req.user.username}`);
+    
+    const validatedData = editPostSchema.parse(req.body);
+    const changes = {
+      title: validatedData.title,
+      body: validatedData.body,
+      topic: validatedData.topic || validatedData.category,
+      subcategory: post.space === 'yap' ? undefined : validatedData.subcategory
+    };
+    
+    await post.applyEdit(userId, changes);
+    refreshLinkPreview(post);
+    
+    console.log(`✅ ${post.space.toUpperCase()} post ${post._id} edited by ${req.user.username}`);
+    
+    // Invalidate feed cache for this space
+    await feedCacheService.invalidateSpace(post.space);
+    
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      post: formatPost(post, userId, post.space)
+    });
+
+  } catch (error) {
+    console.error('❌ Post edit error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Validation error',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update post',
+      code: 'UPDATE_FAILED'
+    });
+  }
+}));
+
+// 15. DELETE /api/posts/:id - Withdraw own post (soft delete)
+router.delete('/:id', auth, limitWrites(), loadPost, requirePostOwner, asyncWrap(async (req, res) => {
+  try {
+    const { post } = req;
+    const userId = req.user.id || req.user.sub;
+    
+    console.log(`🗑️ DELETE /api/posts/${post._id} - User: ${req.user.username}`);
+    
+    post.isActive = false;
+    post.isRemoved = true;
+    post.removedBy = userId;
+    post.removedAt = new Date();
+    post.removalReason = 'Deleted by author';
+    await post.save();
+    
+    console.log(`✅ ${post.space.toUpperCase()} post ${post._id} deleted by ${req.user.username}`);
+    
+    // Invalidate feed cache for this space
+    await feedCacheService.invalidateSpace(post.space);
+    
+    res.json({
+      success: true,
+      message: 'Post deleted successfully',
+      deletedAt: post.removedAt
+    });
+
+  } catch (error) {
+    console.error('❌ Post delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete post',
+      code: 'DELETE_FAILED'
+    });
+  }
+}));
+
+// 16. PATCH /api/posts/:id/comments/:commentId - Edit own comment
+router.patch('/:id/comments/:commentId', auth, limitWrites(), loadPost, requireCommentOwner, applySpaceGates, asyncWrap(async (req, res) => {
+  try {
+    const { post, comment } = req;
+    
+    console.log(`✏️ PATCH /api/posts/${post._id}/comments/${comment._id} - User: ${req.user.username}`);
+    
+    const { body } = editCommentSchema.parse(req.body);
+    await comment.applyEdit(body);
+    
+    console.log(`✅ Comment ${comment._id} on ${post.space} post edited by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Comment updated successfully',
+      comment: {
+        ...formatComment(comment),
+        author: isAnonymousOp(post, comment.userId)
+          ? { ...formatAnonymousAuthor(post), isOp: true }
+          : { id: comment.userId, username: req.user.username },
+        replyCount: comment.replyCount
+      }
+    });
+
+  } catch (error) {
+    console.error('❌ Comment edit error:', error);
+    
+    if (error instanceof z.ZodError) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid comment data',
+        details: error.errors,
+        code: 'VALIDATION_ERROR'
+      });
+    }
+    
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update comment',
+      code: 'UPDATE_FAILED'
+    });
+  }
+}));
+
+// 17. DELETE /api/posts/:id/comments/:commentId - Delete own comment (soft delete)
+router.delete('/:id/comments/:commentId', auth, limitWrites(), loadPost, requireCommentOwner, asyncWrap(async (req, res) => {
+  try {
+    const { post, comment } = req;
+    
+    console.log(`🗑️ DELETE /api/posts/${post._id}/comments/${comment._id} - User: ${req.user.username}`);
+    
+    await comment.softRemove();
+    
+    console.log(`✅ Comment ${comment._id} on ${post.space} post deleted by ${req.user.username}`);
+    
+    res.json({
+      success: true,
+      message: 'Comment deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Comment delete error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to delete comment',
+      code: 'DELETE_FAILED'
+    });
+  }
+}));
+
 // Debug endpoint to check unified posts status across all spaces
 router.get('/debug/status', asyncWrap(async (req, res) => {
   try {
@@ -655,9 +2073,9 @@ router.get('/debug/status', asyncWrap(async (req, res) => {
         id: post._id,
         title: post.title,
         body: post.body.substring(0, 100) + '...',
-        author: post.userId?.username || 'Unknown',
+        author: post.anonymous ? post.anonymousName : post.userId?.username || 'Unknown',
         reactions: post.reactions.length,
-        comments: post.comments.filter(c => !c.isRemoved).length,
+        comments: post.commentCount || 0,
         createdAt: post.createdAt
       }));
     }
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Article = require('./articleModel');
+
+const SAVED_ITEM_TYPES = ['post', 'article'];
+
+// Bookmarks for unified posts and scraped news articles
+const savedItemSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  itemType: {
+    type: String,
+    required: true,
+    enum: SAVED_ITEM_TYPES
+  },
+  itemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Snapshot taken at save time so removed items still show what they were
+  title: {
+    type: String,
+    maxlength: 300,
+    default: ''
+  },
+  savedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One bookmark per item per user; list index pages newest-first by _id
+savedItemSchema.index({ userId: 1, itemType: 1, itemId: 1 }, { unique: true });
+savedItemSchema.index({ userId: 1, itemType: 1, _id: -1 });
+savedItemSchema.index({ userId: 1, _id: -1 });
+
+// Static method to save an item. Returns true only when a new bookmark was created.
+// Saved articles carry a saveCount so ScraperScheduler cleanup keeps them
+savedItemSchema.statics.saveItem = async function(userId, itemType, itemId, title = '') {
+  let result;
+  try {
+    result = await this.updateOne(
+      { userId, itemType, itemId },
+      { $setOnInsert: { userId, itemType, itemId, title: title.slice(0, 300), savedAt: new Date() } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Concurrent saves of the same item: the other request created it
+    if (error.code === 11000) return false;
+    throw error;
+  }
+
+  if (result.upsertedCount === 0) {
+    return false;
+  }
+
+  if (itemType === 'article') {
+    await Article.updateOne({ _id: itemId }, { $inc: { saveCount: 1 } });
+  }
+
+  return true;
+};
+
+// Static method to remove a bookmark. Returns true only when one was removed
+savedItemSchema.statics.removeItem = async function(userId, itemType, itemId) {
+  const result = await this.deleteOne({ userId, itemType, itemId });
+
+  if (result.deletedCount === 0) {
+    return false;
+  }
+
+  if (itemType === 'article') {
+    await Article.updateOne({ _id: itemId, saveCount: { $gt: 0 } }, { $inc: { saveCount: -1 } });
+  }
+
+  return true;
+};
+
+const SavedItem = mongoose.model('SavedItem', savedItemSchema);
+
+module.exports = SavedItem;
+module.exports.SAVED_ITEM_TYPES = SAVED_ITEM_TYPES;
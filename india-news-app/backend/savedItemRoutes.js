@@ -0,0 +1,184 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { z } = require('zod');
+const SavedItem = require('./savedItemModel');
+const { SAVED_ITEM_TYPES } = require('./savedItemModel');
+const Article = require('./articleModel');
+const { Post } = require('./models/postModel');
+const { getReadableSpaces } = require('./middleware/gates');
+const { authenticateToken } = require('./authRoutes');
+const router = express.Router();
+
+// Validation schemas
+const objectId = z.string().refine(id => mongoose.isValidObjectId(id), {
+  message: 'Invalid item id'
+});
+
+const saveSchema = z.object({
+  type: z.enum(SAVED_ITEM_TYPES),
+  itemId: objectId
+});
+
+const listQuerySchema = z.object({
+  type: z.enum(SAVED_ITEM_TYPES).optional(),
+  cursor: objectId.optional(),
+  limit: z.coerce.number().min(1).max(50).default(20)
+});
+
+// Load the item being saved; posts must be live and in a space the user can read
+async function findSaveableItem(type, itemId, user) {
+  if (type === 'article') {
+    return Article.findById(itemId).select('title').lean();
+  }
+
+  return Post.findOne({
+    _id: itemId,
+    space: { $in: getReadableSpaces(user) },
+    isActive: true,
+    isRemoved: { $ne: true }
+  }).select('title body').lean();
+}
+
+// Shape a live item for the saved list
+function formatSavedPost(post) {
+  return {
+    id: post._id,
+    space: post.space,
+    title: post.title,
+    body: post.body,
+    images: post.images || [],
+    topic: post.topic,
+    state: post.state,
+    reactions: post.reactionCounts,
+    comments: post.commentCount || 0,
+    createdAt: post.createdAt
+  };
+}
+
+function formatSavedArticle(article) {
+  return {
+    id: article._id,
+    title: article.title,
+    summary: article.aiSummary || article.summary,
+    image: article.image,
+    link: article.link,
+    source: article.source,
+    state: article.state,
+    scrapedAt: article.scrapedAt || article.createdAt
+  };
+}
+
+// Save a post or article
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const parsed = saveSchema.safeParse(req.body);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation error', details: parsed.error.errors });
+    }
+
+    const { type, itemId } = parsed.data;
+    const item = await findSaveableItem(type, itemId, req.user);
+    if (!item) {
+      return res.status(404).json({ error: `${type === 'post' ? 'Post' : 'Article'} not found` });
+    }
+
+    const title = item.title || (item.body || '').substring(0, 100);
+    const created = await SavedItem.saveItem(req.user._id, type, item._id, title);
+
+    res.status(created ? 201 : 200).json({
+      message: created ? 'Saved' : 'Already saved',
+      saved: true,
+      type,
+      itemId
+    });
+
+  } catch (error) {
+    console.error('Save item error:', error);
+    res.status(500).json({ error: 'Failed to save item' });
+  }
+});
+
+// Remove a saved post or article
+router.delete('/:type/:itemId', authenticateToken, async (req, res) => {
+  try {
+    const parsed = saveSchema.safeParse(req.params);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Validation error', details: parsed.error.errors });
+    }
+
+    const { type, itemId } = parsed.data;
+    const removed = await SavedItem.removeItem(req.user._id, type, itemId);
+
+    res.json({
+      message: removed ? 'Removed from saved' : 'Item was not saved',
+      saved: false,
+      type,
+      itemId
+    });
+
+  } catch (error) {
+    console.error('Unsave item error:', error);
+    res.status(500).json({ error: 'Failed to remove saved item' });
+  }
+});
+
+// List saved items, newest first. Items removed since saving are returned with
+// available: false and the title captured at save time
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const parsed = listQuerySchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({ error: 'Invalid query parameters', details: parsed.error.errors });
+    }
+
+    const { type, cursor, limit } = parsed.data;
+    const query = { userId: req.user._id };
+    if (type) query.itemType = type;
+    if (cursor) query._id = { $lt: cursor };
+
+    const saved = await SavedItem.find(query).sort({ _id: -1 }).limit(limit + 1).lean();
+    const hasMore = saved.length > limit;
+    if (hasMore) saved.pop();
+
+    // Batch-load the live items per type
+    const idsOf = (itemType) => saved.filter(s => s.itemType === itemType).map(s => s.itemId);
+    const [posts, articles] = await Promise.all([
+      Post.find({
+        _id: { $in: idsOf('post') },
+        space: { $in: getReadableSpaces(req.user) },
+        isActive: true,
+        isRemoved: { $ne: true }
+      }).select('-reactions -revisions').lean(),
+      Article.find({ _id: { $in: idsOf('article') } }).lean()
+    ]);
+
+    const postsById = new Map(posts.map(post => [post._id.toString(), formatSavedPost(post)]));
+    const articlesById = new Map(articles.map(article => [article._id.toString(), formatSavedArticle(article)]));
+
+    const items = saved.map(entry => {
+      const lookup = entry.itemType === 'post' ? postsById : articlesById;
+      const item = lookup.get(entry.itemId.toString()) || null;
+      return {
+        id: entry._id,
+        type: entry.itemType,
+        itemId: entry.itemId,
+        title: entry.title,
+        savedAt: entry.savedAt,
+        available: Boolean(item),
+        item
+      };
+    });
+
+    res.json({
+      items,
+      hasMore,
+      nextCursor: hasMore && saved.length > 0 ? saved[saved.length - 1]._id : null
+    });
+
+  } catch (error) {
+    console.error('Saved items fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch saved items' });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,6 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Article = require('../articleModel.js');
+const { politeGet } = require('../utils/crawlPolicy');
 const { batchGenerateContent, generateArticleContent } = require('../utils/aiUtils.js');
 
 /**
@@ -103,12 +103,7 @@ async function scrapeAssamNews() {
  */
 async function scrapeSource(source) {
   try {
-    const { data } = await axios.get(source.url, {
-      timeout: 10000,
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      }
-    });
+    const { data } = await politeGet(source.url, { timeout: 10000 });
     
     const $ = cheerio.load(data);
     const articles = [];
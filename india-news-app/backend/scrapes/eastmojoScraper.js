@@ -1,10 +1,10 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Article = require('../articleModel.js');
+const { politeGet } = require('../utils/crawlPolicy');
 
 async function scrapeEastMojo(state, url) {
   try {
-    const { data } = await axios.get(url);
+    const { data } = await politeGet(url, { timeout: 10000 });
     const $ = cheerio.load(data);
 
     const articles = [];
@@ -1,6 +1,6 @@
-const axios = require('axios');
 const cheerio = require('cheerio');
 const Article = require('../articleModel.js');
+const { politeGet } = require('../utils/crawlPolicy');
 const { enhanceArticleWithAI } = require('../articleControllers.js');
 
 const dynamicScrapeHandler = async (req, res) => {
@@ -36,7 +36,7 @@ const dynamicScrapeHandler = async (req, res) => {
 async function scrapeEastMojo(state, url) {
   console.log('Scraping URL:', url);
   try {
-    const { data } = await axios.get(url);
+    const { data } = await politeGet(url, { timeout: 10000 });
     const $ = cheerio.load(data);
 
     const articles = [];
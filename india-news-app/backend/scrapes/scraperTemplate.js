@@ -1,14 +1,24 @@
- const axios = require('axios');
-const cheerio = require('cheerio');
+ const cheerio = require('cheerio');
 const mongoose = require('mongoose');
 const Article = require('../articleModel');
 const { generateArticleContent } = require('../utils/aiUtils');
 const { deduplicateStateArticles, generateContentHash, checkStateArticlesInDatabase } = require('../utils/stateDeduplication');
 const { batchAnalyzeGeographicRelevance } = require('../utils/geographicRelevance');
+const { classifyArticle } = require('../utils/categoryClassifier');
+const { parseFeed, FEED_ACCEPT_HEADER } = require('../utils/feedParser');
+const { parseSitemap, filterSitemapEntries } = require('../utils/sitemapParser');
+const { parsePreview } = require('../utils/linkPreview');
+const { extractArticle, fetchArticleContent } = require('../utils/articleExtractor');
+const { fetchSourceUrl } = require('../utils/scraperFetch');
+const { politeGet } = require('../utils/crawlPolicy');
 require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
 
 // STATE CONFIGURATION TEMPLATE
-// Add your sources here as you find them and test their selectors
+// Add your sources here as you find them and test their selectors.
+// Sources that publish a feed can skip selectors: { name, url, type: 'rss' }
+// reads RSS 2.0, Atom or JSON Feed from url. Sites whose listing pages load
+// dynamically can use { name, url, type: 'sitemap', sitemap: { pathPattern,
+// maxAgeHours } } with url pointing at sitemap.xml or a news sitemap
 const STATE_CONFIGS = {
   'Assam': {
     sources: [
@@ -228,7 +238,16 @@ const STATE_CONFIGS = {
   
   'Sikkim': {
     sources: [
-      // Sikkim Express removed - uses dynamic content loading
+      // Listing pages use dynamic content loading, so articles are found via the sitemap
+      {
+        name: 'Sikkim Express',
+        url: 'https://www.sikkimexpress.com/sitemap.xml',
+        type: 'sitemap',
+        sitemap: {
+          pathPattern: null,  // Sikkim-only outlet: every recent page is a candidate
+          maxAgeHours: 48
+        }
+      }
     ]
   }
 };
@@ -242,15 +261,27 @@ async function testSource(stateName, sourceConfig) {
     console.log(`🧪 Testing ${sourceConfig.name} for ${stateName}...`);
     console.log(`📍 URL: ${sourceConfig.url || sourceConfig.base_url}`);
     
-    const response = await axios.get(sourceConfig.url || sourceConfig.base_url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
+    if (sourceConfig.type === 'rss' || sourceConfig.type === 'sitemap') {
+      const articles = sourceConfig.type === 'rss'
+        ? await fetchFeedArticles(stateName, sourceConfig, { limit: 3 })
+        : await fetchSitemapArticles(stateName, sourceConfig, { limit: 3 });
+      articles.forEach((article, index) => {
+        console.log(`\n📄 Article ${index + 1}:`);
+        console.log(`   Title: ${article.title}`);
+        console.log(`   Link: ${article.link}`);
+        console.log(`   Image: ${article.image || 'NOT FOUND'}`);
+        console.log(`   Summary: ${article.summary ? article.summary.substring(0, 100) + '...' : 'NOT FOUND'}`);
+        console.log(`   Published: ${article.publishedAt ? article.publishedAt.toISOString() : 'NOT FOUND'}`);
+      });
+
+      console.log(`\n✅ Successfully extracted ${articles.length} articles`);
+      return articles;
+    }
+
+    const response = await fetchSourceUrl(sourceConfig.url || sourceConfig.base_url);
 
     const $ = cheerio.load(response.data);
-    console.log(`✅ Page loaded successfully`);
+    console.log(`✅ Page loaded successfully${response.notModified ? ' (not modified, using cached copy)' : ''}`);
     
     // Test selectors
     const articleElements = $(sourceConfig.selectors ? sourceConfig.selectors.articles : sourceConfig.article_selector);
@@ -301,73 +332,265 @@ async function testSource(stateName, sourceConfig) {
 }
 
 /**
- * Scrape articles from a working source configuration with AI enhancement
+ * Placeholder/lazy-loading images that are better dropped than shown
  */
-async function scrapeSource(state, sourceConfig) {
-  try {
-    console.log(`🔍 Scraping ${sourceConfig.name} for ${state}...`);
-    
-    const response = await axios.get(sourceConfig.url || sourceConfig.base_url, {
-      headers: {
-        'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36'
-      },
-      timeout: 10000
-    });
+function isPlaceholderImage(image) {
+  return Boolean(image) && (
+    image.includes('data:image/svg+xml') ||
+    image.includes('data:image/gif;base64') ||
+    image.includes('placeholder') ||
+    image.includes('lazy') ||
+    image.includes('R0lGODlhAQABAAD') || // 1x1 transparent GIF
+    image.trim() === '' ||
+    image.length < 10
+  );
+}
 
-    const $ = cheerio.load(response.data);
-    const articles = [];
+/**
+ * An unchanged listing page (304) holds no articles we haven't seen
+ */
+function logUnchanged(sourceConfig) {
+  console.log(`⏭️ ${sourceConfig.name} unchanged since the last fetch (304), skipping`);
+}
+
+/**
+ * Fetch a feed source (type: 'rss') and map its items to the Article shape.
+ * RSS 2.0, Atom and JSON Feed are detected from the response
+ */
+async function fetchFeedArticles(state, sourceConfig, { limit = 10, skipUnchanged = false } = {}) {
+  const feedUrl = sourceConfig.url || sourceConfig.base_url;
+  const response = await fetchSourceUrl(feedUrl, {
+    headers: {
+      'Accept': FEED_ACCEPT_HEADER
+    }
+  });
+  if (response.notModified && skipUnchanged) {
+    logUnchanged(sourceConfig);
+    return [];
+  }
 
-    const articleSelector = sourceConfig.selectors ? sourceConfig.selectors.articles : sourceConfig.article_selector;
-    const titleSelector = sourceConfig.selectors ? sourceConfig.selectors.title : sourceConfig.title_selector;
-    const urlSelector = sourceConfig.selectors ? sourceConfig.selectors.link : sourceConfig.url_selector;
+  const feed = parseFeed(response.data, feedUrl);
+  console.log(`📡 Parsed ${feed.format} feed with ${feed.items.length} items`);
 
-    $(articleSelector).each((index, element) => {
-      if (index >= 10) return false; // Limit to 10 articles per source
+  const scrapedAt = new Date();
+  return feed.items
+    .filter(item => item.title && item.link)
+    .slice(0, limit)
+    .map(item => ({
+      title: item.title,
+      link: item.link,
+      image: isPlaceholderImage(item.image) ? null : item.image,
+      summary: item.summary || '',
+      state,
+      source: sourceConfig.name,
+      // Dates in the future are clock or timezone mistakes in the feed
+      publishedAt: item.publishedAt && item.publishedAt <= scrapedAt ? item.publishedAt : null,
+      scrapedAt
+    }));
+}
 
-      const $element = $(element);
-      const title = $element.find(titleSelector).text().trim();
-      const link = $element.find(urlSelector).attr('href');
-      let image = sourceConfig.selectors && sourceConfig.selectors.image
-        ? ($element.find(sourceConfig.selectors.image).attr('data-src') ||
-           $element.find(sourceConfig.selectors.image).attr('src') ||
-           $element.find(sourceConfig.selectors.image).attr('data-lazy-src'))
-        : null;
-      
-      // Filter out placeholder/lazy-loading SVGs and invalid images
-      if (image && (
-        image.includes('data:image/svg+xml') ||
-        image.includes('data:image/gif;base64') ||
-        image.includes('placeholder') ||
-        image.includes('lazy') ||
-        image.includes('R0lGODlhAQABAAD') || // 1x1 transparent GIF
-        image.trim() === '' ||
-        image.length < 10
-      )) {
-        image = null;
+/**
+ * Fetch a sitemap source (type: 'sitemap'): pick recent article URLs from
+ * sitemap.xml, a sitemap index or a news sitemap, then read title, image and
+ * summary from each page's meta tags
+ */
+async function fetchSitemapArticles(state, sourceConfig, { limit = 10, skipUnchanged = false } = {}) {
+  const options = {
+    pathPattern: null,  // RegExp source matched against URL paths
+    maxAgeHours: 48,    // Skip entries older than this (and undated ones)
+    maxSitemaps: 3,     // Child sitemaps read from a sitemap index
+    ...sourceConfig.sitemap
+  };
+  const sitemapUrl = sourceConfig.url || sourceConfig.base_url;
+  const sitemapRequest = {
+    responseType: 'arraybuffer', // May be gzipped
+    maxContentLength: 20 * 1024 * 1024
+  };
+
+  const response = await fetchSourceUrl(sitemapUrl, sitemapRequest);
+  if (response.notModified && skipUnchanged) {
+    logUnchanged(sourceConfig);
+    return [];
+  }
+
+  const sitemap = parseSitemap(response.data, sitemapUrl);
+  const entries = sitemap.type === 'urlset' ? sitemap.entries : [];
+
+  // Sitemap index: read the most recently modified child sitemaps
+  if (sitemap.type === 'index') {
+    const children = [...sitemap.sitemaps]
+      .sort((a, b) => (b.lastModified?.getTime() || 0) - (a.lastModified?.getTime() || 0))
+      .slice(0, options.maxSitemaps);
+
+    for (const child of children) {
+      try {
+        const childSitemap = parseSitemap((await fetchSourceUrl(child.url, sitemapRequest)).data, child.url);
+        if (childSitemap.type === 'urlset') entries.push(...childSitemap.entries);
+      } catch (error) {
+        console.error(`⚠️ Skipping sitemap ${child.url}:`, error.message);
       }
-      
-      // Skip fallback images to avoid 404 errors - better to have no image than broken image
-      // if (!image && sourceConfig.fallbackImage) {
-      //   image = sourceConfig.fallbackImage;
-      // }
-      const summary = sourceConfig.selectors ? $element.find(sourceConfig.selectors.summary).text().trim() : '';
+    }
+  }
 
-      if (title && link) {
-        articles.push({
-          title,
-          link: link.startsWith('http') ? link : `${new URL(sourceConfig.url || sourceConfig.base_url).origin}${link}`,
-          image: image && image.startsWith('http') ? image :
-                 image ? `${new URL(sourceConfig.url || sourceConfig.base_url).origin}${image}` : null,
-          summary: summary || '',
-          state,
-          source: sourceConfig.name,
-          scrapedAt: new Date()
-        });
+  const candidates = filterSitemapEntries(entries, options).slice(0, limit);
+  console.log(`🗺️ ${candidates.length} of ${entries.length} sitemap URLs are recent article pages`);
+
+  const scrapedAt = new Date();
+  const articles = [];
+
+  // Article pages are paced by the per-domain rate limit (utils/crawlPolicy.js)
+  for (const entry of candidates) {
+    try {
+      const response = await politeGet(entry.url, { responseType: 'text', timeout: 10000 });
+      const meta = parsePreview(response.data, entry.url);
+      const title = entry.title || meta?.title;
+      if (!title) continue;
+
+      const image = meta?.image || entry.image;
+      const article = {
+        title,
+        link: entry.url,
+        image: isPlaceholderImage(image) ? null : image,
+        summary: meta?.description || '',
+        state,
+        source: sourceConfig.name,
+        publishedAt: entry.publishedAt && entry.publishedAt <= scrapedAt ? entry.publishedAt : null,
+        scrapedAt
+      };
+
+      // The page is already here, so extract the body now rather than refetching it
+      if (sourceConfig.extractBody !== false) {
+        applyExtractedContent(article, extractArticle(response.data));
       }
-    });
+      articles.push(article);
+    } catch (error) {
+      console.error(`⚠️ Failed to read ${entry.url}:`, error.message);
+    }
+  }
+
+  return articles;
+}
+
+/**
+ * Copy what the article extractor found onto a scraped article. Sources'
+ * own summary and date win; the body fills in a missing summary
+ */
+function applyExtractedContent(article, content) {
+  article.body = content.body;
+  article.wordCount = content.wordCount;
+  article.author = article.author || content.author;
+
+  const scrapedAt = article.scrapedAt || new Date();
+  if (!article.publishedAt && content.publishedAt && content.publishedAt <= scrapedAt) {
+    article.publishedAt = content.publishedAt;
+  }
+
+  if (!article.summary && content.body) {
+    const firstParagraph = content.body.split('\n\n')[0];
+    article.summary = firstParagraph.length > 300
+      ? `${firstParagraph.substring(0, firstParagraph.lastIndexOf(' ', 300))}...`
+      : firstParagraph;
+  }
+}
+
+/**
+ * Fetch each article page for its full text, author and publication date
+ * (utils/articleExtractor.js). Articles already extracted are skipped; the
+ * per-domain rate limit paces the requests
+ */
+async function addArticleBodies(articles) {
+  for (const article of articles) {
+    if (article.body !== undefined) continue;
+
+    const content = await fetchArticleContent(article.link);
+    if (content) {
+      applyExtractedContent(article, content);
+    }
+  }
+}
+
+/**
+ * Fetch an HTML source and extract articles with its CSS selectors
+ */
+async function scrapeHtmlArticles(state, sourceConfig, { skipUnchanged = false } = {}) {
+  const response = await fetchSourceUrl(sourceConfig.url || sourceConfig.base_url);
+  if (response.notModified && skipUnchanged) {
+    logUnchanged(sourceConfig);
+    return [];
+  }
+
+  const $ = cheerio.load(response.data);
+  const articles = [];
+
+  const articleSelector = sourceConfig.selectors ? sourceConfig.selectors.articles : sourceConfig.article_selector;
+  const titleSelector = sourceConfig.selectors ? sourceConfig.selectors.title : sourceConfig.title_selector;
+  const urlSelector = sourceConfig.selectors ? sourceConfig.selectors.link : sourceConfig.url_selector;
+
+  $(articleSelector).each((index, element) => {
+    if (index >= 10) return false; // Limit to 10 articles per source
+
+    const $element = $(element);
+    const title = $element.find(titleSelector).text().trim();
+    const link = $element.find(urlSelector).attr('href');
+    let image = sourceConfig.selectors && sourceConfig.selectors.image
+      ? ($element.find(sourceConfig.selectors.image).attr('data-src') ||
+         $element.find(sourceConfig.selectors.image).attr('src') ||
+         $element.find(sourceConfig.selectors.image).attr('data-lazy-src'))
+      : null;
+    
+    // Filter out placeholder/lazy-loading SVGs and invalid images
+    if (isPlaceholderImage(image)) {
+      image = null;
+    }
+    
+    // Skip fallback images to avoid 404 errors - better to have no image than broken image
+    // if (!image && sourceConfig.fallbackImage) {
+    //   image = sourceConfig.fallbackImage;
+    // }
+    const summary = sourceConfig.selectors ? $element.find(sourceConfig.selectors.summary).text().trim() : '';
+
+    if (title && link) {
+      articles.push({
+        title,
+        link: link.startsWith('http') ? link : `${new URL(sourceConfig.url || sourceConfig.base_url).origin}${link}`,
+        image: image && image.startsWith('http') ? image :
+               image ? `${new URL(sourceConfig.url || sourceConfig.base_url).origin}${image}` : null,
+        summary: summary || '',
+        state,
+        source: sourceConfig.name,
+        scrapedAt: new Date()
+      });
+    }
+  });
+
+  return articles;
+}
+
+/**
+ * Scrape articles from a working source configuration with AI enhancement
+ */
+async function scrapeSource(state, sourceConfig) {
+  try {
+    console.log(`🔍 Scraping ${sourceConfig.name} for ${state}...`);
+    
+    let articles;
+    if (sourceConfig.type === 'rss') {
+      articles = await fetchFeedArticles(state, sourceConfig, { skipUnchanged: true });
+    } else if (sourceConfig.type === 'sitemap') {
+      articles = await fetchSitemapArticles(state, sourceConfig, { skipUnchanged: true });
+    } else {
+      articles = await scrapeHtmlArticles(state, sourceConfig, { skipUnchanged: true });
+    }
 
     console.log(`✅ Found ${articles.length} articles from ${sourceConfig.name}`);
     
+    // Full article text for AI summaries, geographic relevance and categories
+    if (articles.length > 0 && sourceConfig.extractBody !== false) {
+      await addArticleBodies(articles);
+      const withBody = articles.filter(article => article.body).length;
+      console.log(`📖 Extracted full text for ${withBody}/${articles.length} articles`);
+    }
+    
     // AI Enhancement: Generate punchlines and summaries for all articles
     if (articles.length > 0) {
       console.log(`🤖 Enhancing ${articles.length} articles with AI...`);
@@ -379,7 +602,7 @@ async function scrapeSource(state, sourceConfig) {
           
           const aiContent = await generateArticleContent({
             title: article.title,
-            body: article.summary,
+            body: article.body || article.summary,
             source: article.source,
             state: article.state
           });
@@ -412,6 +635,13 @@ async function scrapeSource(state, sourceConfig) {
       }
       
       console.log(`🎯 AI enhancement completed for ${sourceConfig.name}`);
+      
+      // Topic categories (keyword fallback when the AI path is off or fails)
+      for (let i = 0; i < articles.length; i++) {
+        const classification = await classifyArticle(articles[i]);
+        articles[i].categories = classification.categories;
+      }
+      console.log(`🏷️ Categorized ${articles.length} articles from ${sourceConfig.name}`);
     }
     
     return articles;
@@ -486,9 +716,15 @@ async function scrapeStateConfig(stateName, stateConfig) {
     console.log(`🌍 Validating geographic relevance for ${allArticles.length} articles...`);
     const geoAnalysisResults = await batchAnalyzeGeographicRelevance(allArticles, 3);
     
+    // Keep the confidence and other mentioned states for the personalized feed
     const geographicallyRelevantArticles = geoAnalysisResults
       .filter(result => result.shouldInclude)
-      .map(result => result.article);
+      .map(({ article, analysis }) => ({
+        ...article,
+        stateConfidence: typeof analysis.confidence === 'number' ? analysis.confidence : null,
+        relatedStates: Object.keys(analysis.keywordAnalysis?.allScores || {})
+          .filter(state => state !== article.state)
+      }));
     
     const geoFilteredCount = allArticles.length - geographicallyRelevantArticles.length;
     
@@ -0,0 +1,106 @@
+/**
+ * Backfill Script - Article Categories
+ * Classifies existing news articles into Article.categories. New articles are
+ * categorized during scraping (scrapeSource); this covers articles scraped
+ * before categories existed. Safe to re-run.
+ *
+ * Keyword classification by default (deterministic, no API calls). Add --ai
+ * to use the OpenAI path when CATEGORY_AI_ENABLED=true.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: __dirname + '/../.env' });
+
+// Import models
+const Article = require('../articleModel');
+const { classifyArticle, isAIClassificationEnabled } = require('../utils/categoryClassifier');
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB for backfill');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Classify articles (all articles with --all, otherwise only uncategorized ones)
+ */
+async function runBackfill(rebuildAll, useAI) {
+  console.log('🚀 Starting Article Category Backfill');
+  console.log('====================================');
+
+  if (useAI && !isAIClassificationEnabled()) {
+    console.log('⚠️  AI classification is not enabled (OPENAI_API_KEY and CATEGORY_AI_ENABLED=true); using keywords');
+  }
+
+  try {
+    await connectDB();
+
+    const filter = rebuildAll ? {} : { $or: [{ categories: { $exists: false } }, { categories: { $size: 0 } }] };
+    const pending = await Article.countDocuments(filter);
+    console.log(`📊 Found ${pending} articles to classify`);
+
+    // Write through the raw collection so timestamps stay untouched
+    const cursor = Article.collection.find(filter, { projection: { title: 1, summary: 1, aiSummary: 1 } });
+    let batch = [];
+    let processed = 0;
+    let categorized = 0;
+
+    for await (const article of cursor) {
+      const { categories } = await classifyArticle(article, { useAI });
+      if (categories.length > 0) categorized++;
+
+      batch.push({ updateOne: { filter: { _id: article._id }, update: { $set: { categories } } } });
+      processed++;
+
+      if (batch.length === 500) {
+        await Article.collection.bulkWrite(batch, { ordered: false });
+        batch = [];
+        console.log(`📈 Backfill progress: ${processed}/${pending} articles`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await Article.collection.bulkWrite(batch, { ordered: false });
+    }
+
+    console.log(`✅ Categories written on ${processed} articles (${categorized} with at least one category)`);
+
+    // Make sure the category index exists before ?category= filters are used
+    await Article.createIndexes();
+    console.log('✅ Article indexes created');
+
+    console.log('\n🎉 Backfill completed');
+
+  } catch (error) {
+    console.error('\n💥 Backfill failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const rebuildAll = args.includes('--all');
+const useAI = args.includes('--ai');
+
+if (!force) {
+  console.log('⚠️  This script will write categories on news articles.');
+  console.log('⚠️  Run with --force to classify uncategorized articles, add --all to reclassify every article and --ai to use OpenAI.');
+  process.exit(0);
+}
+
+// Run the backfill
+runBackfill(rebuildAll, useAI);
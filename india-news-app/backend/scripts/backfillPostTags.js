@@ -0,0 +1,97 @@
+/**
+ * Backfill Script - Post Hashtags
+ * Extracts #hashtags from the body of existing unified posts into Post.tags.
+ * New posts and edits get tags from the Post pre-save hook; this covers posts
+ * created before hashtags existed. Safe to re-run (tags are recomputed).
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: __dirname + '/../.env' });
+
+// Import models
+const { Post, extractHashtags } = require('../models/postModel');
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB for backfill');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Recompute tags (all posts with --all, otherwise only posts missing them)
+ */
+async function runBackfill(rebuildAll) {
+  console.log('🚀 Starting Post Hashtag Backfill');
+  console.log('=================================');
+
+  try {
+    await connectDB();
+
+    const filter = rebuildAll ? {} : { tags: { $exists: false } };
+    const pending = await Post.countDocuments(filter);
+    console.log(`📊 Found ${pending} posts to backfill`);
+
+    // Write through the raw collection so timestamps and scores stay untouched
+    const cursor = Post.collection.find(filter, { projection: { body: 1 } });
+    let batch = [];
+    let processed = 0;
+    let tagged = 0;
+
+    for await (const post of cursor) {
+      const tags = extractHashtags(post.body);
+      if (tags.length > 0) tagged++;
+
+      batch.push({ updateOne: { filter: { _id: post._id }, update: { $set: { tags } } } });
+      processed++;
+
+      if (batch.length === 500) {
+        await Post.collection.bulkWrite(batch, { ordered: false });
+        batch = [];
+        console.log(`📈 Backfill progress: ${processed}/${pending} posts`);
+      }
+    }
+
+    if (batch.length > 0) {
+      await Post.collection.bulkWrite(batch, { ordered: false });
+    }
+
+    console.log(`✅ Tags written on ${processed} posts (${tagged} with at least one hashtag)`);
+
+    // Make sure the tag indexes exist before the trending endpoint is used
+    await Post.createIndexes();
+    console.log('✅ Post indexes created');
+
+    console.log('\n🎉 Backfill completed');
+
+  } catch (error) {
+    console.error('\n💥 Backfill failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const rebuildAll = args.includes('--all');
+
+if (!force) {
+  console.log('⚠️  This script will write hashtags on unified posts.');
+  console.log('⚠️  Run with --force to backfill posts missing tags, add --all to recompute every post.');
+  process.exit(0);
+}
+
+// Run the backfill
+runBackfill(rebuildAll);
@@ -0,0 +1,81 @@
+/**
+ * Backfill Script - Post Reaction Counters
+ * Populates the denormalized Post.reactionCounts fields from each post's
+ * reactions array. Safe to re-run (counts are rebuilt, not incremented),
+ * e.g. to repair counters after manual data fixes.
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: __dirname + '/../.env' });
+
+// Import models
+const { Post } = require('../models/postModel');
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB for backfill');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Rebuild counters (all posts with --all, otherwise only posts missing them)
+ */
+async function runBackfill(rebuildAll) {
+  console.log('🚀 Starting Reaction Counter Backfill');
+  console.log('=====================================');
+
+  try {
+    await connectDB();
+
+    const filter = rebuildAll ? {} : { reactionCounts: { $exists: false } };
+    const pending = await Post.countDocuments(filter);
+    console.log(`📊 Found ${pending} posts to backfill`);
+
+    const result = await Post.rebuildReactionCounts(filter);
+    console.log(`✅ Reaction counters rebuilt on ${result.modifiedCount} posts`);
+
+    // Spot-check a sample against the reactions array
+    const sample = await Post.findOne({ 'reactions.0': { $exists: true } });
+    if (sample) {
+      const arrayTotal = sample.reactions.length;
+      const counterTotal = Object.values(sample.getReactionCounts()).reduce((sum, n) => sum + n, 0);
+      console.log(`🔬 Sample post ${sample._id}: ${arrayTotal} reactions, counters total ${counterTotal}`);
+      if (arrayTotal !== counterTotal) {
+        console.log('⚠️  Sample counters do not match. Re-run with --all to rebuild every post.');
+      }
+    }
+
+    console.log('\n🎉 Backfill completed');
+
+  } catch (error) {
+    console.error('\n💥 Backfill failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+const force = args.includes('--force');
+const rebuildAll = args.includes('--all');
+
+if (!force) {
+  console.log('⚠️  This script will write reaction counters on unified posts.');
+  console.log('⚠️  Run with --force to backfill posts missing counters, add --all to rebuild every post.');
+  process.exit(0);
+}
+
+// Run the backfill
+runBackfill(rebuildAll);
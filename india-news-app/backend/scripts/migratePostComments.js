@@ -0,0 +1,255 @@
+/**
+ * Data Migration Script - Post Comments Collection
+ * Moves comments embedded in unified Post documents into the PostComment collection
+ * Preserves comment ids (notification links and reply parents keep working),
+ * threading fields, edit history and timestamps, then sets Post.commentCount
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config({ path: __dirname + '/../.env' });
+
+// Import models
+const { Post } = require('../models/postModel');
+const { PostComment } = require('../models/postCommentModel');
+
+// Migration statistics
+const stats = {
+  posts: { total: 0, migrated: 0, errors: 0 },
+  comments: { total: 0, migrated: 0, skipped: 0 },
+  counters: { initialized: 0 }
+};
+
+/**
+ * Connect to MongoDB
+ */
+async function connectDB() {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI, {
+      useNewUrlParser: true,
+      useUnifiedTopology: true,
+    });
+    console.log('✅ Connected to MongoDB for migration');
+  } catch (error) {
+    console.error('❌ MongoDB connection error:', error);
+    process.exit(1);
+  }
+}
+
+/**
+ * Build PostComment documents from a post's embedded comments
+ */
+function buildCommentDocs(post) {
+  const comments = post.comments || [];
+
+  // Direct reply counts are recomputed from the embedded thread
+  const replyCounts = {};
+  comments.forEach(comment => {
+    if (comment.parentId && !comment.isRemoved) {
+      const key = comment.parentId.toString();
+      replyCounts[key] = (replyCounts[key] || 0) + 1;
+    }
+  });
+
+  return comments.map(comment => ({
+    _id: comment._id,
+    postId: post._id,
+    space: post.space,
+    userId: comment.userId,
+    body: comment.body,
+    parentId: comment.parentId || null,
+    depth: comment.depth || 0,
+    replyCount: replyCounts[comment._id.toString()] || 0,
+    featured: comment.featured || false,
+    isRemoved: comment.isRemoved || false,
+    editedAt: comment.editedAt || null,
+    revisions: comment.revisions || [],
+    createdAt: comment.createdAt || post.createdAt,
+    updatedAt: comment.updatedAt || comment.createdAt || post.createdAt
+  }));
+}
+
+/**
+ * Move embedded comments of every post into the PostComment collection
+ */
+async function migrateEmbeddedComments(dryRun) {
+  console.log('\n🔄 Starting embedded comments migration...');
+
+  try {
+    // Read through the raw collection: `comments` is no longer part of the schema
+    const cursor = Post.collection.find(
+      { 'comments.0': { $exists: true } },
+      { projection: { space: 1, comments: 1, createdAt: 1 } }
+    );
+
+    for await (const post of cursor) {
+      stats.posts.total++;
+
+      try {
+        const docs = buildCommentDocs(post);
+        const activeCount = docs.filter(doc => !doc.isRemoved).length;
+        stats.comments.total += docs.length;
+
+        if (dryRun) {
+          console.log(`🧪 Would move ${docs.length} comments from ${post.space} post ${post._id}`);
+          continue;
+        }
+
+        // Upsert by original id so re-running the script is safe
+        const result = await PostComment.collection.bulkWrite(
+          docs.map(doc => ({
+            updateOne: {
+              filter: { _id: doc._id },
+              update: { $setOnInsert: doc },
+              upsert: true
+            }
+          })),
+          { ordered: false }
+        );
+
+        stats.comments.migrated += result.upsertedCount;
+        stats.comments.skipped += docs.length - result.upsertedCount;
+
+        // Only drop the embedded array once every comment is stored
+        await Post.collection.updateOne(
+          { _id: post._id },
+          { $set: { commentCount: activeCount }, $unset: { comments: '' } }
+        );
+
+        stats.posts.migrated++;
+
+        if (stats.posts.migrated % 10 === 0) {
+          console.log(`📈 Comment migration progress: ${stats.posts.migrated} posts, ${stats.comments.migrated} comments`);
+        }
+
+      } catch (error) {
+        console.error(`❌ Error migrating comments of post ${post._id}:`, error.message);
+        stats.posts.errors++;
+      }
+    }
+
+    console.log(`✅ Comment migration completed: ${stats.posts.migrated} posts, ${stats.posts.errors} errors`);
+
+  } catch (error) {
+    console.error('❌ Comment migration failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Initialize the denormalized counter on posts that never had comments
+ */
+async function initializeCommentCounts(dryRun) {
+  console.log('\n🔄 Initializing commentCount on remaining posts...');
+
+  const filter = { commentCount: { $exists: false } };
+
+  if (dryRun) {
+    const count = await Post.collection.countDocuments(filter);
+    console.log(`🧪 Would initialize commentCount on ${count} posts`);
+    return;
+  }
+
+  const result = await Post.collection.updateMany(filter, { $set: { commentCount: 0 } });
+  stats.counters.initialized = result.modifiedCount;
+
+  console.log(`✅ Initialized commentCount on ${result.modifiedCount} posts`);
+}
+
+/**
+ * Verify migration integrity
+ */
+async function verifyMigration() {
+  console.log('\n🔍 Verifying migration integrity...');
+
+  try {
+    const remainingEmbedded = await Post.collection.countDocuments({ 'comments.0': { $exists: true } });
+    const activeComments = await PostComment.countDocuments({ isRemoved: false });
+    const [counterTotal] = await Post.aggregate([
+      { $group: { _id: null, total: { $sum: '$commentCount' } } }
+    ]);
+
+    console.log(`📊 Posts still holding embedded comments: ${remainingEmbedded}`);
+    console.log(`📊 Active PostComment documents: ${activeComments}`);
+    console.log(`📊 Sum of Post.commentCount: ${counterTotal?.total || 0}`);
+
+    if (remainingEmbedded === 0 && activeComments === (counterTotal?.total || 0)) {
+      console.log('\n✅ Migration verification completed successfully');
+    } else {
+      console.log('\n⚠️  Counts do not line up yet. Re-run the migration to pick up remaining posts.');
+    }
+
+  } catch (error) {
+    console.error('❌ Migration verification failed:', error);
+    throw error;
+  }
+}
+
+/**
+ * Generate migration report
+ */
+function generateReport(dryRun) {
+  console.log('\n📋 MIGRATION REPORT');
+  console.log('==================');
+
+  console.log(`Posts:           ${stats.posts.migrated}/${stats.posts.total} migrated (${stats.posts.errors} errors)`);
+  console.log(`Comments:        ${stats.comments.migrated}/${stats.comments.total} inserted (${stats.comments.skipped} already present)`);
+  console.log(`Counters:        ${stats.counters.initialized} posts initialized with commentCount 0`);
+
+  if (dryRun) {
+    console.log('\n🧪 Dry run finished - no data was modified');
+  } else if (stats.posts.errors === 0) {
+    console.log('\n🎉 Migration completed successfully with no errors!');
+  } else {
+    console.log(`\n⚠️  Migration completed with ${stats.posts.errors} errors. Please review the logs above.`);
+  }
+}
+
+/**
+ * Main migration function
+ */
+async function runMigration(dryRun) {
+  console.log('🚀 Starting Post Comments Collection Migration');
+  console.log('==============================================');
+
+  try {
+    await connectDB();
+
+    // Make sure the new collection has its indexes before bulk inserts
+    if (!dryRun) {
+      await PostComment.syncIndexes();
+    }
+
+    await migrateEmbeddedComments(dryRun);
+    await initializeCommentCounts(dryRun);
+
+    if (!dryRun) {
+      await verifyMigration();
+    }
+
+    generateReport(dryRun);
+
+  } catch (error) {
+    console.error('\n💥 Migration failed:', error);
+    process.exit(1);
+  } finally {
+    await mongoose.disconnect();
+    console.log('\n👋 Disconnected from MongoDB');
+  }
+}
+
+// Handle command line arguments
+const args = process.argv.slice(2);
+const dryRun = args.includes('--dry-run');
+const force = args.includes('--force');
+
+if (dryRun) {
+  console.log('🧪 DRY RUN MODE - No data will be modified');
+} else if (!force) {
+  console.log('⚠️  This script will move embedded post comments into the PostComment collection.');
+  console.log('⚠️  Make sure you have a database backup before proceeding.');
+  console.log('⚠️  Run with --force flag to proceed, or --dry-run to test first.');
+  process.exit(0);
+}
+
+// Run the migration
+runMigration(dryRun);
@@ -9,6 +9,7 @@ require('dotenv').config({ path: __dirname + '/../.env' });
 
 // Import models
 const { Post } = require('../models/postModel');
+const { PostComment } = require('../models/postCommentModel');
 const { YapPost } = require('../yapPostModel');
 const TeaIslandPost = require('../teaIslandPostModel');
 
@@ -73,7 +74,7 @@ async function migrateYapPosts() {
           topic: yapPost.topic,
           state: yapPost.state,
           reactions: yapPost.reactions || [],
-          comments: yapPost.comments || [],
+          commentCount: (yapPost.comments || []).length,
           metrics: {
             views: yapPost.metrics?.views || 0,
             score: yapPost.metrics?.score || 0,
@@ -92,6 +93,21 @@ async function migrateYapPosts() {
         });
         
         await unifiedPost.save();
+        
+        // Comments live in their own collection (ids preserved)
+        if (yapPost.comments && yapPost.comments.length > 0) {
+          await PostComment.insertMany(yapPost.comments.map(comment => ({
+            _id: comment._id,
+            postId: unifiedPost._id,
+            space: 'yap',
+            userId: comment.userId,
+            body: comment.body,
+            featured: comment.featured || false,
+            createdAt: comment.createdAt,
+            updatedAt: comment.updatedAt
+          })), { timestamps: false });
+        }
+        
         stats.yap.migrated++;
         
         if (stats.yap.migrated % 10 === 0) {
@@ -169,8 +185,6 @@ async function migrateTeaIslandPosts() {
           });
         }
         
-        // Convert Tea/Island comments to unified format
-        const comments = [];
         // Tea/Island posts don't have embedded comments in the current model
         // Comments would be in a separate collection if they exist
         
@@ -186,7 +200,6 @@ async function migrateTeaIslandPosts() {
           subcategory: post.subcategory,
           state: post.state,
           reactions,
-          comments,
           metrics: {
             views: post.views || 0,
             score: 0, // Will be calculated on save
@@ -262,7 +275,7 @@ async function verifyMigration() {
     const yapSample = await Post.findOne({ space: 'yap' }).populate('userId', 'username');
     if (yapSample) {
       console.log(`✅ YAP sample: "${yapSample.title || yapSample.body.substring(0, 50)}..." by ${yapSample.userId?.username || 'Unknown'}`);
-      console.log(`   Reactions: ${yapSample.reactions.length}, Comments: ${yapSample.comments.length}, Views: ${yapSample.metrics.views}`);
+      console.log(`   Reactions: ${yapSample.reactions.length}, Comments: ${yapSample.commentCount}, Views: ${yapSample.metrics.views}`);
     }
     
     // Check Tea posts
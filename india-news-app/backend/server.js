@@ -37,12 +37,19 @@ const moderationRoutes = require('./moderationRoutes');
 // Import user profile routes
 const userProfileRoutes = require('./userProfileRoutes');
 
+// Import saved items routes (bookmarked posts and articles)
+const savedItemRoutes = require('./savedItemRoutes');
+
 // Import YAP routes (legacy - will be deprecated)
 const yapRoutes = require('./yapRoutes');
 
 // Import unified post routes (new architecture)
 const postRoutes = require('./routes/postRoutes');
 
+// Import image upload routes
+const imageRoutes = require('./routes/imageRoutes');
+const { LOCAL_UPLOADS_DIR, LOCAL_UPLOADS_PATH } = require('./services/imageStorage');
+
 // Import debug routes
 const debugRoutes = require('./routes/debugRoutes');
 
@@ -52,6 +59,10 @@ const auth = require('./middleware/auth');
 // Import the automated scraper scheduler
 const ScraperScheduler = require('./services/scraperScheduler');
 
+// Import the scheduled post publisher
+const postPublisher = require('./services/postPublisher');
+const imageUploadService = require('./services/imageUploadService');
+
 const app = express();
 const PORT = 8080;
 
@@ -116,6 +127,9 @@ app.use(express.json());
 // Serve static files for avatars
 app.use('/avatars', express.static(__dirname + '/public/avatars'));
 
+// Serve uploaded images (local storage backend). Keys are unique per upload, so cache hard
+app.use(LOCAL_UPLOADS_PATH, express.static(LOCAL_UPLOADS_DIR, { maxAge: '30d', immutable: true }));
+
 // Optimized request logger - only log in development
 if (process.env.NODE_ENV === 'development') {
   app.use((req, res, next) => {
@@ -138,11 +152,15 @@ app.use('/api/tea-island', teaIslandRoutes);
 app.use('/api/comments', commentRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/moderation', moderationRoutes);
+app.use('/api/users/me/saved', savedItemRoutes);
 app.use('/api/users', userProfileRoutes);
 
 // Unified Post Routes (new architecture)
 app.use('/api/posts', postRoutes);
 
+// Image uploads for posts
+app.use('/api/images', imageRoutes);
+
 // Debug routes for performance monitoring
 app.use('/api/debug', debugRoutes);
 
@@ -367,6 +385,16 @@ mongoose
       scraperScheduler.start();
     }
     
+    // Publish scheduled posts (opt out with POST_PUBLISHER_ENABLED=false)
+    if (process.env.POST_PUBLISHER_ENABLED !== 'false') {
+      postPublisher.start();
+    }
+    
+    // Delete uploads that never made it into a post
+    if (imageUploadService.isEnabled) {
+      imageUploadService.start();
+    }
+    
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🚀 Server running on http://localhost:${PORT}`);
       console.log(`🌐 Network access: http://192.168.1.196:${PORT}`);
@@ -398,6 +426,9 @@ const gracefulShutdown = (signal) => {
     scraperScheduler.stop();
   }
   
+  postPublisher.stop();
+  imageUploadService.stop();
+  
   // Close database connection
   mongoose.disconnect().then(() => {
     logger.info('Database connection closed');
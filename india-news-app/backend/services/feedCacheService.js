@@ -1,6 +1,7 @@
 /**
  * Feed Cache Service
  * 30-60s Redis cache for GET /api/posts by {space, cursor} with invalidation
+ * Also holds per-user For You ranking snapshots (feed:user:{id}:{snapshot})
  */
 
 const { redis, rGetJSON, rSetJSON } = require('../config/redisClient');
@@ -9,6 +10,7 @@ class FeedCacheService {
   constructor() {
     this.defaultTTL = 60; // 60 seconds default cache
     this.shortTTL = 30;   // 30 seconds for high-activity spaces
+    this.snapshotTTL = 600; // 10 minutes for personalized ranking snapshots
     this.keyPrefix = 'feed:';
   }
 
@@ -89,6 +91,40 @@ class FeedCacheService {
     }
   }
 
+  /**
+   * Generate cache key for a per-user feed snapshot (For You)
+   */
+  generateUserKey(userKey, snapshotId) {
+    return `${this.keyPrefix}user:${userKey}:${snapshotId}`;
+  }
+
+  /**
+   * Get a cached per-user feed snapshot
+   */
+  async getUserSnapshot(userKey, snapshotId) {
+    try {
+      const cached = await rGetJSON(this.generateUserKey(userKey, snapshotId));
+      console.log(`📋 Cache ${cached ? 'HIT' : 'MISS'} for user feed ${userKey} (snapshot: ${snapshotId})`);
+      return cached || null;
+    } catch (error) {
+      console.warn('User feed cache GET error:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Cache a per-user feed snapshot
+   */
+  async setUserSnapshot(userKey, snapshotId, data, ttl = this.snapshotTTL) {
+    try {
+      await rSetJSON(this.generateUserKey(userKey, snapshotId), data, { ex: ttl });
+      return true;
+    } catch (error) {
+      console.warn('User feed cache SET error:', error.message);
+      return false;
+    }
+  }
+
   /**
    * Invalidate all feed caches (for major updates)
    */
@@ -0,0 +1,253 @@
+/**
+ * For You Feed Service
+ * Personalized ranking across every space the user can read. Each ranking is
+ * stored as a per-user snapshot so cursor pages never shift while scrolling
+ */
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { Post, REACTION_TYPES } = require('../models/postModel');
+const { PostComment } = require('../models/postCommentModel');
+const { getReadableSpaces } = require('../middleware/gates');
+const feedCacheService = require('./feedCacheService');
+
+// How strongly each reaction type signals interest in a topic or author
+const REACTION_AFFINITY = {
+  heart: 1.0,
+  fire: 1.0,
+  laugh: 0.8,
+  handshake: 0.8,
+  meh: 0.2,
+  skeptical: 0.1
+};
+
+// Ranking weights for the blended score
+const WEIGHTS = {
+  score: 1.0,    // log-scaled metrics.score
+  recency: 3.0,  // exponential decay on post age
+  state: 1.5,    // post is from the user's state
+  topic: 2.0,    // normalized topic affinity
+  author: 2.5    // normalized author affinity
+};
+
+class ForYouFeedService {
+  constructor() {
+    this.candidateWindowDays = 7;
+    this.signalWindowDays = 30;
+    this.topCandidates = 200;     // best-scoring posts in the window
+    this.recentCandidates = 100;  // newest posts, so fresh posts get a chance
+    this.recencyHalfLifeHours = 18;
+  }
+
+  /**
+   * Build the user's interest profile from recent reactions and comments
+   */
+  async getInterestProfile(userId) {
+    const topics = {};
+    const authors = {};
+
+    if (!userId || !mongoose.isValidObjectId(userId)) {
+      return { topics, authors };
+    }
+
+    const uid = new mongoose.Types.ObjectId(userId);
+    const since = new Date(Date.now() - this.signalWindowDays * 24 * 60 * 60 * 1000);
+
+    const add = (map, key, weight) => {
+      if (!key) return;
+      const k = key.toString();
+      map[k] = (map[k] || 0) + weight;
+    };
+
+    // Reacted posts: project only the user's own reaction to weigh it by type
+    const reacted = await Post.find({ 'reactions.userId': uid, createdAt: { $gte: since } })
+      .select({ topic: 1, userId: 1, reactions: { $elemMatch: { userId: uid } } })
+      .sort({ createdAt: -1 })
+      .limit(300)
+      .lean();
+
+    reacted.forEach(post => {
+      const type = post.reactions?.[0]?.type;
+      const weight = REACTION_TYPES.includes(type) ? REACTION_AFFINITY[type] : 0;
+      add(topics, post.topic, weight);
+      add(authors, post.userId, weight);
+    });
+
+    // Commented posts count as a full-strength interaction
+    const comments = await PostComment.find({ userId: uid, createdAt: { $gte: since }, isRemoved: false })
+      .select('postId')
+      .sort({ createdAt: -1 })
+      .limit(300)
+      .lean();
+
+    if (comments.length > 0) {
+      const postIds = [...new Set(comments.map(c => c.postId.toString()))];
+      const commented = await Post.find({ _id: { $in: postIds } }).select('topic userId').lean();
+      commented.forEach(post => {
+        add(topics, post.topic, 1);
+        add(authors, post.userId, 1);
+      });
+    }
+
+    // Users never get an affinity boost for their own posts
+    delete authors[uid.toString()];
+
+    return {
+      topics: this.normalize(topics),
+      authors: this.normalize(authors)
+    };
+  }
+
+  /**
+   * Scale affinity values to 0..1 relative to the strongest signal
+   */
+  normalize(map) {
+    const max = Math.max(0, ...Object.values(map));
+    if (max === 0) return {};
+    return Object.fromEntries(Object.entries(map).map(([key, value]) => [key, value / max]));
+  }
+
+  /**
+   * Blend popularity, recency and personal signals into one rank value
+   */
+  rankPost(post, profile, userState, now = Date.now()) {
+    const score = Math.log1p(Math.max(0, post.metrics?.score || 0));
+    const ageHours = Math.max(0, (now - new Date(post.createdAt).getTime()) / (1000 * 60 * 60));
+    const recency = Math.pow(0.5, ageHours / this.recencyHalfLifeHours);
+    const sameState = userState && post.state === userState ? 1 : 0;
+    const topic = post.topic ? profile.topics[post.topic] || 0 : 0;
+    const author = profile.authors[post.userId.toString()] || 0;
+
+    return WEIGHTS.score * score +
+      WEIGHTS.recency * recency +
+      WEIGHTS.state * sameState +
+      WEIGHTS.topic * topic +
+      WEIGHTS.author * author;
+  }
+
+  /**
+   * Rank the candidate pool for a user and return the ordered post ids
+   * (optionally narrowed to one space the user can read)
+   */
+  async buildRanking(user, space = null) {
+    const userId = user?.id || user?.sub || null;
+    const spaces = space ? [space] : getReadableSpaces(user);
+    const since = new Date(Date.now() - this.candidateWindowDays * 24 * 60 * 60 * 1000);
+
+    const match = {
+      space: { $in: spaces },
+      isActive: true,
+      isRemoved: { $ne: true },
+      createdAt: { $gte: since }
+    };
+    if (userId && mongoose.isValidObjectId(userId)) {
+      match.userId = { $ne: new mongoose.Types.ObjectId(userId) };
+    }
+
+    const fields = 'space topic state userId metrics.score createdAt isPinned';
+    const [profile, top, recent] = await Promise.all([
+      this.getInterestProfile(userId),
+      Post.find(match).select(fields).sort({ 'metrics.score': -1, createdAt: -1 }).limit(this.topCandidates).lean(),
+      Post.find(match).select(fields).sort({ createdAt: -1 }).limit(this.recentCandidates).lean()
+    ]);
+
+    const candidates = new Map();
+    [...top, ...recent].forEach(post => candidates.set(post._id.toString(), post));
+
+    const now = Date.now();
+    const ranked = [...candidates.values()]
+      .map(post => ({ id: post._id.toString(), rank: this.rankPost(post, profile, user?.state, now) }))
+      .sort((a, b) => b.rank - a.rank || (a.id < b.id ? 1 : -1));
+
+    return {
+      spaces,
+      ids: ranked.map(entry => entry.id),
+      signals: {
+        topics: Object.keys(profile.topics).length,
+        authors: Object.keys(profile.authors).length
+      }
+    };
+  }
+
+  /**
+   * Get a page of the For You feed. The first page reuses a recent snapshot
+   * when one exists; later pages read from the snapshot named in the cursor
+   */
+  async getPage(user, { cursor, limit, space = null }) {
+    const userKey = user?.id || user?.sub || 'anon';
+    const latestKey = `latest-${space || 'all'}`;
+    let position = cursor ? this.decodeCursor(cursor) : null;
+    let snapshot = null;
+    let refreshed = false;
+
+    if (position) {
+      snapshot = await feedCacheService.getUserSnapshot(userKey, position.snapshotId);
+      if (!snapshot) {
+        // Snapshot expired mid-scroll: start over and tell the client to reset
+        refreshed = true;
+        position = null;
+      }
+    } else if (cursor) {
+      const error = new Error('Invalid cursor');
+      error.status = 400;
+      error.code = 'INVALID_CURSOR';
+      throw error;
+    } else {
+      const latest = await feedCacheService.getUserSnapshot(userKey, latestKey);
+      if (latest?.snapshotId) {
+        snapshot = await feedCacheService.getUserSnapshot(userKey, latest.snapshotId);
+      }
+    }
+
+    if (!snapshot) {
+      const ranking = await this.buildRanking(user, space);
+      snapshot = {
+        snapshotId: crypto.randomBytes(6).toString('hex'),
+        createdAt: new Date().toISOString(),
+        ...ranking
+      };
+      await feedCacheService.setUserSnapshot(userKey, snapshot.snapshotId, snapshot);
+      await feedCacheService.setUserSnapshot(userKey, latestKey, { snapshotId: snapshot.snapshotId }, feedCacheService.defaultTTL);
+      console.log(`✨ For You snapshot built for ${userKey}: ${snapshot.ids.length} posts, ${snapshot.signals.topics} topics, ${snapshot.signals.authors} authors`);
+    }
+
+    const offset = position ? position.offset : 0;
+    const pageIds = snapshot.ids.slice(offset, offset + limit);
+    const nextOffset = offset + pageIds.length;
+    const hasMore = nextOffset < snapshot.ids.length;
+
+    // Posts deleted since the snapshot was taken simply drop out of the page
+    const posts = await Post.find({ _id: { $in: pageIds }, isActive: true, isRemoved: { $ne: true } })
+      .populate('userId', 'username karma state gender')
+      .lean();
+    const byId = new Map(posts.map(post => [post._id.toString(), post]));
+
+    return {
+      posts: pageIds.map(id => byId.get(id)).filter(Boolean),
+      spaces: snapshot.spaces,
+      hasMore,
+      nextCursor: hasMore ? this.encodeCursor(snapshot.snapshotId, nextOffset) : null,
+      refreshed
+    };
+  }
+
+  /**
+   * Cursors point at an offset inside a ranking snapshot
+   */
+  encodeCursor(snapshotId, offset) {
+    return Buffer.from(JSON.stringify({ s: snapshotId, o: offset })).toString('base64url');
+  }
+
+  decodeCursor(cursor) {
+    try {
+      const { s, o } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+      if (typeof s !== 'string' || !/^[a-f0-9]+$/.test(s) || !Number.isInteger(o) || o < 0) return null;
+      return { snapshotId: s, offset: o };
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// Export singleton instance
+module.exports = new ForYouFeedService();
@@ -0,0 +1,74 @@
+/**
+ * Image Storage
+ * Pluggable storage for uploaded images. A backend implements:
+ *   save(key, buffer, contentType) - store a file under a key ("images/<assetId>/medium.webp")
+ *   remove(key)                    - delete a stored file (missing files are not an error)
+ *   getUrl(key)                    - public URL clients use to load the file
+ *
+ * IMAGE_STORAGE_DRIVER picks the backend. "local" (the default) writes to
+ * public/uploads, which server.js serves at /uploads like /avatars. Other
+ * backends (S3, GCS, ...) plug in through registerStorageDriver.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Local disk location and the URL path it is served under
+const LOCAL_UPLOADS_DIR = path.join(__dirname, '..', 'public', 'uploads');
+const LOCAL_UPLOADS_PATH = '/uploads';
+
+class LocalDiskStorage {
+  constructor({ rootDir = LOCAL_UPLOADS_DIR, publicPath = LOCAL_UPLOADS_PATH, baseUrl = '' } = {}) {
+    this.rootDir = rootDir;
+    this.publicPath = publicPath;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  // Keys are generated by the upload service, but never let one escape the root
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(path.resolve(this.rootDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async save(key, buffer) {
+    const filePath = this.resolve(key);
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.writeFile(filePath, buffer);
+  }
+
+  async remove(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  getUrl(key) {
+    return `${this.baseUrl}${this.publicPath}/${key}`;
+  }
+}
+
+// Registered storage backends by driver name
+const STORAGE_DRIVERS = {
+  local: () => new LocalDiskStorage({ baseUrl: process.env.IMAGE_PUBLIC_BASE_URL || '' })
+};
+
+function registerStorageDriver(name, factory) {
+  STORAGE_DRIVERS[name] = factory;
+}
+
+function createImageStorage(driver = process.env.IMAGE_STORAGE_DRIVER || 'local') {
+  const factory = STORAGE_DRIVERS[driver];
+  if (!factory) {
+    throw new Error(`Unknown image storage driver: ${driver}`);
+  }
+  return factory();
+}
+
+module.exports = {
+  LOCAL_UPLOADS_DIR,
+  LOCAL_UPLOADS_PATH,
+  LocalDiskStorage,
+  registerStorageDriver,
+  createImageStorage
+};
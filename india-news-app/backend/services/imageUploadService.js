@@ -0,0 +1,262 @@
+/**
+ * Image Upload Service
+ * Validates uploaded images, strips their metadata and generates the display
+ * variants that posts reference by asset id.
+ *
+ * - JPEG, PNG and WebP only, detected from the file contents
+ * - Every variant is re-encoded, which drops EXIF/GPS/XMP metadata
+ *   (orientation is applied to the pixels first so photos stay upright)
+ * - original (max 2048px), medium (max 1024px) and thumbnail (max 320px)
+ * - Files go to the configured storage backend (services/imageStorage.js)
+ * - Uploads no post claims are capped per user and swept after a day
+ */
+
+const cron = require('node-cron');
+const sharp = require('sharp');
+const mongoose = require('mongoose');
+const { ImageAsset, IMAGE_FORMATS } = require('../models/imageAssetModel');
+const { createImageStorage } = require('./imageStorage');
+
+const MIME_TYPES = {
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp'
+};
+
+const EXTENSIONS = {
+  jpeg: 'jpg',
+  png: 'png',
+  webp: 'webp'
+};
+
+// Encoder settings per output format
+const ENCODER_OPTIONS = {
+  jpeg: quality => ({ quality, mozjpeg: true }),
+  png: () => ({ compressionLevel: 9 }),
+  webp: quality => ({ quality })
+};
+
+class ImageUploadService {
+  constructor() {
+    this.isEnabled = process.env.IMAGE_UPLOADS_ENABLED !== 'false';
+    this.storage = createImageStorage();
+    this.cronJob = null;
+    this.isSweeping = false;
+
+    this.config = {
+      maxBytes: parseInt(process.env.IMAGE_UPLOAD_MAX_BYTES, 10) || 8 * 1024 * 1024, // 8MB
+      maxInputPixels: 40000000, // Rejects decompression bombs
+      maxUnattachedPerUser: 20,   // Uploads waiting for a post
+      unattachedTTLHours: parseInt(process.env.IMAGE_UNATTACHED_TTL_HOURS, 10) || 24,
+      sweepInterval: '*/30 * * * *', // Every 30 minutes
+      sweepBatchSize: 200,
+      variants: {
+        original: { maxSize: 2048, quality: 85, keepFormat: true },
+        medium: { maxSize: 1024, quality: 80 },
+        thumbnail: { maxSize: 320, quality: 75 }
+      }
+    };
+
+    console.log(`🖼️ Image uploads ${this.isEnabled ? 'enabled' : 'disabled'}`);
+  }
+
+  fail(message, status, code) {
+    const error = new Error(message);
+    error.status = status;
+    error.code = code;
+    return error;
+  }
+
+  /**
+   * Whether a client-declared MIME type is one we accept (early reject only;
+   * the real check is on the decoded contents)
+   */
+  isAllowedMimeType(mimeType) {
+    return Object.values(MIME_TYPES).includes(mimeType);
+  }
+
+  /**
+   * Validate, strip and resize an uploaded image, store its variants and
+   * record the asset. Throws errors with status/code for invalid uploads
+   */
+  async processUpload(buffer, ownerId) {
+    if (!buffer || buffer.length === 0) {
+      throw this.fail('No image provided', 400, 'NO_IMAGE');
+    }
+    if (buffer.length > this.config.maxBytes) {
+      throw this.fail(`Images can be at most ${Math.round(this.config.maxBytes / (1024 * 1024))}MB`, 413, 'IMAGE_TOO_LARGE');
+    }
+
+    const unattached = await ImageAsset.countDocuments({ ownerId, postId: null });
+    if (unattached >= this.config.maxUnattachedPerUser) {
+      throw this.fail('Too many images waiting to be posted; post or delete some first', 429, 'TOO_MANY_UNATTACHED_IMAGES');
+    }
+
+    let metadata;
+    try {
+      metadata = await sharp(buffer, { limitInputPixels: this.config.maxInputPixels }).metadata();
+    } catch (error) {
+      throw this.fail('File is not a valid image', 400, 'INVALID_IMAGE');
+    }
+
+    if (!IMAGE_FORMATS.includes(metadata.format)) {
+      throw this.fail('Only JPEG, PNG and WebP images are allowed', 415, 'UNSUPPORTED_IMAGE_TYPE');
+    }
+    if (metadata.width * metadata.height > this.config.maxInputPixels) {
+      throw this.fail('Image dimensions are too large', 400, 'IMAGE_TOO_LARGE');
+    }
+
+    const assetId = new mongoose.Types.ObjectId();
+    const savedKeys = [];
+    const variants = {};
+
+    try {
+      for (const [name, spec] of Object.entries(this.config.variants)) {
+        const format = spec.keepFormat ? metadata.format : 'webp';
+
+        // rotate() bakes in the EXIF orientation; sharp writes no metadata
+        // unless withMetadata() is requested, so EXIF and GPS are dropped here
+        const { data, info } = await sharp(buffer, { limitInputPixels: this.config.maxInputPixels })
+          .rotate()
+          .resize({
+            width: spec.maxSize,
+            height: spec.maxSize,
+            fit: 'inside',
+            withoutEnlargement: true
+          })
+          .toFormat(format, ENCODER_OPTIONS[format](spec.quality))
+          .toBuffer({ resolveWithObject: true });
+
+        const key = `images/${assetId}/${name}.${EXTENSIONS[format]}`;
+        await this.storage.save(key, data, MIME_TYPES[format]);
+        savedKeys.push(key);
+
+        variants[name] = {
+          key,
+          width: info.width,
+          height: info.height,
+          bytes: info.size,
+          format
+        };
+      }
+
+      return await ImageAsset.create({
+        _id: assetId,
+        ownerId,
+        format: metadata.format,
+        bytes: buffer.length,
+        variants
+      });
+    } catch (error) {
+      // Don't leave orphaned files behind
+      await Promise.all(savedKeys.map(key => this.storage.remove(key).catch(() => {})));
+
+      if (error.message && error.message.includes('pixel limit')) {
+        throw this.fail('Image dimensions are too large', 400, 'IMAGE_TOO_LARGE');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete an unattached asset and its files (owner only). Returns false if
+   * the asset doesn't exist, isn't the owner's or is already used by a post
+   */
+  async deleteUnattached(assetId, ownerId) {
+    const asset = await ImageAsset.findOneAndDelete({ _id: assetId, ownerId, postId: null });
+    if (!asset) return false;
+
+    await Promise.all(Object.values(asset.variants.toObject())
+      .map(variant => this.storage.remove(variant.key).catch(error => {
+        console.error(`❌ Failed to remove image file ${variant.key}:`, error.message);
+      })));
+
+    return true;
+  }
+
+  /**
+   * Delete unattached assets older than the TTL (abandoned uploads).
+   * Returns how many were removed
+   */
+  async sweepUnattached() {
+    // A slow sweep must not overlap the next one
+    if (this.isSweeping) return 0;
+    this.isSweeping = true;
+
+    let removed = 0;
+    try {
+      const cutoff = new Date(Date.now() - this.config.unattachedTTLHours * 60 * 60 * 1000);
+      const expired = await ImageAsset.find({ postId: null, createdAt: { $lt: cutoff } })
+        .sort({ createdAt: 1 })
+        .limit(this.config.sweepBatchSize)
+        .select('_id ownerId')
+        .lean();
+
+      // deleteUnattached re-checks postId, so an asset claimed meanwhile is kept
+      for (const asset of expired) {
+        if (await this.deleteUnattached(asset._id, asset.ownerId)) {
+          removed++;
+        }
+      }
+
+      if (removed > 0) {
+        console.log(`🧹 Removed ${removed} unattached image upload(s)`);
+      }
+    } catch (error) {
+      console.error('❌ Unattached image sweep failed:', error.message);
+    } finally {
+      this.isSweeping = false;
+    }
+
+    return removed;
+  }
+
+  /**
+   * Start sweeping abandoned uploads
+   */
+  start() {
+    if (this.cronJob) return;
+
+    this.cronJob = cron.schedule(this.config.sweepInterval, () => {
+      this.sweepUnattached();
+    }, {
+      scheduled: true
+    });
+
+    console.log(`✅ Unattached image sweep started (${this.config.sweepInterval}, TTL ${this.config.unattachedTTLHours}h)`);
+  }
+
+  /**
+   * Stop sweeping abandoned uploads
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      console.log('🛑 Unattached image sweep stopped');
+    }
+  }
+
+  /**
+   * Public shape of an asset (or a post's media entry): id, dimensions and a URL per variant
+   */
+  formatAsset(asset) {
+    const variants = asset.variants.toObject ? asset.variants.toObject() : asset.variants;
+    const urls = {};
+    Object.entries(variants).forEach(([name, variant]) => {
+      urls[name] = this.storage.getUrl(variant.key);
+    });
+
+    return {
+      id: asset.assetId || asset._id,
+      width: variants.original.width,
+      height: variants.original.height,
+      ...urls
+    };
+  }
+}
+
+// Create singleton instance
+const imageUploadService = new ImageUploadService();
+
+module.exports = imageUploadService;
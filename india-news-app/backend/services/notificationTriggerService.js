@@ -6,6 +6,8 @@
 const pushNotificationService = require('./pushNotificationService');
 const Notification = require('../notificationModel');
 const User = require('../userModel');
+const Follow = require('../followModel');
+const { canSeeContent } = require('../utils/mentions');
 // Use a simple console logger to avoid pino transport conflicts
 const logger = {
   info: (data, msg) => console.log(`[INFO] ${msg || ''}`, typeof data === 'object' ? JSON.stringify(data, null, 2) : data),
@@ -203,6 +205,270 @@ class NotificationTriggerService {
     }
   }
 
+  /**
+   * Trigger notification when someone follows a user
+   */
+  async triggerFollowNotification(followData) {
+    if (!this.isEnabled || this.testMode) return;
+
+    try {
+      const { followerId, follower, followingId } = followData;
+
+      // Get followed user
+      const followedUser = await User.findById(followingId);
+      if (!followedUser) {
+        logger.debug('Followed user not found', { followingId });
+        return;
+      }
+
+      const title = 'New Follower';
+      const message = `${follower} started following you`;
+      const actionUrl = `/profile/${followerId}`;
+
+      // Follow/unfollow toggling within 5 minutes notifies only once
+      const recentNotification = await Notification.findOne({
+        recipient: followingId,
+        sender: followerId,
+        type: 'new_follower',
+        createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
+      });
+      if (recentNotification) {
+        logger.debug('Recent follow notification exists, skipping', { followerId, followingId });
+        return;
+      }
+
+      await Notification.createNotification({
+        recipient: followingId,
+        sender: followerId,
+        type: 'new_follower',
+        title,
+        message,
+        actionUrl,
+        senderUsername: follower,
+        senderState: followData.followerState || 'Unknown'
+      });
+
+      if (!followedUser.pushNotificationsEnabled) {
+        return;
+      }
+
+      // Send push notification
+      const pushResult = await pushNotificationService.sendToUser(
+        followingId,
+        title,
+        message,
+        {
+          type: 'new_follower',
+          followerId: followerId.toString(),
+          actionUrl
+        }
+      );
+
+      // Track analytics
+      analyticsService.trackEvent('notification_sent', {
+        type: 'new_follower',
+        recipientId: followingId.toString(),
+        senderId: followerId.toString(),
+        success: pushResult.success
+      });
+
+      logger.info('Follow notification sent', {
+        followedUser: followedUser.username,
+        follower,
+        pushSuccess: pushResult.success
+      });
+
+    } catch (error) {
+      logger.error('Failed to trigger follow notification', {
+        error: error.message,
+        followData
+      });
+    }
+  }
+
+  /**
+   * Trigger notifications for users @mentioned in a post, comment or thread.
+   * Recipients come from utils/mentions resolveMentions, already filtered to
+   * the content's audience
+   */
+  async triggerMentionNotifications(mentionData) {
+    if (!this.isEnabled || this.testMode) return;
+
+    try {
+      const {
+        recipients = [],
+        senderId,
+        sender,
+        senderState,
+        contentType,
+        preview = '',
+        actionUrl,
+        relatedPost = null,
+        relatedThread = null,
+        relatedComment = null,
+        excludeUserIds = []
+      } = mentionData;
+
+      const excluded = new Set(excludeUserIds.filter(Boolean).map(id => id.toString()));
+      const targets = recipients.filter(user =>
+        user._id.toString() !== senderId.toString() && !excluded.has(user._id.toString())
+      );
+
+      if (targets.length === 0) return;
+
+      const title = 'You were mentioned';
+      const snippet = preview.length > 50 ? `${preview.substring(0, 50)}...` : preview;
+      const message = `${sender} mentioned you in a ${contentType}: "${snippet}"`;
+
+      for (const user of targets) {
+        // Same content re-submitted within 5 minutes notifies only once
+        const recentNotification = await Notification.findOne({
+          recipient: user._id,
+          sender: senderId,
+          type: 'mention',
+          relatedPost,
+          relatedThread,
+          relatedComment,
+          createdAt: { $gte: new Date(Date.now() - 5 * 60 * 1000) }
+        });
+        if (recentNotification) continue;
+
+        await Notification.createNotification({
+          recipient: user._id,
+          sender: senderId,
+          type: 'mention',
+          title,
+          message,
+          actionUrl,
+          relatedPost,
+          relatedThread,
+          relatedComment,
+          senderUsername: sender,
+          senderState: senderState || 'Unknown'
+        });
+
+        if (!user.pushNotificationsEnabled) continue;
+
+        const pushResult = await pushNotificationService.sendToUser(
+          user._id,
+          title,
+          message,
+          {
+            type: 'mention',
+            contentType,
+            actionUrl
+          }
+        );
+
+        analyticsService.trackEvent('notification_sent', {
+          type: 'mention',
+          recipientId: user._id.toString(),
+          senderId: senderId.toString(),
+          contentType,
+          success: pushResult.success
+        });
+      }
+
+      logger.info('Mention notifications sent', {
+        sender,
+        contentType,
+        recipients: targets.map(user => user.username)
+      });
+
+    } catch (error) {
+      logger.error('Failed to trigger mention notifications', {
+        error: error.message,
+        actionUrl: mentionData.actionUrl
+      });
+    }
+  }
+
+  /**
+   * Trigger notifications to an author's followers when their post goes live.
+   * Followers are streamed in batches; only those in the post's audience
+   * (gender/state of the space) are notified
+   */
+  async triggerFollowedPostNotifications(postData) {
+    if (!this.isEnabled || this.testMode) return;
+
+    try {
+      const { postId, authorId, author, authorState, space, audience = {}, preview = '', actionUrl } = postData;
+
+      const title = `New post from ${author}`;
+      const snippet = preview.length > 50 ? `${preview.substring(0, 50)}...` : preview;
+      const message = `${author} posted in ${space}: "${snippet}"`;
+      const batchSize = 500;
+      let recipientCount = 0;
+
+      const notifyBatch = async (followerIds) => {
+        const users = await User.find({ _id: { $in: followerIds } })
+          .select('gender state status pushNotificationsEnabled')
+          .lean();
+        const targets = users.filter(user => canSeeContent(user, audience));
+        if (targets.length === 0) return;
+
+        await Notification.insertMany(targets.map(user => ({
+          recipient: user._id,
+          sender: authorId,
+          type: 'followed_post',
+          title,
+          message,
+          actionUrl,
+          relatedPost: postId,
+          senderUsername: author,
+          senderState: authorState || 'Unknown'
+        })));
+        recipientCount += targets.length;
+
+        const pushIds = targets.filter(user => user.pushNotificationsEnabled).map(user => user._id);
+        if (pushIds.length === 0) return;
+
+        const pushResult = await pushNotificationService.sendNotifications({
+          userIds: pushIds,
+          title,
+          body: message,
+          data: {
+            type: 'followed_post',
+            postId: postId.toString(),
+            actionUrl
+          }
+        });
+
+        analyticsService.trackEvent('notification_sent', {
+          type: 'followed_post',
+          recipientCount: pushIds.length,
+          senderId: authorId.toString(),
+          success: pushResult.success
+        });
+      };
+
+      const cursor = Follow.find({ following: authorId }).select('follower').lean().cursor();
+      let batch = [];
+      for await (const edge of cursor) {
+        batch.push(edge.follower);
+        if (batch.length === batchSize) {
+          await notifyBatch(batch);
+          batch = [];
+        }
+      }
+      if (batch.length > 0) {
+        await notifyBatch(batch);
+      }
+
+      logger.info('Followed post notifications sent', {
+        postId,
+        author,
+        recipientCount
+      });
+
+    } catch (error) {
+      logger.error('Failed to trigger followed post notifications', {
+        error: error.message,
+        postId: postData.postId
+      });
+    }
+  }
+
   /**
    * Trigger notification for moderation actions
    */
@@ -0,0 +1,225 @@
+/**
+ * Scheduled Post Publisher
+ *
+ * Features:
+ * - Checks every minute for scheduled posts whose time has come
+ * - Atomic publish (a post goes live and is announced exactly once)
+ * - Invalidates the feed cache of the post's space
+ * - Notifies the author's followers and @mentioned users on publish
+ *
+ * "Publish now" on a draft goes through the same publish() path.
+ */
+
+const cron = require('node-cron');
+const { Post } = require('../models/postModel');
+const User = require('../userModel');
+const feedCacheService = require('./feedCacheService');
+const notificationTriggerService = require('./notificationTriggerService');
+const { resolveMentions } = require('../utils/mentions');
+
+class PostPublisher {
+  constructor() {
+    this.cronJob = null;
+    this.isRunning = false;
+    this.isPublishing = false;
+    this.stats = {
+      totalRuns: 0,
+      totalPublished: 0,
+      lastRun: null,
+      lastError: null
+    };
+
+    // Configuration
+    this.config = {
+      checkInterval: '* * * * *', // Every minute
+      batchSize: 100              // Posts published per check
+    };
+  }
+
+  /**
+   * Logging with timestamps and levels (same format as the scraper scheduler)
+   */
+  log(level, message, data = null) {
+    if (process.env.NODE_ENV === 'production' && level === 'debug') {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [PUBLISHER-${level.toUpperCase()}] ${message}`;
+
+    if (level === 'error') {
+      console.error(logMessage, data || '');
+    } else {
+      console.log(logMessage, data || '');
+    }
+  }
+
+  /**
+   * Publish a draft or scheduled post and run the side effects.
+   * Returns the published post, or null if it was not pending (or not yet due)
+   */
+  async publish(postId, { dueOnly = false } = {}) {
+    const post = await Post.publishPost(postId, { dueOnly });
+    if (!post) return null;
+
+    this.log('info', `📣 ${post.space.toUpperCase()} post ${post._id} published`);
+
+    await feedCacheService.invalidateSpace(post.space);
+
+    // Fan-out runs in the background so large followings don't hold up the caller
+    this.announce(post);
+
+    return post;
+  }
+
+  /**
+   * Notify followers and @mentioned users about a post that just went live.
+   * Resolves mentions and returns them (for the response's highlight offsets);
+   * the notification fan-out itself runs in the background.
+   * Never throws: a failed notification must not undo a publish
+   */
+  async announce(post) {
+    try {
+      const author = await User.findById(post.userId).select('username state').lean();
+      if (!author) return [];
+
+      const audience = Post.getAudience(post);
+      const preview = post.title || post.body;
+      const actionUrl = `/${post.space}/${post._id}`;
+      const sender = post.anonymous ? post.anonymousName : author.username;
+      const senderState = post.anonymous ? 'Anonymous' : author.state;
+
+      const { mentions, recipients } = await resolveMentions(post.body, {
+        audience,
+        authorId: post.userId
+      });
+      notificationTriggerService.triggerMentionNotifications({
+        recipients,
+        senderId: post.userId,
+        sender,
+        senderState,
+        contentType: `${post.space} post`,
+        preview,
+        actionUrl,
+        relatedPost: post._id
+      });
+
+      // Telling followers would reveal who wrote an anonymous post
+      if (!post.anonymous) {
+        notificationTriggerService.triggerFollowedPostNotifications({
+          postId: post._id,
+          authorId: post.userId,
+          author: author.username,
+          authorState: author.state,
+          space: post.space,
+          audience,
+          preview,
+          actionUrl
+        });
+      }
+
+      return mentions;
+    } catch (error) {
+      this.log('error', `❌ Failed to announce post ${post._id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Publish every scheduled post that is due (oldest schedule first)
+   */
+  async publishDuePosts() {
+    // A slow run must not overlap the next minute's check
+    if (this.isPublishing) {
+      this.log('debug', '⏳ Previous publish run still in progress, skipping');
+      return 0;
+    }
+
+    this.isPublishing = true;
+    let published = 0;
+
+    try {
+      const due = await Post.find({
+        status: 'scheduled',
+        scheduledFor: { $lte: new Date() },
+        isRemoved: { $ne: true }
+      })
+        .sort({ scheduledFor: 1 })
+        .limit(this.config.batchSize)
+        .select('_id')
+        .lean();
+
+      for (const { _id } of due) {
+        try {
+          if (await this.publish(_id, { dueOnly: true })) {
+            published++;
+          }
+        } catch (error) {
+          this.log('error', `❌ Failed to publish post ${_id}:`, error.message);
+          this.stats.lastError = error.message;
+        }
+      }
+
+      if (published > 0) {
+        this.log('info', `✅ Published ${published} scheduled post(s)`);
+      }
+    } catch (error) {
+      this.log('error', '❌ Publish run failed:', error.message);
+      this.stats.lastError = error.message;
+    } finally {
+      this.stats.totalRuns++;
+      this.stats.totalPublished += published;
+      this.stats.lastRun = new Date();
+      this.isPublishing = false;
+    }
+
+    return published;
+  }
+
+  /**
+   * Get publisher statistics
+   */
+  getStats() {
+    return {
+      ...this.stats,
+      isRunning: this.isRunning,
+      config: this.config
+    };
+  }
+
+  /**
+   * Start the publisher
+   */
+  start() {
+    if (this.isRunning) return;
+
+    this.cronJob = cron.schedule(this.config.checkInterval, () => {
+      this.publishDuePosts();
+    }, {
+      scheduled: true
+    });
+    this.isRunning = true;
+
+    this.log('info', `✅ Post publisher started (${this.config.checkInterval})`);
+
+    // Catch up on posts that came due while the server was down
+    this.publishDuePosts();
+  }
+
+  /**
+   * Stop the publisher
+   */
+  stop() {
+    if (this.cronJob) {
+      this.cronJob.stop();
+      this.cronJob = null;
+      this.isRunning = false;
+      this.log('info', '🛑 Post publisher stopped');
+    }
+  }
+}
+
+// Create singleton instance
+const postPublisher = new PostPublisher();
+
+module.exports = postPublisher;
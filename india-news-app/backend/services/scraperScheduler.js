@@ -6,16 +6,23 @@
  * - Staggered source scraping (7 sources per cycle)
  * - Intelligent duplicate detection
  * - Automatic cleanup of old articles (3+ days)
+ * - Story clustering of new articles after each cycle
  * - Comprehensive logging and monitoring
- * - Rate limiting and polite delays
+ * - Rate limiting and polite delays: robots.txt, Crawl-delay and a per-domain
+ *   request rate shared by every scraper (utils/crawlPolicy.js)
+ * - Conditional requests for unchanged listing pages, with bandwidth reports
  * - Error handling and recovery
  */
 
 const cron = require('node-cron');
 const mongoose = require('mongoose');
 const Article = require('../articleModel');
+const { Post } = require('../models/postModel');
 const { STATE_CONFIGS } = require('../scrapes/scraperTemplate');
 const { scrapeStateConfig } = require('../scrapes/scraperTemplate');
+const storyClusteringService = require('./storyClusteringService');
+const { getFetchStats } = require('../utils/scraperFetch');
+const { getCrawlStats } = require('../utils/crawlPolicy');
 const crypto = require('crypto');
 
 class ScraperScheduler {
@@ -28,6 +35,9 @@ class ScraperScheduler {
       totalArticlesScraped: 0,
       totalArticlesInserted: 0,
       totalArticlesRemoved: 0,
+      totalBytesDownloaded: 0,
+      totalBytesSaved: 0,
+      totalNotModified: 0,
       lastRun: null,
       averageRunTime: 0
     };
@@ -36,7 +46,7 @@ class ScraperScheduler {
     this.config = {
       cycleInterval: '0 */4 * * *', // Every 4 hours
       sourcesPerCycle: 7,           // Stagger sources
-      requestDelay: 2000,           // 2 seconds between requests
+      requestDelay: 2000,           // 2 seconds between states (per-domain pacing is in crawlPolicy)
       maxRetries: 3,                // Retry failed sources
       cleanupDays: 3,               // Remove articles older than 3 days
       logLevel: 'info'              // info, debug, error
@@ -89,6 +99,15 @@ class ScraperScheduler {
     }
   }
 
+  /**
+   * Human-readable byte count for bandwidth reports
+   */
+  formatBytes(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+  }
+
   /**
    * Sleep function for polite delays
    */
@@ -179,7 +198,17 @@ class ScraperScheduler {
       const cutoffDate = new Date();
       cutoffDate.setDate(cutoffDate.getDate() - this.config.cleanupDays);
       
+      // Articles someone saved are kept until the last bookmark is removed, and
+      // articles with comments or a live Yap/Local discussion are kept too
+      const discussedIds = await Post.distinct('article.articleId', {
+        'article.articleId': { $exists: true },
+        isActive: true
+      });
+      
       const result = await Article.deleteMany({
+        _id: { $nin: discussedIds },
+        saveCount: { $not: { $gt: 0 } },
+        commentCount: { $not: { $gt: 0 } },
         $or: [
           { scrapedAt: { $lt: cutoffDate } },
           { 
@@ -225,6 +254,8 @@ class ScraperScheduler {
         successfulSources: 0,
         failedSources: 0
       };
+      const fetchStatsBefore = getFetchStats();
+      const crawlStatsBefore = getCrawlStats();
       
       // Scrape each source with polite delays
       for (let i = 0; i < currentSources.length; i++) {
@@ -248,13 +279,26 @@ class ScraperScheduler {
         }
       }
       
+      // Bandwidth used and saved by conditional requests this cycle
+      const fetchStatsAfter = getFetchStats();
+      const bytesDownloaded = fetchStatsAfter.bytesDownloaded - fetchStatsBefore.bytesDownloaded;
+      const bytesSaved = fetchStatsAfter.bytesSaved - fetchStatsBefore.bytesSaved;
+      const notModified = fetchStatsAfter.notModified - fetchStatsBefore.notModified;
+      const robotsBlocked = getCrawlStats().robotsBlocked - crawlStatsBefore.robotsBlocked;
+      
       // Cleanup old articles
       const cleanedUp = await this.cleanupOldArticles();
       
+      // Group the new articles into stories with related coverage
+      await storyClusteringService.clusterRecentArticles();
+      
       // Update statistics
       this.stats.totalCycles++;
       this.stats.totalArticlesScraped += cycleResults.totalScraped;
       this.stats.totalArticlesInserted += cycleResults.totalInserted;
+      this.stats.totalBytesDownloaded += bytesDownloaded;
+      this.stats.totalBytesSaved += bytesSaved;
+      this.stats.totalNotModified += notModified;
       this.stats.lastRun = new Date();
       
       const runTime = Date.now() - startTime;
@@ -266,11 +310,16 @@ class ScraperScheduler {
       // Log cycle summary
       this.log('info', `✅ Cycle ${this.stats.totalCycles} completed in ${(runTime/1000).toFixed(1)}s`);
       this.log('info', `📊 Results: ${cycleResults.totalInserted}/${cycleResults.totalScraped} new articles, ${cycleResults.successfulSources}/${currentSources.length} sources successful`);
+      this.log('info', `💾 Bandwidth: ${this.formatBytes(bytesDownloaded)} downloaded, ${this.formatBytes(bytesSaved)} saved by ${notModified} unchanged pages (${this.formatBytes(this.stats.totalBytesSaved)} saved in total)`);
       
       if (cleanedUp > 0) {
         this.log('info', `🧹 Cleaned up ${cleanedUp} old articles`);
       }
       
+      if (robotsBlocked > 0) {
+        this.log('info', `🤖 Skipped ${robotsBlocked} URLs disallowed by robots.txt`);
+      }
+      
       // Log failed sources
       const failedSources = cycleResults.sources.filter(s => !s.success);
       if (failedSources.length > 0) {
@@ -293,6 +342,8 @@ class ScraperScheduler {
       isRunning: this.isRunning,
       currentCycle: this.currentCycle,
       nextCycleSources: this.sourceRotation[this.currentCycle % this.sourceRotation.length],
+      fetch: getFetchStats(),
+      crawl: getCrawlStats(),
       config: this.config
     };
   }
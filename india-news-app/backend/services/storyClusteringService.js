@@ -0,0 +1,283 @@
+/**
+ * Story Clustering Service
+ *
+ * Features:
+ * - Groups recent articles about the same event across sources and states
+ *   into stories (utils/storyClustering.js) and stores Article.storyId
+ * - Runs after every scraping cycle; story ids stay stable between runs
+ * - Serves GET /api/news/stories: each story with a lead article and its
+ *   alternate sources
+ */
+
+const mongoose = require('mongoose');
+const Article = require('../articleModel');
+const { redis, rGetJSON, rSetJSON } = require('../config/redisClient');
+const { clusterArticles, pickLeadArticle } = require('../utils/storyClustering');
+
+// Fields needed to cluster and to render a story
+const STORY_ARTICLE_FIELDS = {
+  _id: '$_id',
+  title: '$title',
+  aiPunchline: '$aiPunchline',
+  image: '$image',
+  link: '$link',
+  state: '$state',
+  source: '$source',
+  categories: '$categories',
+  aiGenerated: '$aiGenerated',
+  reactionCounts: '$reactionCounts',
+  commentCount: '$commentCount',
+  views: '$views',
+  scrapedAt: '$scrapedAt',
+  publishedAt: '$publishedAt',
+  createdAt: '$createdAt'
+};
+
+class StoryClusteringService {
+  constructor() {
+    this.isClustering = false;
+    this.stats = {
+      totalRuns: 0,
+      lastRun: null,
+      lastArticles: 0,
+      lastStories: 0,
+      lastMultiSourceStories: 0,
+      lastUpdated: 0,
+      lastError: null
+    };
+
+    // Configuration
+    this.config = {
+      windowHours: 72, // Articles re-clustered (and stories served) each run (matches the scheduler's cleanup age)
+      cacheTTL: 300 // Seconds a stories page is reused; cleared after each clustering run
+    };
+    this.cachePrefix = 'stories:';
+  }
+
+  /**
+   * Logging with timestamps and levels (same format as the scraper scheduler)
+   */
+  log(level, message, data = null) {
+    if (process.env.NODE_ENV === 'production' && level === 'debug') {
+      return;
+    }
+
+    const timestamp = new Date().toISOString();
+    const logMessage = `[${timestamp}] [STORIES-${level.toUpperCase()}] ${message}`;
+
+    if (level === 'error') {
+      console.error(logMessage, data || '');
+    } else {
+      console.log(logMessage, data || '');
+    }
+  }
+
+  /**
+   * Choose the id for a clustered story: keep the id most of its articles
+   * already carry (so stories are stable between runs), else the oldest
+   * article's id. An id is only used by one story per run
+   */
+  chooseStoryId(articles, usedIds) {
+    const counts = new Map();
+    articles.forEach(article => {
+      if (!article.storyId) return;
+      const id = article.storyId.toString();
+      counts.set(id, (counts.get(id) || 0) + 1);
+    });
+
+    const existing = [...counts.entries()]
+      .sort(([idA, countA], [idB, countB]) => countB - countA || idA.localeCompare(idB))
+      .map(([id]) => id)
+      .find(id => !usedIds.has(id));
+    if (existing) return existing;
+
+    // articles are oldest first; fall back to any unused member id
+    return articles.map(article => article._id.toString()).find(id => !usedIds.has(id));
+  }
+
+  /**
+   * Re-cluster the articles of the last windowHours and store their story ids.
+   * Returns the number of articles whose story changed
+   */
+  async clusterRecentArticles() {
+    if (this.isClustering) {
+      this.log('info', '⏳ Clustering already running, skipping...');
+      return 0;
+    }
+
+    this.isClustering = true;
+    try {
+      const since = new Date(Date.now() - this.config.windowHours * 3600000);
+      const articles = await Article.find({
+        $or: [
+          { scrapedAt: { $gte: since } },
+          { scrapedAt: { $exists: false }, createdAt: { $gte: since } }
+        ]
+      })
+        .select('title summary aiSummary scrapedAt publishedAt createdAt storyId')
+        .lean();
+
+      const stories = clusterArticles(articles);
+      const usedIds = new Set();
+      const updates = [];
+
+      stories.forEach(story => {
+        const storyId = this.chooseStoryId(story, usedIds);
+        usedIds.add(storyId);
+
+        story.forEach(article => {
+          if (article.storyId?.toString() !== storyId) {
+            updates.push({
+              updateOne: {
+                filter: { _id: article._id },
+                update: { $set: { storyId: new mongoose.Types.ObjectId(storyId) } }
+              }
+            });
+          }
+        });
+      });
+
+      // Write through the raw collection in batches
+      for (let i = 0; i < updates.length; i += 500) {
+        await Article.collection.bulkWrite(updates.slice(i, i + 500), { ordered: false });
+      }
+
+      const multiSource = stories.filter(story => story.length > 1).length;
+      this.stats.totalRuns++;
+      this.stats.lastRun = new Date();
+      this.stats.lastArticles = articles.length;
+      this.stats.lastStories = stories.length;
+      this.stats.lastMultiSourceStories = multiSource;
+      this.stats.lastUpdated = updates.length;
+      this.stats.lastError = null;
+
+      this.log('info', `🧩 Clustered ${articles.length} articles into ${stories.length} stories (${multiSource} with several sources), ${updates.length} updated`);
+      await this.invalidateCache();
+      return updates.length;
+    } catch (error) {
+      this.stats.lastError = error.message;
+      this.log('error', 'Story clustering failed:', error.message);
+      return 0;
+    } finally {
+      this.isClustering = false;
+    }
+  }
+
+  /**
+   * Public shape of an article inside a story
+   */
+  formatStoryArticle(article) {
+    return {
+      id: article._id,
+      title: article.title,
+      aiPunchline: article.aiPunchline || null,
+      image: article.image || null,
+      link: article.link,
+      state: article.state,
+      source: article.source,
+      scrapedAt: article.scrapedAt || article.createdAt,
+      publishedAt: article.publishedAt || null
+    };
+  }
+
+  /**
+   * Drop cached stories pages (new articles or story ids)
+   */
+  async invalidateCache() {
+    try {
+      const keys = await redis.keys(`${this.cachePrefix}*`);
+      if (keys.length > 0) await redis.del(...keys);
+    } catch (error) {
+      this.log('warn', 'Stories cache invalidation failed:', error.message);
+    }
+  }
+
+  /**
+   * Stories of the clustering window, most recently updated first (cached per
+   * page and filter). state (a validated state name) and category match
+   * stories with at least one such article; minSources hides single-source stories
+   */
+  async getStories({ page = 1, limit = 20, state = null, category = null, minSources = 1 } = {}) {
+    const cacheKey = `${this.cachePrefix}${JSON.stringify({ page, limit, state, category, minSources })}`;
+    try {
+      const cached = await rGetJSON(cacheKey);
+      if (cached) return cached;
+    } catch (error) {
+      // Cache is best effort
+    }
+
+    const result = await this.aggregateStories({ page, limit, state, category, minSources });
+
+    try {
+      await rSetJSON(cacheKey, result, { ex: this.config.cacheTTL });
+    } catch (error) {
+      // Cache is best effort
+    }
+    return result;
+  }
+
+  async aggregateStories({ page, limit, state, category, minSources }) {
+    const storyFilter = {};
+    if (state) storyFilter['articles.state'] = new RegExp(`^${state}$`, 'i'); // Stored case may differ
+    if (category) storyFilter['articles.categories'] = category;
+    if (minSources > 1) storyFilter.$expr = { $gte: [{ $size: '$sources' }, minSources] };
+
+    // Only articles clustered in the current window carry live story ids;
+    // the range on scrapedAt keeps the match on the { storyId, scrapedAt } index
+    const since = new Date(Date.now() - this.config.windowHours * 3600000);
+    const publishedAt = { $ifNull: ['$scrapedAt', '$createdAt'] };
+    const groups = await Article.aggregate([
+      { $match: { storyId: { $ne: null }, scrapedAt: { $gte: since } } },
+      { $sort: { scrapedAt: 1, _id: 1 } },
+      {
+        $group: {
+          _id: '$storyId',
+          articles: { $push: STORY_ARTICLE_FIELDS },
+          sources: { $addToSet: '$source' },
+          states: { $addToSet: '$state' },
+          firstReportedAt: { $min: publishedAt },
+          lastUpdatedAt: { $max: publishedAt }
+        }
+      },
+      { $match: storyFilter },
+      { $sort: { lastUpdatedAt: -1, _id: -1 } },
+      { $skip: (page - 1) * limit },
+      { $limit: limit + 1 }
+    ]);
+
+    const hasMore = groups.length > limit;
+    if (hasMore) groups.pop();
+
+    const stories = groups.map(group => {
+      const lead = pickLeadArticle(group.articles);
+      const alternates = group.articles.filter(article => article !== lead);
+
+      return {
+        id: group._id,
+        articleCount: group.articles.length,
+        sourceCount: group.sources.filter(Boolean).length,
+        states: group.states.filter(Boolean),
+        categories: [...new Set(group.articles.flatMap(article => article.categories || []))],
+        firstReportedAt: group.firstReportedAt,
+        lastUpdatedAt: group.lastUpdatedAt,
+        lead: this.formatStoryArticle(lead),
+        alternates: alternates.map(article => this.formatStoryArticle(article))
+      };
+    });
+
+    return { stories, hasMore };
+  }
+
+  getStats() {
+    return {
+      ...this.stats,
+      isClustering: this.isClustering,
+      config: this.config
+    };
+  }
+}
+
+// Create singleton instance
+const storyClusteringService = new StoryClusteringService();
+
+module.exports = storyClusteringService;
@@ -4,6 +4,8 @@ const TeaIslandPost = require('./teaIslandPostModel');
 const Notification = require('./notificationModel');
 const auth = require('./middleware/auth');
 const asyncWrap = require('./utils/asyncWrap');
+const notificationTriggerService = require('./services/notificationTriggerService');
+const { resolveMentions, getTeaIslandAudience } = require('./utils/mentions');
 const router = express.Router();
 
 // Enhanced image URL validation
@@ -20,6 +22,28 @@ const createPostSchema = z.object({
   images: urlArr.optional()
 });
 
+// Notify @mentioned users in a new post and return their offsets for the response
+async function notifyPostMentions(post, user) {
+  const authorId = user._id || user.userId;
+  const { mentions, recipients } = await resolveMentions(post.content, {
+    audience: getTeaIslandAudience(post),
+    authorId
+  });
+
+  notificationTriggerService.triggerMentionNotifications({
+    recipients,
+    senderId: authorId,
+    sender: user.username,
+    senderState: user.state,
+    contentType: `${post.tab} post`,
+    preview: post.title,
+    actionUrl: `/posts/${post.tab}/${post._id}`,
+    relatedPost: post._id
+  });
+
+  return mentions;
+}
+
 // Create a new post (Tea/Island)
 router.post('/posts', auth, asyncWrap(async (req, res) => {
   try {
@@ -80,6 +104,8 @@ router.post('/posts', auth, asyncWrap(async (req, res) => {
 
     console.log(`📝 New ${tab} post created by ${user.username}: "${title}"`);
 
+    const mentions = await notifyPostMentions(post, user);
+
     res.status(201).json({
       message: 'Post created successfully',
       post: {
@@ -97,6 +123,7 @@ router.post('/posts', auth, asyncWrap(async (req, res) => {
         views: post.views,
         isHot: post.isHot,
         isPinned: post.isPinned,
+        mentions,
         createdAt: post.createdAt,
         lastActivity: post.lastActivity
       }
@@ -173,6 +200,8 @@ router.post('/general/:state/posts', auth, asyncWrap(async (req, res) => {
 
     console.log(`📝 New general forum post created by ${user.username} in ${state}: "${title}"`);
 
+    const mentions = await notifyPostMentions(post, user);
+
     res.status(201).json({
       message: 'Post created successfully',
       post: {
@@ -190,6 +219,7 @@ router.post('/general/:state/posts', auth, asyncWrap(async (req, res) => {
         views: post.views,
         isHot: post.isHot,
         isPinned: post.isPinned,
+        mentions,
         createdAt: post.createdAt,
         lastActivity: post.lastActivity
       }
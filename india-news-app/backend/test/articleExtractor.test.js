@@ -0,0 +1,151 @@
+/**
+ * Jest tests for article text extraction (utils/articleExtractor.js)
+ *
+ * Run with: npm test -- test/articleExtractor.test.js
+ */
+
+const { EXTRACTOR_CONFIG, extractArticle } = require('../utils/articleExtractor');
+
+// A paragraph long enough to count as article text
+function paragraph(topic, words = 30) {
+  return `${topic}, ${Array.from({ length: words }, (_, i) => `word${i}`).join(' ')}.`;
+}
+
+function page({ head = '', body = '' }) {
+  return `<!DOCTYPE html><html><head>${head}</head><body>${body}</body></html>`;
+}
+
+describe('extractArticle - JSON-LD', () => {
+  const articleBody = [paragraph('Flood waters rose in Dhemaji'), paragraph('Relief camps opened')].join(' ');
+  const jsonLd = {
+    '@context': 'https://schema.org',
+    '@graph': [
+      { '@type': 'WebPage', name: 'Page' },
+      {
+        '@type': ['NewsArticle'],
+        headline: 'Floods in Dhemaji',
+        articleBody,
+        datePublished: '2024-07-01T08:00:00+05:30',
+        author: [{ '@type': 'Person', name: 'Anjali Das' }, { '@type': 'Person', name: 'Rohit Bora' }]
+      }
+    ]
+  };
+
+  test('uses structured data for the body, author and date', () => {
+    const html = page({
+      head: `<script type="application/ld+json">${JSON.stringify(jsonLd)}</script>`,
+      body: `<article><p>${paragraph('Different HTML text')}</p></article>`
+    });
+
+    const result = extractArticle(html);
+
+    expect(result.body).toBe(articleBody);
+    expect(result.author).toBe('Anjali Das, Rohit Bora');
+    expect(result.publishedAt).toEqual(new Date('2024-07-01T02:30:00Z'));
+    expect(result.wordCount).toBe(articleBody.split(/\s+/).length);
+  });
+
+  test('skips broken JSON-LD and falls back to the HTML', () => {
+    const html = page({
+      head: '<script type="application/ld+json">{ not json</script>' +
+        '<meta name="author" content="By Staff Reporter">' +
+        '<meta property="article:published_time" content="2024-07-02T00:00:00Z">',
+      body: `<div class="entry-content"><p>${paragraph('First')}</p><p>${paragraph('Second')}</p></div>`
+    });
+
+    const result = extractArticle(html);
+
+    expect(result.body.split('\n\n')).toHaveLength(2);
+    expect(result.author).toBe('Staff Reporter');
+    expect(result.publishedAt).toEqual(new Date('2024-07-02T00:00:00Z'));
+  });
+});
+
+describe('extractArticle - HTML', () => {
+  test('reads a known body container and leaves out page furniture', () => {
+    const html = page({
+      body: `
+        <nav><p>${paragraph('Navigation links')}</p></nav>
+        <div itemprop="articleBody">
+          <p>${paragraph('Tripura assembly session')}</p>
+          <div class="share-buttons"><p>${paragraph('Share this story on social media')}</p></div>
+          <p>${paragraph('The budget was passed')}</p>
+          <p>Short caption</p>
+        </div>
+        <footer><p>${paragraph('Copyright notice')}</p></footer>`
+    });
+
+    const { body } = extractArticle(html);
+
+    expect(body).toContain('Tripura assembly session');
+    expect(body).toContain('The budget was passed');
+    expect(body).not.toMatch(/Navigation links|Share this story|Copyright notice|Short caption/);
+  });
+
+  test('falls back to the block with the most paragraph text', () => {
+    const html = page({
+      body: `
+        <div class="sidebar-list"><p>${paragraph('Trending elsewhere', 10)}</p></div>
+        <div class="layout">
+          <div class="col">
+            <p>${paragraph('Aizawl traffic plan')}</p>
+            <p>${paragraph('Police said, on Tuesday, that')}</p>
+            <p>${paragraph('Residents welcomed the change')}</p>
+          </div>
+          <div class="col"><p>${paragraph('Unrelated teaser', 8)}</p></div>
+        </div>`
+    });
+
+    const { body } = extractArticle(html);
+
+    expect(body.split('\n\n')).toEqual([
+      paragraph('Aizawl traffic plan'),
+      paragraph('Police said, on Tuesday, that'),
+      paragraph('Residents welcomed the change')
+    ]);
+  });
+
+  test('reads the byline and <time> when there are no meta tags', () => {
+    const html = page({
+      body: `<article>
+        <span class="byline">by Meena Sharma</span>
+        <time datetime="2024-07-03T06:00:00Z">3 July</time>
+        <p>${paragraph('Kohima festival')}</p><p>${paragraph('Crowds gathered')}</p>
+      </article>`
+    });
+
+    const result = extractArticle(html);
+
+    expect(result.author).toBe('Meena Sharma');
+    expect(result.publishedAt).toEqual(new Date('2024-07-03T06:00:00Z'));
+  });
+
+  test('ignores author values that are profile URLs', () => {
+    const html = page({
+      head: '<meta name="author" content="https://example.com/staff/1">',
+      body: '<p>Too short</p>'
+    });
+    expect(extractArticle(html).author).toBeNull();
+  });
+});
+
+describe('extractArticle - limits', () => {
+  test('returns no body for teaser-length text', () => {
+    const html = page({ body: `<article><p>${paragraph('Subscribe to read', 20)}</p></article>` });
+    expect(extractArticle(html)).toMatchObject({ body: null, wordCount: 0 });
+  });
+
+  test('caps the stored body at a word boundary', () => {
+    const paragraphs = Array.from({ length: 200 }, (_, i) => `<p>${paragraph(`Paragraph ${i}`, 40)}</p>`).join('');
+    const { body, wordCount } = extractArticle(page({ body: `<article>${paragraphs}</article>` }));
+
+    expect(body.length).toBeLessThanOrEqual(EXTRACTOR_CONFIG.maxBodyLength);
+    expect(body.endsWith(' ')).toBe(false);
+    expect(wordCount).toBeGreaterThan(body.split(/\s+/).length);
+  });
+
+  test('handles empty input', () => {
+    expect(extractArticle('')).toEqual({ body: null, author: null, publishedAt: null, wordCount: 0 });
+    expect(extractArticle(null).body).toBeNull();
+  });
+});
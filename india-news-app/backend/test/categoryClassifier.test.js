@@ -0,0 +1,121 @@
+/**
+ * Jest tests for keyword category classification (utils/categoryClassifier.js)
+ *
+ * Run with: npm test -- test/categoryClassifier.test.js
+ */
+
+process.env.CATEGORY_AI_ENABLED = 'false'; // Keywords only, no OpenAI calls
+
+const { NEWS_CATEGORIES } = require('../articleModel');
+const {
+  classifyArticle,
+  performKeywordClassification,
+  CATEGORY_KEYWORDS,
+  isAIClassificationEnabled
+} = require('../utils/categoryClassifier');
+
+const FIXTURES = [
+  {
+    category: 'politics',
+    title: 'Assam CM announces cabinet expansion ahead of assembly polls',
+    summary: 'The chief minister said the election commission would be informed.'
+  },
+  {
+    category: 'sports',
+    title: 'NorthEast United beat Mohun Bagan in Durand Cup match',
+    summary: 'The football team won the tournament match at the stadium.'
+  },
+  {
+    category: 'weather',
+    title: 'IMD issues red alert as heavy rain triggers landslides in Meghalaya',
+    summary: 'Flood waters rose and the water level crossed the danger mark.'
+  },
+  {
+    category: 'crime',
+    title: 'Police arrest two drug peddlers, heroin seized in Guwahati',
+    summary: 'The accused were sent to judicial custody.'
+  },
+  {
+    category: 'culture',
+    title: 'Hornbill Festival begins at Kisama with folk dance',
+    summary: 'Tribal heritage and traditional music were showcased.'
+  },
+  {
+    category: 'environment',
+    title: 'Rhino poaching: forest department steps up vigil in Kaziranga national park',
+    summary: 'Wildlife conservation groups welcomed the move.'
+  },
+  {
+    category: 'health',
+    title: 'Dengue cases rise; health department asks hospitals to prepare',
+    summary: 'Doctors said patients need treatment early.'
+  }
+];
+
+describe('CATEGORY_KEYWORDS', () => {
+  test('only uses categories the Article model accepts', () => {
+    Object.keys(CATEGORY_KEYWORDS).forEach(category => {
+      expect(NEWS_CATEGORIES).toContain(category);
+    });
+  });
+});
+
+describe('classifyArticle (keywords)', () => {
+  test('the AI path is off in tests', () => {
+    expect(isAIClassificationEnabled()).toBe(false);
+  });
+
+  test.each(FIXTURES)('files "$title" under $category', async ({ category, ...article }) => {
+    const result = await classifyArticle(article, { useAI: false });
+
+    expect(result.method).toBe('keywords');
+    expect(result.categories).toEqual([category]);
+  });
+
+  test('files an article under several close categories, best first', async () => {
+    const result = await classifyArticle({
+      title: 'Floods damage schools as heavy rain lashes Assam',
+      summary: 'Students could not reach school; the exam was postponed after the flood and landslide.'
+    }, { useAI: false });
+
+    expect(result.categories).toEqual(['weather', 'education']);
+  });
+
+  test('reads the extracted body when there is no content', async () => {
+    const result = await classifyArticle({
+      title: 'Update from Aizawl',
+      body: 'The hospital said doctors treated patients for dengue; the health department issued advice.'
+    }, { useAI: false });
+
+    expect(result.categories).toEqual(['health']);
+  });
+
+  test('leaves articles without enough keywords uncategorized', async () => {
+    const result = await classifyArticle({ title: 'Guwahati residents enjoy a quiet Sunday' }, { useAI: false });
+    expect(result.categories).toEqual([]);
+  });
+});
+
+describe('performKeywordClassification', () => {
+  test('phrases weigh twice as much as single words', () => {
+    const { allScores } = performKeywordClassification('the chief minister');
+    expect(allScores.politics.score).toBe(3); // "chief minister" (2) + "minister" (1)
+  });
+
+  test('matches whole words only', () => {
+    const { allScores } = performKeywordClassification('the rainbow parliamentarian');
+    expect(allScores.weather).toBeUndefined();
+    expect(allScores.politics).toBeUndefined();
+  });
+
+  test('drops categories under half the top score and keeps at most three', () => {
+    const text = 'police arrest accused murder court election ' +
+      'school students exam hospital doctors football match rain';
+    const { categories, topScore } = performKeywordClassification(text);
+
+    expect(topScore).toBe(5);
+    expect(categories[0]).toBe('crime');
+    expect(categories.length).toBeLessThanOrEqual(3);
+    expect(categories).not.toContain('politics');
+  });
+});
@@ -0,0 +1,248 @@
+/**
+ * Jest tests for robots.txt handling and polite fetching (utils/crawlPolicy.js)
+ *
+ * Run with: npm test -- test/crawlPolicy.test.js
+ */
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  AxiosError: jest.requireActual('axios').AxiosError
+}));
+
+process.env.SCRAPER_DOMAIN_INTERVAL_MS = '1'; // Keep the rate limit out of the way
+
+const axios = require('axios');
+const {
+  CRAWL_CONFIG,
+  parseRobotsTxt,
+  selectRobotsPolicy,
+  isPathAllowed,
+  getRobotsPolicy,
+  politeGet,
+  getCrawlStats
+} = require('../utils/crawlPolicy');
+
+// Serve robots.txt and pages per URL: { 'https://a.com/robots.txt': { status, data, headers } }
+function mockSite(responses) {
+  axios.get.mockImplementation(async (url, config = {}) => {
+    const response = responses[url] || { status: 404, data: '' };
+    const result = { headers: {}, config, request: {}, ...response };
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(result.status)) {
+      const error = new Error(`Request failed with status code ${result.status}`);
+      error.response = result;
+      throw error;
+    }
+    return result;
+  });
+}
+
+function requestedUrls() {
+  return axios.get.mock.calls.map(([url]) => url);
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseRobotsTxt', () => {
+  test('groups consecutive user-agent lines and ignores comments', () => {
+    const groups = parseRobotsTxt([
+      '# robots for example.com',
+      'User-agent: GoogleBot',
+      'User-agent: NortheastNewsBot',
+      'Disallow: /private   # members only',
+      'Allow: /private/open',
+      'Crawl-delay: 5',
+      '',
+      'User-agent: *',
+      'Disallow:',
+      'Sitemap: https://example.com/sitemap.xml'
+    ].join('\r\n'));
+
+    expect(groups).toEqual([
+      {
+        agents: ['googlebot', 'northeastnewsbot'],
+        rules: [{ allow: false, path: '/private' }, { allow: true, path: '/private/open' }],
+        crawlDelay: 5
+      },
+      { agents: ['*'], rules: [], crawlDelay: null }
+    ]);
+  });
+
+  test('ignores rules before the first user-agent and invalid crawl delays', () => {
+    const groups = parseRobotsTxt('Disallow: /\nUser-agent: *\nCrawl-delay: soon\nDisallow: /tmp');
+    expect(groups).toEqual([{ agents: ['*'], rules: [{ allow: false, path: '/tmp' }], crawlDelay: null }]);
+  });
+});
+
+describe('selectRobotsPolicy', () => {
+  const groups = parseRobotsTxt([
+    'User-agent: *',
+    'Disallow: /',
+    '',
+    'User-agent: NortheastNewsBot',
+    'Disallow: /admin',
+    'Crawl-delay: 2',
+    '',
+    'User-agent: northeastnewsbot',
+    'Disallow: /drafts',
+    'Crawl-delay: 10',
+    '',
+    'User-agent: NortheastNewsBotExtended',
+    'Disallow: /news'
+  ].join('\n'));
+
+  test('uses every group naming our product token, merging rules and the largest delay', () => {
+    const policy = selectRobotsPolicy(groups, 'northeastnewsbot');
+    expect(policy.rules).toEqual([{ allow: false, path: '/admin' }, { allow: false, path: '/drafts' }]);
+    expect(policy.crawlDelay).toBe(10);
+  });
+
+  test('falls back to the * group for other agents', () => {
+    expect(selectRobotsPolicy(groups, 'otherbot')).toEqual({ rules: [{ allow: false, path: '/' }], crawlDelay: null });
+  });
+
+  test('matches agent names exactly', () => {
+    expect(selectRobotsPolicy(groups, 'northeastnews').rules).toEqual([{ allow: false, path: '/' }]);
+  });
+
+  test('allows everything without groups', () => {
+    expect(selectRobotsPolicy([], 'northeastnewsbot')).toEqual({ rules: [], crawlDelay: null });
+  });
+});
+
+describe('isPathAllowed', () => {
+  const policy = {
+    rules: [
+      { allow: false, path: '/news/' },
+      { allow: true, path: '/news/assam/' },
+      { allow: false, path: '/*.pdf$' },
+      { allow: false, path: '/search*?q=' },
+      { allow: true, path: '/page' },
+      { allow: false, path: '/page' }
+    ]
+  };
+
+  test('the longest matching rule wins', () => {
+    expect(isPathAllowed(policy, '/news/manipur/story')).toBe(false);
+    expect(isPathAllowed(policy, '/news/assam/story')).toBe(true);
+  });
+
+  test('$ anchors the end and * matches anything', () => {
+    expect(isPathAllowed(policy, '/files/report.pdf')).toBe(false);
+    expect(isPathAllowed(policy, '/files/report.pdf?download=1')).toBe(true);
+    expect(isPathAllowed(policy, '/search/all?q=floods')).toBe(false);
+    expect(isPathAllowed(policy, '/search/all')).toBe(true);
+  });
+
+  test('Allow wins a tie', () => {
+    expect(isPathAllowed(policy, '/page')).toBe(true);
+  });
+
+  test('paths no rule matches are allowed', () => {
+    expect(isPathAllowed(policy, '/about')).toBe(true);
+    expect(isPathAllowed({ rules: [] }, '/anything')).toBe(true);
+  });
+
+  test('regex characters in rules are literal', () => {
+    expect(isPathAllowed({ rules: [{ allow: false, path: '/a.b' }] }, '/axb')).toBe(true);
+    expect(isPathAllowed({ rules: [{ allow: false, path: '/a.b' }] }, '/a.b/c')).toBe(false);
+  });
+});
+
+describe('getRobotsPolicy', () => {
+  test('fetches robots.txt once per site with the bot User-Agent', async () => {
+    mockSite({ 'https://cache.test/robots.txt': { status: 200, data: 'User-agent: *\nDisallow: /private\nCrawl-delay: 3' } });
+
+    const policy = await getRobotsPolicy('https://cache.test/news/1');
+    await getRobotsPolicy('https://cache.test/news/2');
+
+    expect(policy).toEqual({ rules: [{ allow: false, path: '/private' }], crawlDelay: 3 });
+    expect(requestedUrls()).toEqual(['https://cache.test/robots.txt']);
+    expect(axios.get.mock.calls[0][1].headers['User-Agent']).toBe(CRAWL_CONFIG.userAgent);
+  });
+
+  test('a missing robots.txt allows everything', async () => {
+    mockSite({ 'https://missing.test/robots.txt': { status: 404, data: 'Not found' } });
+    await expect(getRobotsPolicy('https://missing.test/')).resolves.toEqual({ rules: [], crawlDelay: null });
+  });
+
+  test('an unreachable robots.txt disallows everything', async () => {
+    mockSite({ 'https://down.test/robots.txt': { status: 503, data: '' } });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const policy = await getRobotsPolicy('https://down.test/');
+
+    expect(isPathAllowed(policy, '/news')).toBe(false);
+    console.warn.mockRestore();
+  });
+});
+
+describe('politeGet', () => {
+  test('refuses paths robots.txt disallows without requesting them', async () => {
+    mockSite({ 'https://blocked.test/robots.txt': { status: 200, data: 'User-agent: *\nDisallow: /premium' } });
+    const blockedBefore = getCrawlStats().robotsBlocked;
+
+    await expect(politeGet('https://blocked.test/premium/story')).rejects.toMatchObject({
+      status: 403,
+      code: 'ROBOTS_DISALLOWED'
+    });
+    expect(requestedUrls()).not.toContain('https://blocked.test/premium/story');
+    expect(getCrawlStats().robotsBlocked).toBe(blockedBefore + 1);
+  });
+
+  test('sends the bot User-Agent over any caller header', async () => {
+    mockSite({ 'https://ua.test/page': { status: 200, data: 'ok' } });
+
+    const response = await politeGet('https://ua.test/page', { headers: { 'User-Agent': 'Mozilla/5.0', Accept: 'text/html' } });
+
+    expect(response.data).toBe('ok');
+    const [, config] = axios.get.mock.calls.find(([url]) => url === 'https://ua.test/page');
+    expect(config.headers).toEqual({ 'User-Agent': CRAWL_CONFIG.userAgent, Accept: 'text/html' });
+    expect(config.maxRedirects).toBe(0);
+  });
+
+  test('follows redirects, checking each hop against robots.txt', async () => {
+    mockSite({
+      'https://hop.test/robots.txt': { status: 200, data: 'User-agent: *\nDisallow: /premium' },
+      'https://hop.test/story': { status: 301, headers: { location: '/news/story' } },
+      'https://hop.test/news/story': { status: 302, headers: { location: 'https://other.test/final' } },
+      'https://other.test/final': { status: 200, data: 'final' }
+    });
+
+    const response = await politeGet('https://hop.test/story');
+
+    expect(response.data).toBe('final');
+    expect(requestedUrls()).toContain('https://other.test/robots.txt');
+  });
+
+  test('refuses a redirect to a disallowed path', async () => {
+    mockSite({
+      'https://paywall.test/robots.txt': { status: 200, data: 'User-agent: *\nDisallow: /premium' },
+      'https://paywall.test/story': { status: 302, headers: { location: '/premium/story' } }
+    });
+
+    await expect(politeGet('https://paywall.test/story')).rejects.toMatchObject({ code: 'ROBOTS_DISALLOWED' });
+    expect(requestedUrls()).not.toContain('https://paywall.test/premium/story');
+  });
+
+  test('gives up after too many redirects', async () => {
+    const responses = {};
+    for (let i = 0; i <= CRAWL_CONFIG.maxRedirects + 1; i++) {
+      responses[`https://loop.test/${i}`] = { status: 302, headers: { location: `/${i + 1}` } };
+    }
+    mockSite(responses);
+
+    await expect(politeGet('https://loop.test/0')).rejects.toMatchObject({ code: 'ERR_FR_TOO_MANY_REDIRECTS' });
+  });
+
+  test('keeps the caller validateStatus for the final response', async () => {
+    mockSite({ 'https://status.test/page': { status: 304, data: '' } });
+
+    const response = await politeGet('https://status.test/page', { validateStatus: status => status === 304 });
+    expect(response.status).toBe(304);
+
+    await expect(politeGet('https://status.test/page')).rejects.toMatchObject({ response: { status: 304 } });
+  });
+});
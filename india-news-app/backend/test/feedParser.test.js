@@ -0,0 +1,195 @@
+/**
+ * Jest tests for RSS, Atom and JSON Feed parsing (utils/feedParser.js)
+ *
+ * Run with: npm test -- test/feedParser.test.js
+ */
+
+const { parseFeed } = require('../utils/feedParser');
+
+const FEED_URL = 'https://news.example.com/category/assam/feed';
+
+const RSS_FEED = `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0"
+  xmlns:content="http://purl.org/rss/1.0/modules/content/"
+  xmlns:media="http://search.yahoo.com/mrss/"
+  xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>Example News - Assam</title>
+    <link>https://news.example.com/</link>
+    <item>
+      <title><![CDATA[Guwahati <em>flood</em> update]]></title>
+      <link>https://news.example.com/assam/guwahati-flood</link>
+      <description><![CDATA[<p>Water levels rose across <b>Guwahati</b> on Monday.</p>]]></description>
+      <pubDate>Mon, 01 Jul 2024 08:30:00 +0530</pubDate>
+      <media:content url="https://cdn.example.com/flood.jpg" medium="image" />
+    </item>
+    <item>
+      <title>Relative link story</title>
+      <guid isPermaLink="true">/assam/relative-story</guid>
+      <content:encoded><![CDATA[<p>Body with an image <img src="/img/story.png"></p>]]></content:encoded>
+      <dc:date>2024-07-01T05:00:00Z</dc:date>
+    </item>
+    <item>
+      <title>Enclosure story</title>
+      <link>https://news.example.com/assam/enclosure</link>
+      <enclosure url="https://cdn.example.com/audio.mp3" type="audio/mpeg" />
+      <enclosure url="https://cdn.example.com/photo.webp" type="image/webp" />
+      <pubDate>not a date</pubDate>
+    </item>
+  </channel>
+</rss>`;
+
+const ATOM_FEED = `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>Example Atom</title>
+  <entry>
+    <title type="html">Shillong &amp; the monsoon</title>
+    <link rel="self" href="https://news.example.com/api/entries/1" />
+    <link rel="alternate" href="https://news.example.com/meghalaya/monsoon" />
+    <link rel="enclosure" type="image/jpeg" href="https://cdn.example.com/monsoon.jpg" />
+    <summary>Heavy rain in Shillong.</summary>
+    <published>2024-07-02T10:00:00Z</published>
+    <updated>2024-07-02T12:00:00Z</updated>
+  </entry>
+  <entry>
+    <title>Updated only</title>
+    <link href="/meghalaya/updated" />
+    <content type="html">&lt;p&gt;Content with &lt;img src="https://cdn.example.com/c.jpg"&gt;&lt;/p&gt;</content>
+    <updated>2024-07-03T09:00:00Z</updated>
+  </entry>
+</feed>`;
+
+const JSON_FEED = {
+  version: 'https://jsonfeed.org/version/1.1',
+  title: 'Example JSON Feed',
+  home_page_url: 'https://news.example.com/',
+  items: [
+    {
+      id: '1',
+      url: '/manipur/imphal-market',
+      title: 'Imphal market reopens',
+      content_html: '<p>Traders returned to <b>Ima Keithel</b>.</p>',
+      image: 'https://cdn.example.com/market.jpg',
+      date_published: '2024-07-04T06:00:00+05:30'
+    },
+    {
+      id: 'https://news.example.com/manipur/id-link',
+      title: 'Link from id',
+      content_text: 'Plain text summary',
+      date_modified: '2024-07-05T00:00:00Z'
+    }
+  ]
+};
+
+describe('parseFeed - RSS', () => {
+  const feed = parseFeed(RSS_FEED, FEED_URL);
+
+  test('detects the format and channel title', () => {
+    expect(feed.format).toBe('rss');
+    expect(feed.title).toBe('Example News - Assam');
+    expect(feed.items).toHaveLength(3);
+  });
+
+  test('strips HTML from titles and summaries and reads media images', () => {
+    expect(feed.items[0]).toEqual({
+      title: 'Guwahati flood update',
+      link: 'https://news.example.com/assam/guwahati-flood',
+      summary: 'Water levels rose across Guwahati on Monday.',
+      image: 'https://cdn.example.com/flood.jpg',
+      publishedAt: new Date('2024-07-01T03:00:00Z')
+    });
+  });
+
+  test('falls back to guid, content:encoded images and dc:date, resolving relative URLs', () => {
+    expect(feed.items[1]).toMatchObject({
+      link: 'https://news.example.com/assam/relative-story',
+      summary: 'Body with an image',
+      image: 'https://news.example.com/img/story.png',
+      publishedAt: new Date('2024-07-01T05:00:00Z')
+    });
+  });
+
+  test('only uses image enclosures and ignores invalid dates', () => {
+    expect(feed.items[2].image).toBe('https://cdn.example.com/photo.webp');
+    expect(feed.items[2].publishedAt).toBeNull();
+  });
+
+  test('truncates long summaries', () => {
+    const long = Array.from({ length: 200 }, () => 'word').join(' ');
+    const { items } = parseFeed(`<rss><channel><item><title>T</title><description>${long}</description></item></channel></rss>`);
+    expect(items[0].summary.length).toBeLessThanOrEqual(501);
+    expect(items[0].summary.endsWith('…')).toBe(true);
+  });
+});
+
+describe('parseFeed - Atom', () => {
+  const feed = parseFeed(ATOM_FEED, FEED_URL);
+
+  test('detects the format and title', () => {
+    expect(feed.format).toBe('atom');
+    expect(feed.title).toBe('Example Atom');
+  });
+
+  test('prefers the alternate link, image enclosure and published date', () => {
+    expect(feed.items[0]).toEqual({
+      title: 'Shillong & the monsoon',
+      link: 'https://news.example.com/meghalaya/monsoon',
+      summary: 'Heavy rain in Shillong.',
+      image: 'https://cdn.example.com/monsoon.jpg',
+      publishedAt: new Date('2024-07-02T10:00:00Z')
+    });
+  });
+
+  test('falls back to content and updated', () => {
+    expect(feed.items[1]).toMatchObject({
+      link: 'https://news.example.com/meghalaya/updated',
+      summary: 'Content with',
+      image: 'https://cdn.example.com/c.jpg',
+      publishedAt: new Date('2024-07-03T09:00:00Z')
+    });
+  });
+});
+
+describe('parseFeed - JSON Feed', () => {
+  test('parses a JSON string or an already parsed object', () => {
+    const fromString = parseFeed(JSON.stringify(JSON_FEED), FEED_URL);
+    const fromObject = parseFeed(JSON_FEED, FEED_URL);
+
+    expect(fromString).toEqual(fromObject);
+    expect(fromObject.format).toBe('jsonfeed');
+    expect(fromObject.title).toBe('Example JSON Feed');
+  });
+
+  test('resolves item URLs against home_page_url and falls back to an http id', () => {
+    const { items } = parseFeed(JSON_FEED, FEED_URL);
+
+    expect(items[0]).toEqual({
+      title: 'Imphal market reopens',
+      link: 'https://news.example.com/manipur/imphal-market',
+      summary: 'Traders returned to Ima Keithel.',
+      image: 'https://cdn.example.com/market.jpg',
+      publishedAt: new Date('2024-07-04T00:30:00Z')
+    });
+    expect(items[1]).toMatchObject({
+      link: 'https://news.example.com/manipur/id-link',
+      summary: 'Plain text summary',
+      publishedAt: new Date('2024-07-05T00:00:00Z')
+    });
+  });
+
+  test('accepts a Buffer body', () => {
+    expect(parseFeed(Buffer.from(JSON.stringify(JSON_FEED))).format).toBe('jsonfeed');
+  });
+});
+
+describe('parseFeed - errors', () => {
+  test('rejects JSON that is not a JSON Feed', () => {
+    expect(() => parseFeed({ items: [] })).toThrow('jsonfeed.org');
+    expect(() => parseFeed('{ not json')).toThrow('Invalid JSON feed');
+  });
+
+  test('rejects empty responses and HTML pages', () => {
+    expect(() => parseFeed('')).toThrow('Empty feed response');
+    expect(() => parseFeed('<html><body>Not a feed</body></html>')).toThrow('Unrecognised feed format');
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Jest tests for @mention parsing and resolution (utils/mentions.js)
+ *
+ * Run with: npm test -- test/mentions.test.js
+ */
+
+jest.mock('../userModel', () => ({ find: jest.fn() }));
+
+const User = require('../userModel');
+const {
+  MAX_MENTIONS,
+  parseMentions,
+  canSeeContent,
+  getTeaIslandAudience,
+  resolveMentions
+} = require('../utils/mentions');
+
+// User.find(...).collation(...).select(...).lean() resolving to `users`
+function mockUsers(users) {
+  const query = {
+    collation: jest.fn(() => query),
+    select: jest.fn(() => query),
+    lean: jest.fn(() => Promise.resolve(users))
+  };
+  User.find.mockReturnValue(query);
+  return query;
+}
+
+function user(username, fields = {}) {
+  return { _id: `id-${username}`, username, gender: 'female', state: 'Assam', status: 'active', ...fields };
+}
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+describe('parseMentions', () => {
+  test('finds mentions with [start, end) offsets including the @', () => {
+    const text = 'hey @rahul and @priya_k!';
+    const mentions = parseMentions(text);
+
+    expect(mentions).toEqual([
+      { username: 'rahul', start: 4, end: 10 },
+      { username: 'priya_k', start: 15, end: 23 }
+    ]);
+    mentions.forEach(({ start, end, username }) => {
+      expect(text.slice(start, end)).toBe(`@${username}`);
+    });
+  });
+
+  test('keeps mixed-case usernames as typed', () => {
+    expect(parseMentions('hey @Rahul_B')).toEqual([{ username: 'Rahul_B', start: 4, end: 12 }]);
+  });
+
+  test('ignores emails, double @ and names outside 3-20 characters', () => {
+    expect(parseMentions('mail me at someone@example.com')).toEqual([]);
+    expect(parseMentions('@@rahul')).toEqual([]);
+    expect(parseMentions('@ab is too short')).toEqual([]);
+    expect(parseMentions(`@${'a'.repeat(21)}`)).toEqual([]);
+  });
+
+  test('handles empty input', () => {
+    expect(parseMentions('')).toEqual([]);
+    expect(parseMentions(null)).toEqual([]);
+  });
+});
+
+describe('canSeeContent', () => {
+  test('applies gender and state audiences', () => {
+    const member = user('priya');
+    expect(canSeeContent(member, { gender: 'female' })).toBe(true);
+    expect(canSeeContent(member, { gender: 'male' })).toBe(false);
+    expect(canSeeContent(member, { state: 'Assam' })).toBe(true);
+    expect(canSeeContent(member, { state: 'Manipur' })).toBe(false);
+  });
+
+  test('never includes banned users', () => {
+    expect(canSeeContent(user('priya', { status: 'banned' }))).toBe(false);
+  });
+});
+
+describe('getTeaIslandAudience', () => {
+  test('maps tabs to their audience', () => {
+    expect(getTeaIslandAudience({ tab: 'tea' })).toEqual({ gender: 'female' });
+    expect(getTeaIslandAudience({ tab: 'island' })).toEqual({ gender: 'male' });
+    expect(getTeaIslandAudience({ tab: 'general', state: 'Sikkim' })).toEqual({ state: 'Sikkim' });
+  });
+});
+
+describe('resolveMentions', () => {
+  test('matches usernames case-insensitively', async () => {
+    const query = mockUsers([user('Rahul_B', { gender: 'male' })]);
+
+    const { mentions, recipients } = await resolveMentions('hey @rahul_b');
+
+    expect(User.find).toHaveBeenCalledWith({ username: { $in: ['rahul_b'] }, status: { $ne: 'banned' } });
+    expect(query.collation).toHaveBeenCalledWith({ locale: 'en', strength: 2 });
+    expect(mentions).toEqual([{ userId: 'id-Rahul_B', username: 'Rahul_B', start: 4, end: 12 }]);
+    expect(recipients.map(r => r.username)).toEqual(['Rahul_B']);
+  });
+
+  test('looks up each name once however it is capitalized', async () => {
+    mockUsers([user('Priya')]);
+
+    const { mentions, recipients } = await resolveMentions('@priya @PRIYA @Priya');
+
+    expect(User.find.mock.calls[0][0].username.$in).toHaveLength(1);
+    expect(mentions).toHaveLength(3);
+    expect(recipients).toHaveLength(1);
+  });
+
+  test('prefers the exact match when names differ only by case', async () => {
+    mockUsers([user('priya'), user('Priya')]);
+
+    const { mentions, recipients } = await resolveMentions('cc @Priya');
+
+    expect(mentions[0].username).toBe('Priya');
+    expect(recipients.map(r => r.username)).toEqual(['Priya']);
+  });
+
+  test('only notifies the audience and never the author', async () => {
+    mockUsers([user('priya'), user('rahul', { gender: 'male' }), user('author')]);
+
+    const { mentions, recipients } = await resolveMentions('@priya @rahul @author', {
+      audience: { gender: 'female' },
+      authorId: 'id-author'
+    });
+
+    expect(mentions).toHaveLength(3);
+    expect(recipients.map(r => r.username)).toEqual(['priya']);
+  });
+
+  test('caps the number of names looked up', async () => {
+    mockUsers([]);
+    const text = Array.from({ length: MAX_MENTIONS + 5 }, (_, i) => `@user${i}`).join(' ');
+
+    await resolveMentions(text);
+
+    expect(User.find.mock.calls[0][0].username.$in).toHaveLength(MAX_MENTIONS);
+  });
+
+  test('returns no mentions when the lookup fails', async () => {
+    const query = mockUsers([]);
+    query.lean.mockReturnValue(Promise.reject(new Error('db down')));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(resolveMentions('@priya')).resolves.toEqual({ mentions: [], recipients: [] });
+    console.error.mockRestore();
+  });
+
+  test('skips the lookup when there are no mentions', async () => {
+    await expect(resolveMentions('no mentions here')).resolves.toEqual({ mentions: [], recipients: [] });
+    expect(User.find).not.toHaveBeenCalled();
+  });
+});
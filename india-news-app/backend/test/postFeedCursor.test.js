@@ -0,0 +1,123 @@
+/**
+ * Jest tests for feed cursors (Post.encodeFeedCursor / Post.feedCursorFilter in
+ * models/postModel.js). Feeds are paged in memory with a small evaluator for the
+ * filters the cursor builds, so no database is needed
+ *
+ * Run with: npm test -- test/postFeedCursor.test.js
+ */
+
+const mongoose = require('mongoose');
+const { Post, FEED_SORTS } = require('../models/postModel');
+
+const BASE_SECONDS = Math.floor(new Date('2024-07-01T00:00:00Z').getTime() / 1000);
+
+function get(doc, field) {
+  return field.split('.').reduce((obj, key) => obj?.[key], doc);
+}
+
+function compare(a, b) {
+  if (a instanceof mongoose.Types.ObjectId) return a.toHexString().localeCompare(b.toHexString());
+  if (a instanceof Date) return a.getTime() - b.getTime();
+  return a === b ? 0 : (a < b ? -1 : 1);
+}
+
+// Enough of MongoDB's query semantics for the filters feedCursorFilter returns
+function matches(doc, filter) {
+  return Object.entries(filter).every(([field, condition]) => {
+    if (field === '$or') return condition.some(clause => matches(doc, clause));
+    const value = get(doc, field);
+    if (condition && condition.$lt !== undefined) return compare(value, condition.$lt) < 0;
+    if (condition && condition.$gt !== undefined) return compare(value, condition.$gt) > 0;
+    return compare(value, condition) === 0;
+  });
+}
+
+function sortPosts(posts, sort) {
+  const order = Object.entries(FEED_SORTS[sort]);
+  return [...posts].sort((a, b) => {
+    for (const [field, direction] of order) {
+      const result = compare(get(a, field), get(b, field));
+      if (result !== 0) return result * direction;
+    }
+    return 0;
+  });
+}
+
+// Page through a feed the way GET /api/posts does, following nextCursor to the end
+function readFeed(posts, sort, limit) {
+  const pages = [];
+  let cursor = null;
+  do {
+    const visible = cursor ? posts.filter(post => matches(post, Post.feedCursorFilter(cursor, sort))) : posts;
+    const page = sortPosts(visible, sort).slice(0, limit + 1);
+    const hasMore = page.length > limit;
+    if (hasMore) page.pop();
+    pages.push(page.map(post => post.title));
+    cursor = hasMore ? Post.encodeFeedCursor(page[page.length - 1], sort) : null;
+  } while (cursor && pages.length < 20);
+  return pages;
+}
+
+function post(title, createdSeconds, fields = {}) {
+  return {
+    _id: mongoose.Types.ObjectId.createFromTime(BASE_SECONDS + createdSeconds),
+    title,
+    createdAt: new Date((BASE_SECONDS + createdSeconds) * 1000),
+    isPinned: false,
+    metrics: { score: 0 },
+    ...fields
+  };
+}
+
+// Ten posts a minute apart, plus a post scheduled before all of them that was
+// published after them: its _id is the oldest, its createdAt the newest
+function feedWithPublishedSchedule(fields = () => ({})) {
+  const posts = Array.from({ length: 10 }, (_, i) => post(`post ${i}`, 60 + i * 60, fields(i)));
+  const scheduled = post('scheduled', 0, fields(10));
+  scheduled.createdAt = new Date((BASE_SECONDS + 3600) * 1000); // publishPost moves createdAt
+  return [...posts, scheduled];
+}
+
+describe('feed cursors', () => {
+  test('a published scheduled post leads the new feed once and never repeats', () => {
+    const pages = readFeed(feedWithPublishedSchedule(), 'new', 3);
+    const titles = pages.flat();
+
+    expect(pages[0][0]).toBe('scheduled');
+    expect(titles).toHaveLength(11);
+    expect(new Set(titles).size).toBe(11);
+  });
+
+  test('pages the hot feed by pin, score and time without repeats or gaps', () => {
+    const scores = [5, 5, 3, 9, 0, 3, 3, 1, 5, 2, 4];
+    const posts = feedWithPublishedSchedule(i => ({ metrics: { score: scores[i] }, isPinned: i === 4 }));
+
+    const titles = readFeed(posts, 'hot', 2).flat();
+
+    expect(titles).toEqual(sortPosts(posts, 'hot').map(p => p.title));
+    expect(titles[0]).toBe('post 4'); // pinned
+    expect(new Set(titles).size).toBe(posts.length);
+  });
+
+  test('posts created in the same second stay apart by _id', () => {
+    const shared = new Date(BASE_SECONDS * 1000);
+    const posts = ['a', 'b', 'c', 'd'].map(title => ({
+      _id: new mongoose.Types.ObjectId(),
+      title,
+      createdAt: shared
+    }));
+
+    expect(readFeed(posts, 'new', 1).flat().sort()).toEqual(['a', 'b', 'c', 'd']);
+  });
+
+  test('rejects malformed cursors', () => {
+    const valid = Post.encodeFeedCursor(post('x', 0), 'new');
+
+    expect(Post.feedCursorFilter(valid, 'new')).not.toBeNull();
+    expect(Post.feedCursorFilter(valid, 'hot')).toBeNull(); // wrong number of fields
+    expect(Post.feedCursorFilter(new mongoose.Types.ObjectId().toString(), 'new')).toBeNull();
+    expect(Post.feedCursorFilter('not a cursor', 'new')).toBeNull();
+    expect(Post.feedCursorFilter(Buffer.from('["soon","123"]').toString('base64url'), 'new')).toBeNull();
+    expect(Post.feedCursorFilter(Buffer.from('{"a":1}').toString('base64url'), 'new')).toBeNull();
+  });
+});
@@ -0,0 +1,200 @@
+/**
+ * Jest tests for conditional fetching, Retry-After and the response cache
+ * (utils/scraperFetch.js). axios is mocked; the cache lives in a temp directory
+ *
+ * Run with: npm test -- test/scraperFetch.test.js
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+jest.mock('axios', () => ({
+  get: jest.fn(),
+  AxiosError: jest.requireActual('axios').AxiosError
+}));
+
+const CACHE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'scraper-cache-test-'));
+process.env.SCRAPER_CACHE_DIR = CACHE_DIR;
+process.env.SCRAPER_DOMAIN_INTERVAL_MS = '1';
+
+const axios = require('axios');
+const { FETCH_CONFIG, fetchSourceUrl, getFetchStats } = require('../utils/scraperFetch');
+
+// Page responses by URL; robots.txt is missing (allow all) unless listed
+let responses = {};
+
+function respond(url, response) {
+  responses[url] = response;
+}
+
+function pageRequests(url) {
+  return axios.get.mock.calls.filter(([requested]) => requested === url);
+}
+
+function cachedFiles() {
+  return fs.readdirSync(CACHE_DIR).filter(name => name.endsWith('.json'));
+}
+
+beforeEach(() => {
+  responses = {};
+  axios.get.mockImplementation(async (url, config = {}) => {
+    const response = typeof responses[url] === 'function' ? responses[url](config) : responses[url];
+    const result = { status: 404, data: '', headers: {}, config, request: {}, ...response };
+    const validateStatus = config.validateStatus || (status => status >= 200 && status < 300);
+    if (!validateStatus(result.status)) {
+      const error = new Error(`Request failed with status code ${result.status}`);
+      error.response = result;
+      throw error;
+    }
+    return result;
+  });
+});
+
+afterEach(() => {
+  jest.clearAllMocks();
+});
+
+afterAll(() => {
+  fs.rmSync(CACHE_DIR, { recursive: true, force: true });
+});
+
+describe('conditional requests', () => {
+  const url = 'https://etag.test/news';
+
+  test('caches a response with validators and revalidates it', async () => {
+    respond(url, config => (config.headers['If-None-Match'] === '"v1"'
+      ? { status: 304, data: '' }
+      : { status: 200, data: '<html>v1</html>', headers: { etag: '"v1"', 'last-modified': 'Mon, 01 Jul 2024 00:00:00 GMT' } }));
+    const before = getFetchStats();
+
+    const first = await fetchSourceUrl(url);
+    expect(first).toEqual({ data: '<html>v1</html>', status: 200, notModified: false, bytes: 15 });
+    expect(pageRequests(url)[0][1].headers).not.toHaveProperty('If-None-Match');
+
+    const second = await fetchSourceUrl(url);
+    expect(second).toEqual({ data: '<html>v1</html>', status: 304, notModified: true, bytes: 0 });
+    expect(pageRequests(url)[1][1].headers).toMatchObject({
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': 'Mon, 01 Jul 2024 00:00:00 GMT'
+    });
+
+    const after = getFetchStats();
+    expect(after.notModified - before.notModified).toBe(1);
+    expect(after.bytesSaved - before.bytesSaved).toBe(15);
+    expect(after.bytesDownloaded - before.bytesDownloaded).toBe(15);
+  });
+
+  test('does not cache responses without validators', async () => {
+    const plainUrl = 'https://plain.test/news';
+    respond(plainUrl, { status: 200, data: 'plain' });
+
+    await fetchSourceUrl(plainUrl);
+    await fetchSourceUrl(plainUrl);
+
+    pageRequests(plainUrl).forEach(([, config]) => {
+      expect(config.headers).not.toHaveProperty('If-None-Match');
+      expect(config.headers).not.toHaveProperty('If-Modified-Since');
+    });
+  });
+
+  test('drops the cached entry when the page stops sending validators', async () => {
+    const changingUrl = 'https://changing.test/news';
+    respond(changingUrl, { status: 200, data: 'v1', headers: { etag: '"a"' } });
+    await fetchSourceUrl(changingUrl);
+
+    respond(changingUrl, { status: 200, data: 'v2' });
+    await fetchSourceUrl(changingUrl);
+    await fetchSourceUrl(changingUrl);
+
+    expect(pageRequests(changingUrl)[2][1].headers).not.toHaveProperty('If-None-Match');
+  });
+
+  test('returns cached binary bodies as Buffers', async () => {
+    const gzUrl = 'https://binary.test/sitemap.xml.gz';
+    const body = Buffer.from([0x1f, 0x8b, 0x08, 0x00, 0xff]);
+    respond(gzUrl, config => (config.headers['If-None-Match']
+      ? { status: 304 }
+      : { status: 200, data: body, headers: { etag: '"gz"' } }));
+
+    await fetchSourceUrl(gzUrl, { responseType: 'arraybuffer' });
+    const { data, notModified } = await fetchSourceUrl(gzUrl, { responseType: 'arraybuffer' });
+
+    expect(notModified).toBe(true);
+    expect(Buffer.isBuffer(data)).toBe(true);
+    expect(data.equals(body)).toBe(true);
+  });
+});
+
+describe('Retry-After', () => {
+  test('fails fast for a host that answered 429 with Retry-After seconds', async () => {
+    const url = 'https://busy.test/news';
+    respond(url, { status: 429, headers: { 'retry-after': '120' } });
+    const skipsBefore = getFetchStats().retryAfterSkips;
+
+    await expect(fetchSourceUrl(url)).rejects.toMatchObject({ status: 429, code: 'RETRY_AFTER' });
+    const error = await fetchSourceUrl('https://busy.test/other').catch(err => err);
+
+    expect(error.code).toBe('RETRY_AFTER');
+    expect(error.retryAt.getTime()).toBeGreaterThan(Date.now() + 100000);
+    expect(pageRequests('https://busy.test/other')).toHaveLength(0);
+    expect(getFetchStats().retryAfterSkips - skipsBefore).toBe(1);
+  });
+
+  test('accepts an HTTP date on 503', async () => {
+    const url = 'https://maintenance.test/news';
+    const retryAt = new Date(Date.now() + 60 * 60 * 1000);
+    respond(url, { status: 503, headers: { 'retry-after': retryAt.toUTCString() } });
+
+    const error = await fetchSourceUrl(url).catch(err => err);
+
+    expect(error.code).toBe('RETRY_AFTER');
+    expect(Math.abs(error.retryAt.getTime() - retryAt.getTime())).toBeLessThan(2000);
+  });
+
+  test('passes other errors through', async () => {
+    const url = 'https://broken.test/news';
+    respond(url, { status: 429 });
+
+    const error = await fetchSourceUrl(url).catch(err => err);
+    expect(error.code).not.toBe('RETRY_AFTER');
+    expect(error.response.status).toBe(429);
+
+    respond(url, { status: 200, data: 'ok' });
+    await expect(fetchSourceUrl(url)).resolves.toMatchObject({ data: 'ok' });
+  });
+});
+
+describe('cache eviction', () => {
+  const maxEntries = FETCH_CONFIG.maxEntries;
+
+  afterEach(() => {
+    FETCH_CONFIG.maxEntries = maxEntries;
+  });
+
+  test('evicts the least recently used entries beyond the limit', async () => {
+    const urls = ['a', 'b', 'c'].map(name => `https://evict.test/${name}`);
+    urls.forEach(url => respond(url, config => (config.headers['If-None-Match']
+      ? { status: 304 }
+      : { status: 200, data: url, headers: { etag: `"${url}"` } })));
+
+    FETCH_CONFIG.maxEntries = cachedFiles().length + 2;
+    await fetchSourceUrl(urls[0]);
+    await fetchSourceUrl(urls[1]);
+    await fetchSourceUrl(urls[0]); // a is now more recently used than b
+    const filesBefore = cachedFiles().length;
+    const evictionsBefore = getFetchStats().cacheEvictions;
+
+    FETCH_CONFIG.maxEntries = 2;
+    await fetchSourceUrl(urls[2]);
+
+    expect(getFetchStats().cacheEvictions - evictionsBefore).toBe(filesBefore + 1 - 2);
+    expect(cachedFiles()).toHaveLength(2);
+
+    // a is still revalidated, b was evicted
+    await fetchSourceUrl(urls[0]);
+    expect(pageRequests(urls[0]).pop()[1].headers).toHaveProperty('If-None-Match');
+    await fetchSourceUrl(urls[1]);
+    expect(pageRequests(urls[1]).pop()[1].headers).not.toHaveProperty('If-None-Match');
+  });
+});
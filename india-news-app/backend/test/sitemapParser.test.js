@@ -0,0 +1,136 @@
+/**
+ * Jest tests for sitemap parsing and filtering (utils/sitemapParser.js)
+ *
+ * Run with: npm test -- test/sitemapParser.test.js
+ */
+
+const zlib = require('zlib');
+const { parseSitemap, filterSitemapEntries } = require('../utils/sitemapParser');
+
+const SITEMAP_URL = 'https://www.example.com/sitemap.xml';
+
+const SITEMAP_INDEX = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap>
+    <loc>https://www.example.com/sitemap-news.xml</loc>
+    <lastmod>2024-07-01T10:00:00Z</lastmod>
+  </sitemap>
+  <sitemap>
+    <loc>/sitemap-pages.xml</loc>
+  </sitemap>
+  <sitemap>
+    <loc>javascript:alert(1)</loc>
+  </sitemap>
+</sitemapindex>`;
+
+const NEWS_SITEMAP = `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+  xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+  xmlns:image="http://www.google.com/schemas/sitemap-image/1.1">
+  <url>
+    <loc>https://www.example.com/news/gangtok-landslide</loc>
+    <lastmod>2024-07-01T12:00:00Z</lastmod>
+    <news:news>
+      <news:publication><news:name>Example</news:name><news:language>en</news:language></news:publication>
+      <news:publication_date>2024-07-01T09:00:00+05:30</news:publication_date>
+      <news:title>Landslide blocks NH10 near Gangtok</news:title>
+    </news:news>
+    <image:image><image:loc>https://cdn.example.com/landslide.jpg</image:loc></image:image>
+  </url>
+  <url>
+    <loc>/about-us</loc>
+    <lastmod>2023-01-01</lastmod>
+  </url>
+  <url>
+    <loc>https://www.example.com/news/undated</loc>
+  </url>
+</urlset>`;
+
+describe('parseSitemap', () => {
+  test('parses a sitemap index, resolving relative locations and dropping invalid ones', () => {
+    expect(parseSitemap(SITEMAP_INDEX, SITEMAP_URL)).toEqual({
+      type: 'index',
+      sitemaps: [
+        { url: 'https://www.example.com/sitemap-news.xml', lastModified: new Date('2024-07-01T10:00:00Z') },
+        { url: 'https://www.example.com/sitemap-pages.xml', lastModified: null }
+      ]
+    });
+  });
+
+  test('parses a news urlset with titles, dates and images', () => {
+    const { type, entries } = parseSitemap(NEWS_SITEMAP, SITEMAP_URL);
+
+    expect(type).toBe('urlset');
+    expect(entries).toEqual([
+      {
+        url: 'https://www.example.com/news/gangtok-landslide',
+        lastModified: new Date('2024-07-01T12:00:00Z'),
+        publishedAt: new Date('2024-07-01T03:30:00Z'),
+        title: 'Landslide blocks NH10 near Gangtok',
+        image: 'https://cdn.example.com/landslide.jpg'
+      },
+      {
+        url: 'https://www.example.com/about-us',
+        lastModified: new Date('2023-01-01'),
+        publishedAt: null,
+        title: null,
+        image: null
+      },
+      {
+        url: 'https://www.example.com/news/undated',
+        lastModified: null,
+        publishedAt: null,
+        title: null,
+        image: null
+      }
+    ]);
+  });
+
+  test('reads gzipped and plain Buffer bodies', () => {
+    const gzipped = zlib.gzipSync(Buffer.from(NEWS_SITEMAP));
+    expect(parseSitemap(gzipped, SITEMAP_URL).entries).toHaveLength(3);
+    expect(parseSitemap(Buffer.from(SITEMAP_INDEX), SITEMAP_URL).type).toBe('index');
+  });
+
+  test('rejects empty bodies and other documents', () => {
+    expect(() => parseSitemap('')).toThrow('Empty sitemap response');
+    expect(() => parseSitemap('<rss><channel></channel></rss>')).toThrow('Unrecognised sitemap format');
+  });
+});
+
+describe('filterSitemapEntries', () => {
+  const now = new Date('2024-07-02T00:00:00Z');
+  const { entries } = parseSitemap(NEWS_SITEMAP, SITEMAP_URL);
+  const entry = (url, hoursAgo) => ({
+    url,
+    lastModified: new Date(now.getTime() - hoursAgo * 3600000),
+    publishedAt: null
+  });
+
+  test('keeps recent entries whose path matches, newest first', () => {
+    const result = filterSitemapEntries(entries, { pathPattern: '^/news/', maxAgeHours: 48, now });
+    expect(result.map(e => e.url)).toEqual(['https://www.example.com/news/gangtok-landslide']);
+  });
+
+  test('undated entries only pass without an age limit', () => {
+    const result = filterSitemapEntries(entries, { pathPattern: /^\/news\//, now });
+    expect(result.map(e => e.url)).toEqual([
+      'https://www.example.com/news/gangtok-landslide',
+      'https://www.example.com/news/undated'
+    ]);
+  });
+
+  test('sorts by publication date, falling back to lastmod', () => {
+    const result = filterSitemapEntries([
+      entry('https://www.example.com/a', 10),
+      { ...entry('https://www.example.com/b', 30), publishedAt: new Date(now.getTime() - 3600000) },
+      entry('https://www.example.com/c', 5)
+    ], { maxAgeHours: 24, now });
+
+    expect(result.map(e => e.url)).toEqual([
+      'https://www.example.com/b',
+      'https://www.example.com/c',
+      'https://www.example.com/a'
+    ]);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Jest tests for story clustering (utils/storyClustering.js). The headline
+ * pairs pin CLUSTER_DEFAULTS: re-tune them against this list
+ *
+ * Run with: npm test -- test/storyClustering.test.js
+ */
+
+const {
+  CLUSTER_DEFAULTS,
+  tokenize,
+  articleSimilarity,
+  clusterArticles,
+  pickLeadArticle
+} = require('../utils/storyClustering');
+
+const BASE_TIME = new Date('2024-07-01T06:00:00Z').getTime();
+
+function article(title, hoursLater = 0, fields = {}) {
+  return { title, publishedAt: new Date(BASE_TIME + hoursLater * 3600000), ...fields };
+}
+
+function features(item) {
+  return {
+    article: item,
+    title: item.title,
+    titleTokens: tokenize(item.title),
+    allTokens: tokenize(`${item.title} ${item.summary || ''}`),
+    time: item.publishedAt.getTime()
+  };
+}
+
+function similarity(titleA, titleB, gapHours = 1) {
+  return articleSimilarity(features(article(titleA)), features(article(titleB, gapHours)));
+}
+
+// The same event as reported by different outlets
+const SAME_STORY_PAIRS = [
+  ['Floods in Assam: 5 killed as Brahmaputra crosses danger mark', 'Assam flood situation worsens, five dead as Brahmaputra rises'],
+  ['Manipur: Fresh violence in Jiribam, two houses torched', "Houses set on fire in Manipur's Jiribam as fresh violence erupts"],
+  ['Meghalaya CM Conrad Sangma inaugurates new IT park in Shillong', 'Conrad Sangma opens Shillong IT park, says 5,000 jobs expected'],
+  ['Landslide blocks NH10, Sikkim cut off from rest of country', 'NH10 blocked after massive landslide near Rangpo; Sikkim cut off'],
+  ['Arunachal: Earthquake of magnitude 5.2 jolts Tawang', "5.2 magnitude quake hits Arunachal Pradesh's Tawang, no casualties"],
+  ['Nagaland Hornbill Festival 2024 begins at Kisama', 'Hornbill Festival kicks off at Kisama heritage village'],
+  ['Tripura: BSF seizes ganja worth Rs 2 crore near border', 'Ganja worth Rs 2 crore seized by BSF along Tripura border'],
+  ['Mizoram: 3 injured as bus overturns near Aizawl', 'Bus accident near Aizawl leaves three passengers injured'],
+  ['Guwahati: Police arrest two drug peddlers, heroin seized', 'Two held with heroin in Guwahati, police say']
+];
+
+// Different events from the same state or city, published close together
+const DIFFERENT_STORY_PAIRS = [
+  ['Floods in Assam: 5 killed as Brahmaputra crosses danger mark', 'Assam: 5 killed in road accident in Jorhat'],
+  ['Manipur: Fresh violence in Jiribam, two houses torched', 'Manipur CM Biren Singh chairs cabinet meeting in Imphal'],
+  ['Meghalaya CM Conrad Sangma inaugurates new IT park in Shillong', 'Shillong traffic police launch new parking rules'],
+  ['Landslide blocks NH10, Sikkim cut off from rest of country', 'Sikkim government announces new tourism policy'],
+  ['Arunachal: Earthquake of magnitude 5.2 jolts Tawang', 'Tawang monastery hosts annual Torgya festival'],
+  ['Nagaland Hornbill Festival 2024 begins at Kisama', 'Nagaland assembly passes budget for 2024-25'],
+  ['Tripura: BSF seizes ganja worth Rs 2 crore near border', 'Tripura CM inaugurates new hospital in Agartala'],
+  ['Mizoram: 3 injured as bus overturns near Aizawl', 'Aizawl Municipal Corporation begins cleanliness drive'],
+  ['Guwahati: Police arrest two drug peddlers, heroin seized', 'Guwahati police launch awareness campaign on road safety'],
+  ['Assam flood situation worsens, five dead as Brahmaputra rises', 'Assam: Kaziranga reopens for tourists after monsoon break']
+];
+
+describe('tokenize', () => {
+  test('drops stopwords and bare numbers and stems plurals', () => {
+    expect([...tokenize('Floods in Assam: 5 killed as Brahmaputra crosses the danger mark in 2024')])
+      .toEqual(['flood', 'assam', 'death', 'brahmaputra', 'cross', 'danger', 'mark']);
+  });
+
+  test('maps words outlets use for the same event to one form', () => {
+    expect(tokenize('five dead')).toEqual(tokenize('5 killed'));
+    expect([...tokenize('quake hits')]).toContain('quake');
+    expect([...tokenize('earthquake jolts')]).toContain('quake');
+    expect([...tokenize('two held')]).toEqual([...tokenize('two arrested')]);
+  });
+});
+
+describe('articleSimilarity', () => {
+  test.each(SAME_STORY_PAIRS)('joins "%s" and "%s"', (titleA, titleB) => {
+    expect(similarity(titleA, titleB)).toBeGreaterThanOrEqual(CLUSTER_DEFAULTS.similarityThreshold);
+  });
+
+  test.each(DIFFERENT_STORY_PAIRS)('keeps "%s" and "%s" apart', (titleA, titleB) => {
+    expect(similarity(titleA, titleB)).toBeLessThan(CLUSTER_DEFAULTS.similarityThreshold);
+  });
+
+  test('near-identical titles always match', () => {
+    expect(similarity('Assam floods: 5 killed', 'Assam floods: 5 killed.')).toBe(1);
+  });
+
+  test('fades with the time between articles', () => {
+    const [titleA, titleB] = SAME_STORY_PAIRS[0];
+    const close = similarity(titleA, titleB, 1);
+
+    expect(similarity(titleA, titleB, CLUSTER_DEFAULTS.fullWindowHours)).toBe(close);
+    expect(similarity(titleA, titleB, 42)).toBeLessThan(close);
+    expect(similarity(titleA, titleB, CLUSTER_DEFAULTS.maxGapHours)).toBe(0);
+  });
+});
+
+describe('clusterArticles', () => {
+  test('groups the same event across sources and keeps others apart, oldest first', () => {
+    const floodA = article(SAME_STORY_PAIRS[0][0], 0, { source: 'EastMojo' });
+    const floodB = article(SAME_STORY_PAIRS[0][1], 1, { source: 'The Sentinel' });
+    const accident = article(DIFFERENT_STORY_PAIRS[0][1], 2, { source: 'Northeast Now' });
+    const quakeA = article(SAME_STORY_PAIRS[4][1], 4);
+    const quakeB = article(SAME_STORY_PAIRS[4][0], 3);
+
+    const stories = clusterArticles([quakeA, accident, floodB, quakeB, floodA]);
+
+    expect(stories).toHaveLength(3);
+    expect(stories).toContainEqual([floodA, floodB]);
+    expect(stories).toContainEqual([accident]);
+    expect(stories).toContainEqual([quakeB, quakeA]);
+  });
+
+  test('does not join articles published days apart', () => {
+    const stories = clusterArticles([
+      article(SAME_STORY_PAIRS[0][0], 0),
+      article(SAME_STORY_PAIRS[0][1], CLUSTER_DEFAULTS.maxGapHours + 1)
+    ]);
+    expect(stories).toHaveLength(2);
+  });
+
+  test('falls back to scrapedAt when there is no publication date', () => {
+    const first = { title: SAME_STORY_PAIRS[1][0], scrapedAt: new Date(BASE_TIME) };
+    const second = { title: SAME_STORY_PAIRS[1][1], scrapedAt: new Date(BASE_TIME + 3600000) };
+    expect(clusterArticles([second, first])).toEqual([[first, second]]);
+  });
+
+  test('handles no articles', () => {
+    expect(clusterArticles([])).toEqual([]);
+  });
+});
+
+describe('pickLeadArticle', () => {
+  test('prefers engagement, then AI enhancement, then an image, then the first report', () => {
+    const plain = article('A', 0);
+    const withImage = article('B', 1, { image: 'https://example.com/b.jpg' });
+    const enhanced = article('C', 2, { aiGenerated: true });
+    const popular = article('D', 3, { commentCount: 2 });
+
+    expect(pickLeadArticle([plain, withImage, enhanced, popular])).toBe(popular);
+    expect(pickLeadArticle([plain, withImage, enhanced])).toBe(enhanced);
+    expect(pickLeadArticle([plain, withImage])).toBe(withImage);
+    expect(pickLeadArticle([article('E', 5), plain])).toBe(plain);
+  });
+});
@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
+const { NEWS_CATEGORIES } = require('./articleModel');
+
+const USER_STATES = [
+  'Assam', 'Meghalaya', 'Manipur', 'Mizoram', 'Nagaland',
+  'Arunachal Pradesh', 'Tripura', 'Sikkim',
+  'Gujarat', 'Maharashtra'
+];
 
 const userSchema = new mongoose.Schema({
   username: {
@@ -18,11 +25,7 @@ const userSchema = new mongoose.Schema({
   state: {
     type: String,
     required: true,
-    enum: [
-      'Assam', 'Meghalaya', 'Manipur', 'Mizoram', 'Nagaland',
-      'Arunachal Pradesh', 'Tripura', 'Sikkim',
-      'Gujarat', 'Maharashtra'
-    ],
+    enum: USER_STATES,
     set: function(value) {
       // Normalize to title case for state names
       if (typeof value === 'string') {
@@ -65,6 +68,32 @@ const userSchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Social graph counters (edges live in the Follow collection)
+  followerCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  followingCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Personalized news feed (GET /api/news/feed). No followed states means the user's own state
+  newsPreferences: {
+    followedStates: {
+      type: [{ type: String, enum: USER_STATES }],
+      default: []
+    },
+    mutedSources: {
+      type: [{ type: String, trim: true, lowercase: true, maxlength: 100 }],
+      default: []
+    },
+    preferredTopics: {
+      type: [{ type: String, enum: NEWS_CATEGORIES }],
+      default: []
+    }
+  },
   // Role and moderation fields
   role: {
     type: String,
@@ -171,4 +200,5 @@ userSchema.methods.toJSON = function() {
   return userObject;
 };
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+module.exports = mongoose.model('User', userSchema);
+module.exports.USER_STATES = USER_STATES;
\ No newline at end of file
@@ -1,10 +1,60 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const User = require('./userModel');
+const Follow = require('./followModel');
 const TeaIslandPost = require('./teaIslandPostModel');
 const ForumThread = require('./forumThreadModel');
+const { Post } = require('./models/postModel');
+const { NEWS_CATEGORIES } = require('./articleModel');
 const { authenticateToken } = require('./authRoutes');
+const notificationTriggerService = require('./services/notificationTriggerService');
 const router = express.Router();
 
+// Look up an active (non-banned) user by id from the route params
+async function findVisibleUser(userId) {
+  if (!mongoose.isValidObjectId(userId)) return null;
+  const user = await User.findById(userId);
+  return user && user.status !== 'banned' ? user : null;
+}
+
+// Page through follow edges newest-first, returning the user on the other end
+async function listFollowEdges(query, populateField, { cursor, limit }) {
+  if (cursor && mongoose.isValidObjectId(cursor)) {
+    query._id = { $lt: cursor };
+  }
+
+  const edges = await Follow.find(query)
+    .sort({ _id: -1 })
+    .limit(limit + 1)
+    .populate(populateField, 'username avatar state karma status')
+    .lean();
+
+  const hasMore = edges.length > limit;
+  if (hasMore) edges.pop();
+
+  const users = edges
+    .filter(edge => edge[populateField] && edge[populateField].status !== 'banned')
+    .map(edge => ({
+      id: edge[populateField]._id,
+      username: edge[populateField].username,
+      avatar: edge[populateField].avatar,
+      state: edge[populateField].state,
+      karma: edge[populateField].karma,
+      followedAt: edge.createdAt
+    }));
+
+  return {
+    users,
+    hasMore,
+    nextCursor: hasMore && edges.length > 0 ? edges[edges.length - 1]._id : null
+  };
+}
+
+function parseListQuery(query) {
+  const limit = Math.min(Math.max(parseInt(query.limit, 10) || 20, 1), 50);
+  return { cursor: query.cursor, limit };
+}
+
 // Edit user profile
 router.patch('/edit-profile', authenticateToken, async (req, res) => {
   try {
@@ -52,13 +102,98 @@ router.patch('/edit-profile', authenticateToken, async (req, res) => {
   }
 });
 
+// News preference limits (per list)
+const MAX_FOLLOWED_STATES = User.USER_STATES.length;
+const MAX_MUTED_SOURCES = 50;
+
+function formatNewsPreferences(user) {
+  const preferences = user.newsPreferences || {};
+  return {
+    followedStates: preferences.followedStates || [],
+    mutedSources: preferences.mutedSources || [],
+    preferredTopics: preferences.preferredTopics || []
+  };
+}
+
+// Get own news preferences (used by GET /api/news/feed)
+router.get('/me/news-preferences', authenticateToken, async (req, res) => {
+  res.json({
+    preferences: formatNewsPreferences(req.user),
+    availableStates: User.USER_STATES,
+    availableTopics: NEWS_CATEGORIES
+  });
+});
+
+// Edit own news preferences (each provided list replaces the stored one)
+router.patch('/me/news-preferences', authenticateToken, async (req, res) => {
+  try {
+    const { followedStates, mutedSources, preferredTopics } = req.body;
+    const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+    // Validation
+    if (followedStates !== undefined) {
+      if (!isStringList(followedStates) || followedStates.length > MAX_FOLLOWED_STATES) {
+        return res.status(400).json({ error: 'followedStates must be a list of states' });
+      }
+      const invalid = followedStates.filter(state => !User.USER_STATES.includes(state));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown states: ${invalid.join(', ')}` });
+      }
+    }
+    if (mutedSources !== undefined) {
+      if (!isStringList(mutedSources) || mutedSources.length > MAX_MUTED_SOURCES) {
+        return res.status(400).json({ error: `mutedSources must be a list of at most ${MAX_MUTED_SOURCES} source names` });
+      }
+      if (mutedSources.some(source => !source.trim() || source.length > 100)) {
+        return res.status(400).json({ error: 'Source names must be 1-100 characters' });
+      }
+    }
+    if (preferredTopics !== undefined) {
+      if (!isStringList(preferredTopics)) {
+        return res.status(400).json({ error: 'preferredTopics must be a list of topics' });
+      }
+      const invalid = preferredTopics.filter(topic => !NEWS_CATEGORIES.includes(topic));
+      if (invalid.length > 0) {
+        return res.status(400).json({ error: `Unknown topics: ${invalid.join(', ')}` });
+      }
+    }
+
+    // Build update object with only provided lists (deduplicated)
+    const updateFields = {};
+    if (followedStates !== undefined) updateFields['newsPreferences.followedStates'] = [...new Set(followedStates)];
+    if (mutedSources !== undefined) {
+      updateFields['newsPreferences.mutedSources'] = [...new Set(mutedSources.map(source => source.trim().toLowerCase()))];
+    }
+    if (preferredTopics !== undefined) updateFields['newsPreferences.preferredTopics'] = [...new Set(preferredTopics)];
+
+    const updatedUser = await User.findByIdAndUpdate(
+      req.user._id,
+      { $set: updateFields },
+      { new: true, runValidators: true }
+    );
+
+    if (!updatedUser) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({
+      message: 'News preferences updated successfully',
+      preferences: formatNewsPreferences(updatedUser)
+    });
+
+  } catch (error) {
+    console.error('News preferences update error:', error);
+    res.status(500).json({ error: 'Failed to update news preferences' });
+  }
+});
+
 // Get public user profile
 router.get('/:userId/profile', async (req, res) => {
   try {
     const { userId } = req.params;
 
     // Find user
-    const user = await User.findById(userId);
+    const user = mongoose.isValidObjectId(userId) ? await User.findById(userId) : null;
     if (!user) {
       return res.status(404).json({ error: 'User not found' });
     }
@@ -69,13 +204,20 @@ router.get('/:userId/profile', async (req, res) => {
     }
 
     // Calculate post and comment counts using aggregation
-    const [postCount, commentCount] = await Promise.all([
+    const [teaIslandPostCount, unifiedPostCount, commentCount] = await Promise.all([
       // Count Tea Island posts
       TeaIslandPost.countDocuments({ 
         author: userId, 
         isRemoved: { $ne: true } 
       }),
       
+      // Count published unified posts (anonymous posts never count toward a profile)
+      Post.countDocuments({
+        userId,
+        isActive: true,
+        anonymous: { $ne: true }
+      }),
+      
       // Count forum thread comments (replies)
       ForumThread.aggregate([
         { $unwind: '$replies' },
@@ -98,8 +240,10 @@ router.get('/:userId/profile', async (req, res) => {
       karma: user.karma,
       bio: user.bio,
       joinedAt: user.createdAt,
-      totalPosts: postCount,
+      totalPosts: teaIslandPostCount + unifiedPostCount,
       totalComments: commentCount,
+      followerCount: user.followerCount || 0,
+      followingCount: user.followingCount || 0,
       isDMEnabled: user.isDMEnabled,
       // Don't expose sensitive fields like role, status, etc.
     });
@@ -110,6 +254,115 @@ router.get('/:userId/profile', async (req, res) => {
   }
 });
 
+// Follow a user
+router.post('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const follower = req.user;
+
+    if (userId === follower._id.toString()) {
+      return res.status(400).json({ error: 'You cannot follow yourself' });
+    }
+
+    const target = await findVisibleUser(userId);
+    if (!target) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const created = await Follow.follow(follower._id, target._id);
+
+    if (created) {
+      // Fire-and-forget: notification failures never fail the follow
+      notificationTriggerService.triggerFollowNotification({
+        followerId: follower._id,
+        follower: follower.username,
+        followerState: follower.state,
+        followingId: target._id
+      });
+    }
+
+    res.status(created ? 201 : 200).json({
+      message: created ? `You are now following ${target.username}` : `You already follow ${target.username}`,
+      following: true,
+      followerCount: (target.followerCount || 0) + (created ? 1 : 0)
+    });
+
+  } catch (error) {
+    console.error('Follow error:', error);
+    res.status(500).json({ error: 'Failed to follow user' });
+  }
+});
+
+// Unfollow a user
+router.delete('/:userId/follow', authenticateToken, async (req, res) => {
+  try {
+    const { userId } = req.params;
+
+    if (!mongoose.isValidObjectId(userId)) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const removed = await Follow.unfollow(req.user._id, userId);
+    const target = await User.findById(userId).select('followerCount');
+
+    res.json({
+      message: removed ? 'Unfollowed successfully' : 'You were not following this user',
+      following: false,
+      followerCount: target?.followerCount || 0
+    });
+
+  } catch (error) {
+    console.error('Unfollow error:', error);
+    res.status(500).json({ error: 'Failed to unfollow user' });
+  }
+});
+
+// Get a user's followers (paginated, newest first)
+router.get('/:userId/followers', async (req, res) => {
+  try {
+    const user = await findVisibleUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const page = await listFollowEdges({ following: user._id }, 'follower', parseListQuery(req.query));
+
+    res.json({
+      followers: page.users,
+      total: user.followerCount || 0,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    console.error('Followers fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch followers' });
+  }
+});
+
+// Get the users someone follows (paginated, newest first)
+router.get('/:userId/following', async (req, res) => {
+  try {
+    const user = await findVisibleUser(req.params.userId);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    const page = await listFollowEdges({ follower: user._id }, 'following', parseListQuery(req.query));
+
+    res.json({
+      following: page.users,
+      total: user.followingCount || 0,
+      hasMore: page.hasMore,
+      nextCursor: page.nextCursor
+    });
+
+  } catch (error) {
+    console.error('Following fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch following' });
+  }
+});
+
 // Get available avatars (for frontend avatar selection)
 router.get('/avatars/list', (req, res) => {
   // Define available avatar categories and files
@@ -0,0 +1,225 @@
+const cheerio = require('cheerio');
+const { politeGet } = require('./crawlPolicy');
+
+/**
+ * Article Extractor Utility
+ * Readability-style extraction of an article page's main text, author and
+ * publication date. Structured data (JSON-LD NewsArticle) is used when the
+ * page has it, otherwise the block with the most paragraph text wins.
+ * The body feeds AI summarization, geographic relevance and categories
+ */
+
+const EXTRACTOR_CONFIG = {
+  timeoutMs: 10000,
+  maxBytes: 5 * 1024 * 1024,
+  minParagraphLength: 40, // Shorter <p> blocks are captions, bylines, buttons
+  minWords: 60, // Less than this is a teaser or paywall, not a body
+  maxBodyLength: 30000 // Characters stored on the Article
+};
+
+// Elements that never hold article text
+const REMOVE_SELECTORS = [
+  'script', 'style', 'noscript', 'template', 'iframe', 'svg', 'form', 'button',
+  'nav', 'header', 'footer', 'aside', 'figure figcaption'
+].join(', ');
+
+// class/id names of page furniture around the article
+const NEGATIVE_PATTERN = /comment|share|social|related|sidebar|widget|advert|\bads?\b|promo|sponsor|newsletter|subscribe|footer|menu|breadcrumb|\btags?\b|author-?bio|popup|modal|cookie|trending|recommend/i;
+// ...unless the name also says it wraps the content ("main-content has-sidebar")
+const POSITIVE_PATTERN = /article|body|content|entry|main|story/i;
+
+// Containers that themes commonly use for the article body
+const BODY_SELECTORS = [
+  '[itemprop="articleBody"]', '.entry-content', '.post-content', '.article-content',
+  '.article-body', '.story-content', '.story-body', '.td-post-content', 'article'
+];
+
+function cleanText(text) {
+  return (text || '').replace(/\s+/g, ' ').trim();
+}
+
+function countWords(text) {
+  return text ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+// Author values are sometimes profile URLs or lists; keep a readable name
+function cleanAuthor(value) {
+  const author = cleanText(Array.isArray(value) ? value.map(cleanAuthor).filter(Boolean).join(', ') : value)
+    .replace(/^by\s+/i, '');
+  if (!author || /^https?:\/\//i.test(author) || author.length > 100) return null;
+  return author;
+}
+
+// NewsArticle/Article objects from JSON-LD scripts (including @graph arrays)
+function findJsonLdArticle($) {
+  const isArticle = node => {
+    const types = [].concat(node && node['@type'] || []);
+    return types.some(type => /Article|BlogPosting|Report/i.test(type));
+  };
+
+  let found = null;
+  $('script[type="application/ld+json"]').each((i, el) => {
+    try {
+      const data = JSON.parse($(el).contents().text());
+      const nodes = [].concat(data).flatMap(node => (node && node['@graph']) || [node]);
+      found = nodes.find(isArticle) || null;
+    } catch (error) {
+      // Broken JSON-LD is common; fall back to the HTML
+    }
+    return !found;
+  });
+  return found;
+}
+
+function extractAuthor($, jsonLd) {
+  const jsonLdAuthor = jsonLd && jsonLd.author;
+  if (jsonLdAuthor) {
+    const names = [].concat(jsonLdAuthor).map(author => (typeof author === 'string' ? author : author && author.name));
+    const author = cleanAuthor(names.filter(Boolean));
+    if (author) return author;
+  }
+
+  const candidates = [
+    $('meta[name="author"]').attr('content'),
+    $('meta[property="article:author"]').attr('content'),
+    $('[itemprop="author"] [itemprop="name"]').first().text(),
+    $('[itemprop="author"]').first().text(),
+    $('[rel="author"]').first().text(),
+    $('.author-name, .byline, .author').first().text()
+  ];
+  for (const candidate of candidates) {
+    const author = cleanAuthor(candidate);
+    if (author) return author;
+  }
+  return null;
+}
+
+function extractPublishedAt($, jsonLd) {
+  return parseDate(jsonLd && jsonLd.datePublished) ||
+    parseDate($('meta[property="article:published_time"]').attr('content')) ||
+    parseDate($('meta[itemprop="datePublished"]').attr('content')) ||
+    parseDate($('[itemprop="datePublished"]').first().attr('datetime')) ||
+    parseDate($('time[datetime]').first().attr('datetime'));
+}
+
+// Paragraph-like blocks of a container, as text
+function paragraphsOf($, container) {
+  return $(container).find('p, h2, h3, li, blockquote')
+    .filter((i, el) => !$(el).parents('p, li, blockquote').length)
+    .map((i, el) => cleanText($(el).text()))
+    .get()
+    .filter(text => text.length >= EXTRACTOR_CONFIG.minParagraphLength);
+}
+
+// Score each block by the paragraph text it holds (parents get a share too)
+function findBestContainer($) {
+  const scores = new Map();
+
+  $('p').each((i, el) => {
+    const text = cleanText($(el).text());
+    if (text.length < EXTRACTOR_CONFIG.minParagraphLength) return;
+
+    const score = 1 + (text.match(/,/g) || []).length + Math.min(text.length / 100, 3);
+    const parent = el.parent;
+    const grandparent = parent && parent.parent;
+    if (parent) scores.set(parent, (scores.get(parent) || 0) + score);
+    if (grandparent && grandparent.type === 'tag') scores.set(grandparent, (scores.get(grandparent) || 0) + score / 2);
+  });
+
+  let best = null;
+  let bestScore = 0;
+  scores.forEach((score, node) => {
+    if (score > bestScore) {
+      best = node;
+      bestScore = score;
+    }
+  });
+  return best;
+}
+
+function extractBody($, jsonLd) {
+  const jsonLdBody = jsonLd && typeof jsonLd.articleBody === 'string' ? cleanText(cheerio.load(`<div>${jsonLd.articleBody}</div>`)('div').first().text()) : '';
+  if (countWords(jsonLdBody) >= EXTRACTOR_CONFIG.minWords) return jsonLdBody;
+
+  $(REMOVE_SELECTORS).remove();
+  $('[class], [id]').filter((i, el) => {
+    const name = `${$(el).attr('class') || ''} ${$(el).attr('id') || ''}`;
+    return NEGATIVE_PATTERN.test(name) && !POSITIVE_PATTERN.test(name) &&
+      !['html', 'body', 'article'].includes(el.tagName);
+  }).remove();
+
+  for (const selector of BODY_SELECTORS) {
+    const container = $(selector).first();
+    if (!container.length) continue;
+    const paragraphs = paragraphsOf($, container);
+    if (countWords(paragraphs.join(' ')) >= EXTRACTOR_CONFIG.minWords) return paragraphs.join('\n\n');
+  }
+
+  const best = findBestContainer($);
+  return best ? paragraphsOf($, best).join('\n\n') : '';
+}
+
+/**
+ * Extract the article from a page
+ * @param {string} html - Page HTML
+ * @returns {Object} - { body, author, publishedAt, wordCount }; body is null
+ *   when the page holds no article-length text
+ */
+function extractArticle(html) {
+  const $ = cheerio.load(html || '');
+  const jsonLd = findJsonLdArticle($);
+
+  // Author and date first: body extraction removes page furniture they live in
+  const author = extractAuthor($, jsonLd);
+  const publishedAt = extractPublishedAt($, jsonLd);
+
+  let body = extractBody($, jsonLd);
+  const wordCount = countWords(body);
+  if (wordCount < EXTRACTOR_CONFIG.minWords) {
+    body = null;
+  } else if (body.length > EXTRACTOR_CONFIG.maxBodyLength) {
+    body = body.substring(0, body.lastIndexOf(' ', EXTRACTOR_CONFIG.maxBodyLength));
+  }
+
+  return {
+    body,
+    author,
+    publishedAt,
+    wordCount: body ? wordCount : 0
+  };
+}
+
+/**
+ * Fetch an article page and extract it. Returns null when the page can't be
+ * fetched (or robots.txt disallows it); never throws
+ */
+async function fetchArticleContent(url) {
+  try {
+    const response = await politeGet(url, {
+      headers: {
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      timeout: EXTRACTOR_CONFIG.timeoutMs,
+      maxContentLength: EXTRACTOR_CONFIG.maxBytes,
+      responseType: 'text'
+    });
+
+    if (typeof response.data !== 'string') return null;
+    return extractArticle(response.data);
+  } catch (error) {
+    console.warn(`⚠️ Article extraction failed for ${url}: ${error.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  EXTRACTOR_CONFIG,
+  extractArticle,
+  fetchArticleContent
+};
@@ -0,0 +1,211 @@
+const OpenAI = require('openai');
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+const { NEWS_CATEGORIES } = require('../articleModel');
+
+// The AI path is opt-in (CATEGORY_AI_ENABLED=true); keywords always run
+let openai = null;
+try {
+  if (process.env.OPENAI_API_KEY && process.env.CATEGORY_AI_ENABLED === 'true') {
+    openai = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+    });
+  }
+} catch (error) {
+  console.warn('⚠️ Failed to initialize OpenAI client for category classification:', error.message);
+}
+
+// Keywords per category. Phrases weigh more than single words
+const CATEGORY_KEYWORDS = {
+  politics: {
+    keywords: ['election', 'elections', 'minister', 'mla', 'mp', 'assembly', 'parliament', 'bjp', 'congress', 'government', 'governor', 'opposition', 'cabinet', 'poll', 'polls', 'vote', 'voting', 'bill', 'policy'],
+    phrases: ['chief minister', 'legislative assembly', 'election commission', 'lok sabha', 'rajya sabha', 'by-election', 'model code of conduct']
+  },
+  sports: {
+    keywords: ['football', 'cricket', 'match', 'tournament', 'championship', 'medal', 'olympic', 'olympics', 'athlete', 'player', 'players', 'team', 'league', 'goal', 'stadium', 'boxing', 'archery', 'weightlifting', 'coach', 'trophy'],
+    phrases: ['durand cup', 'santosh trophy', 'khelo india', 'national games', 'gold medal', 'world cup']
+  },
+  weather: {
+    keywords: ['rain', 'rainfall', 'flood', 'floods', 'landslide', 'landslides', 'cyclone', 'monsoon', 'storm', 'thunderstorm', 'imd', 'temperature', 'heatwave', 'cold wave', 'fog', 'snowfall', 'hailstorm'],
+    phrases: ['red alert', 'orange alert', 'yellow alert', 'heavy rain', 'weather forecast', 'met department', 'water level']
+  },
+  culture: {
+    keywords: ['festival', 'bihu', 'hornbill', 'dance', 'music', 'heritage', 'tradition', 'traditional', 'tribe', 'tribal', 'art', 'artist', 'film', 'cinema', 'literature', 'book', 'celebration', 'language', 'craft', 'handloom'],
+    phrases: ['hornbill festival', 'cultural programme', 'folk dance', 'film festival', 'book fair']
+  },
+  business: {
+    keywords: ['business', 'economy', 'market', 'investment', 'investor', 'startup', 'trade', 'industry', 'company', 'bank', 'gst', 'tax', 'budget', 'price', 'prices', 'export', 'import', 'revenue', 'entrepreneur'],
+    phrases: ['tea garden', 'stock market', 'per cent growth', 'ease of doing business']
+  },
+  education: {
+    keywords: ['school', 'schools', 'college', 'university', 'student', 'students', 'exam', 'exams', 'examination', 'result', 'results', 'teacher', 'teachers', 'education', 'hslc', 'ahsec', 'cbse', 'admission', 'scholarship', 'campus'],
+    phrases: ['board exam', 'class 10', 'class 12', 'entrance exam']
+  },
+  health: {
+    keywords: ['hospital', 'health', 'doctor', 'doctors', 'patient', 'patients', 'disease', 'covid', 'vaccine', 'vaccination', 'malaria', 'dengue', 'medical', 'medicine', 'treatment', 'outbreak', 'cancer', 'aiims', 'nurse', 'clinic'],
+    phrases: ['public health', 'health department', 'medical college', 'swine flu', 'african swine fever']
+  },
+  crime: {
+    keywords: ['police', 'arrest', 'arrested', 'murder', 'killed', 'theft', 'robbery', 'drugs', 'heroin', 'smuggling', 'seized', 'court', 'accused', 'fir', 'militant', 'militants', 'encounter', 'violence', 'assault', 'fraud'],
+    phrases: ['police station', 'drug peddler', 'judicial custody', 'high court', 'assam rifles', 'security forces']
+  },
+  environment: {
+    keywords: ['forest', 'wildlife', 'rhino', 'elephant', 'tiger', 'leopard', 'environment', 'pollution', 'climate', 'conservation', 'biodiversity', 'species', 'sanctuary', 'river', 'deforestation', 'poaching', 'erosion'],
+    phrases: ['national park', 'climate change', 'wildlife sanctuary', 'human-elephant conflict', 'forest department']
+  },
+  technology: {
+    keywords: ['technology', 'internet', 'digital', 'app', 'mobile', 'software', 'cyber', 'satellite', 'isro', 'innovation', 'broadband', 'telecom', '5g', 'computer', 'drone'],
+    phrases: ['artificial intelligence', 'digital india', 'internet shutdown', 'mobile internet', 'cyber crime']
+  }
+};
+
+const MAX_CATEGORIES = 3;
+const MIN_KEYWORD_SCORE = 2;
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Deterministic keyword classification (same scoring approach as
+ * performKeywordAnalysis in utils/geographicRelevance.js)
+ */
+function performKeywordClassification(fullText) {
+  const categoryScores = {};
+
+  Object.entries(CATEGORY_KEYWORDS).forEach(([category, data]) => {
+    let score = 0;
+    const matches = [];
+
+    data.keywords.forEach(keyword => {
+      const keywordMatches = fullText.match(new RegExp(`\\b${escapeRegex(keyword)}\\b`, 'gi'));
+      if (keywordMatches) {
+        score += keywordMatches.length;
+        matches.push(...keywordMatches);
+      }
+    });
+
+    data.phrases.forEach(phrase => {
+      const phraseMatches = fullText.match(new RegExp(`\\b${escapeRegex(phrase)}\\b`, 'gi'));
+      if (phraseMatches) {
+        score += phraseMatches.length * 2; // Phrases are more specific
+        matches.push(...phraseMatches);
+      }
+    });
+
+    if (score > 0) {
+      categoryScores[category] = { score, matches: [...new Set(matches.map(match => match.toLowerCase()))] };
+    }
+  });
+
+  // Keep the top categories that are close to the best one
+  const sorted = Object.entries(categoryScores).sort(([, a], [, b]) => b.score - a.score);
+  const topScore = sorted.length > 0 ? sorted[0][1].score : 0;
+  const categories = sorted
+    .filter(([, result]) => result.score >= MIN_KEYWORD_SCORE && result.score >= topScore / 2)
+    .slice(0, MAX_CATEGORIES)
+    .map(([category]) => category);
+
+  return {
+    allScores: categoryScores,
+    categories,
+    topScore
+  };
+}
+
+/**
+ * Perform AI-based classification using OpenAI
+ */
+async function performAIClassification(article) {
+  if (!openai) {
+    throw new Error('OpenAI not available');
+  }
+
+  const { title, summary = '' } = article;
+  const content = article.content || article.body || '';
+
+  const prompt = `
+Classify this Northeast India news article into one to ${MAX_CATEGORIES} categories.
+
+Article Title: "${title}"
+Summary: "${summary}"
+Content: "${content.substring(0, 1000)}"
+
+Categories: ${NEWS_CATEGORIES.join(', ')}
+
+Respond in this exact JSON format:
+{
+  "categories": ["category", "..."],
+  "confidence": 0.0-1.0
+}
+`;
+
+  const completion = await openai.chat.completions.create({
+    model: "gpt-3.5-turbo",
+    messages: [
+      {
+        role: "system",
+        content: "You are a news editor who files articles under topic categories. Always respond with valid JSON only."
+      },
+      {
+        role: "user",
+        content: prompt
+      }
+    ],
+    max_tokens: 100,
+    temperature: 0.2,
+  });
+
+  const response = completion.choices[0].message.content.trim();
+
+  let result;
+  try {
+    result = JSON.parse(response);
+  } catch (parseError) {
+    console.warn('Failed to parse AI category response:', response);
+    throw new Error('Invalid JSON response from AI category classification');
+  }
+
+  const categories = (Array.isArray(result.categories) ? result.categories : [])
+    .map(category => String(category).toLowerCase().trim())
+    .filter(category => NEWS_CATEGORIES.includes(category));
+
+  return {
+    categories: [...new Set(categories)].slice(0, MAX_CATEGORIES),
+    confidence: typeof result.confidence === 'number' ? result.confidence : 0.5
+  };
+}
+
+/**
+ * Classify an article into NEWS_CATEGORIES
+ * @param {Object} article - Article object with title, summary, content (or body)
+ * @param {Object} options
+ * @param {boolean} options.useAI - Try the AI path when it is enabled (default true)
+ * @returns {Promise<Object>} - { categories, method, keywordAnalysis }
+ */
+async function classifyArticle(article, { useAI = true } = {}) {
+  const { title = '', summary = '', aiSummary = '' } = article;
+  const content = article.content || article.body || '';
+  const fullText = `${title} ${summary} ${aiSummary} ${content}`.toLowerCase();
+
+  const keywordAnalysis = performKeywordClassification(fullText);
+
+  if (useAI && openai) {
+    try {
+      const aiAnalysis = await performAIClassification(article);
+      if (aiAnalysis.categories.length > 0) {
+        return { categories: aiAnalysis.categories, method: 'ai', keywordAnalysis, aiAnalysis };
+      }
+    } catch (aiError) {
+      console.warn(`⚠️ AI category classification failed: ${aiError.message}`);
+    }
+  }
+
+  return { categories: keywordAnalysis.categories, method: 'keywords', keywordAnalysis };
+}
+
+module.exports = {
+  classifyArticle,
+  performKeywordClassification,
+  CATEGORY_KEYWORDS,
+  isAIClassificationEnabled: () => Boolean(openai)
+};
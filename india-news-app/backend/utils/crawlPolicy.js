@@ -0,0 +1,276 @@
+const axios = require('axios');
+require('dotenv').config({ path: require('path').join(__dirname, '../.env') });
+
+/**
+ * Crawl Policy Utility
+ * Politeness rules every scraper request goes through:
+ * - An honest bot User-Agent (SCRAPER_USER_AGENT), also used to pick our
+ *   group in robots.txt
+ * - robots.txt (RFC 9309): fetched once per site and cached; disallowed paths
+ *   are refused and Crawl-delay slows the site's request rate
+ * - A token bucket per domain shared by all scrapers, so sources on the same
+ *   site (and concurrent scrapes) don't add up to a burst
+ */
+
+const CRAWL_CONFIG = {
+  userAgent: process.env.SCRAPER_USER_AGENT || 'NortheastNewsBot/1.0 (news aggregator; respects robots.txt)',
+  domainIntervalMs: parseInt(process.env.SCRAPER_DOMAIN_INTERVAL_MS, 10) || 2000, // One request per interval...
+  domainBurst: 2, // ...after a burst of this many
+  maxCrawlDelayMs: 60000, // Cap on robots.txt Crawl-delay
+  maxRedirects: 5,
+  robotsTTL: 24 * 60 * 60 * 1000, // robots.txt cache
+  robotsErrorTTL: 10 * 60 * 1000, // Retry an unreachable robots.txt sooner
+  robotsTimeoutMs: 10000,
+  robotsMaxBytes: 500 * 1024 // RFC 9309 minimum parse limit
+};
+
+// robots.txt groups are matched on the product token ("NortheastNewsBot")
+const ROBOTS_AGENT = CRAWL_CONFIG.userAgent.split('/')[0].trim().toLowerCase();
+
+const stats = {
+  robotsFetched: 0,
+  robotsBlocked: 0,
+  throttledWaits: 0,
+  throttledMs: 0
+};
+
+// origin -> { policy, expiresAt }
+const robotsCache = new Map();
+// host -> { tokens, updatedAt, queue }
+const buckets = new Map();
+
+/**
+ * Parse robots.txt into groups of { agents, rules, crawlDelay }
+ */
+function parseRobotsTxt(text) {
+  const groups = [];
+  let current = null;
+  let lastWasAgent = false;
+
+  String(text || '').split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.replace(/#.*$/, '').trim();
+    const separator = line.indexOf(':');
+    if (separator === -1) return;
+
+    const field = line.slice(0, separator).trim().toLowerCase();
+    const value = line.slice(separator + 1).trim();
+
+    if (field === 'user-agent') {
+      // Consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      return;
+    }
+
+    lastWasAgent = false;
+    if (!current) return;
+
+    if (field === 'allow' || field === 'disallow') {
+      // An empty Disallow allows everything
+      if (value) current.rules.push({ allow: field === 'allow', path: value });
+    } else if (field === 'crawl-delay') {
+      const seconds = parseFloat(value);
+      if (Number.isFinite(seconds) && seconds >= 0) current.crawlDelay = seconds;
+    }
+  });
+
+  return groups;
+}
+
+/**
+ * The rules that apply to us: groups naming our agent, else the * groups
+ */
+function selectRobotsPolicy(groups, agent = ROBOTS_AGENT) {
+  const named = groups.filter(group => group.agents.some(name => name === agent));
+  const applicable = named.length > 0 ? named : groups.filter(group => group.agents.includes('*'));
+  const delays = applicable.map(group => group.crawlDelay).filter(delay => delay !== null);
+
+  return {
+    rules: applicable.flatMap(group => group.rules),
+    crawlDelay: delays.length > 0 ? Math.max(...delays) : null
+  };
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// robots.txt paths support * (any characters) and a trailing $ (end of URL)
+function ruleMatches(rulePath, path) {
+  const anchored = rulePath.endsWith('$');
+  const pattern = escapeRegex(anchored ? rulePath.slice(0, -1) : rulePath).replace(/\*/g, '.*');
+  return new RegExp(`^${pattern}${anchored ? '$' : ''}`).test(path);
+}
+
+/**
+ * Whether a path (with query string) may be crawled: the longest matching
+ * rule wins, Allow wins ties, no match means allowed
+ */
+function isPathAllowed(policy, path) {
+  let best = null;
+  for (const rule of policy.rules) {
+    if (!ruleMatches(rule.path, path)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+const ALLOW_ALL = { rules: [], crawlDelay: null };
+const DISALLOW_ALL = { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+
+/**
+ * robots.txt policy for a URL's site (cached). A missing robots.txt (4xx)
+ * allows everything; an unreachable one (5xx, network) disallows everything
+ * until it can be read, unless an earlier copy is cached
+ */
+async function getRobotsPolicy(url) {
+  const { origin } = new URL(url);
+  const cached = robotsCache.get(origin);
+  if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+  let policy;
+  let ttl = CRAWL_CONFIG.robotsTTL;
+  try {
+    await waitForDomainSlot(new URL(url).host);
+    const response = await axios.get(`${origin}/robots.txt`, {
+      headers: { 'User-Agent': CRAWL_CONFIG.userAgent },
+      responseType: 'text',
+      timeout: CRAWL_CONFIG.robotsTimeoutMs,
+      maxContentLength: CRAWL_CONFIG.robotsMaxBytes,
+      validateStatus: status => status < 500 && status !== 429 // 429 counts as unreachable
+    });
+    stats.robotsFetched++;
+
+    policy = response.status >= 200 && response.status < 300
+      ? selectRobotsPolicy(parseRobotsTxt(response.data))
+      : ALLOW_ALL;
+  } catch (error) {
+    console.warn(`⚠️ robots.txt unavailable for ${origin}: ${error.message}`);
+    policy = cached ? cached.policy : DISALLOW_ALL;
+    ttl = CRAWL_CONFIG.robotsErrorTTL;
+  }
+
+  robotsCache.set(origin, { policy, expiresAt: Date.now() + ttl });
+  return policy;
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Take a token from the host's bucket, waiting for one if needed. Waits are
+ * queued per host so concurrent callers take turns
+ */
+function waitForDomainSlot(host, intervalMs = CRAWL_CONFIG.domainIntervalMs, burst = CRAWL_CONFIG.domainBurst) {
+  const bucket = buckets.get(host) || { tokens: burst, updatedAt: Date.now(), queue: Promise.resolve() };
+  buckets.set(host, bucket);
+
+  const refill = () => {
+    const now = Date.now();
+    bucket.tokens = Math.min(burst, bucket.tokens + (now - bucket.updatedAt) / intervalMs);
+    bucket.updatedAt = now;
+  };
+
+  const turn = bucket.queue.then(async () => {
+    refill();
+    if (bucket.tokens < 1) {
+      const waitMs = Math.ceil((1 - bucket.tokens) * intervalMs);
+      stats.throttledWaits++;
+      stats.throttledMs += waitMs;
+      await sleep(waitMs);
+      refill();
+    }
+    bucket.tokens -= 1;
+  });
+
+  bucket.queue = turn.catch(() => {});
+  return turn;
+}
+
+/**
+ * Check robots.txt and wait for the domain's rate limit before requesting a URL
+ * @throws {Error} - status 403, code ROBOTS_DISALLOWED when robots.txt forbids the path
+ */
+async function acquireCrawlSlot(url) {
+  const target = new URL(url);
+  const policy = await getRobotsPolicy(url);
+
+  if (!isPathAllowed(policy, `${target.pathname}${target.search}`)) {
+    stats.robotsBlocked++;
+    const error = new Error(`robots.txt disallows ${target.pathname} on ${target.host}`);
+    error.status = 403;
+    error.code = 'ROBOTS_DISALLOWED';
+    throw error;
+  }
+
+  // Crawl-delay means one request per delay, without bursts
+  if (policy.crawlDelay) {
+    const delayMs = Math.min(policy.crawlDelay * 1000, CRAWL_CONFIG.maxCrawlDelayMs);
+    await waitForDomainSlot(target.host, Math.max(delayMs, CRAWL_CONFIG.domainIntervalMs), 1);
+  } else {
+    await waitForDomainSlot(target.host);
+  }
+}
+
+const REDIRECT_STATUSES = [301, 302, 303, 307, 308];
+
+/**
+ * axios.get that follows the crawl policy and sends the bot User-Agent.
+ * Redirects are followed here rather than by axios, so every hop is checked
+ * against its site's robots.txt and rate limit
+ * @throws {Error} - Request errors, ROBOTS_DISALLOWED for any hop robots.txt forbids
+ */
+async function politeGet(url, config = {}) {
+  const { validateStatus = status => status >= 200 && status < 300 } = config;
+  let currentUrl = url;
+
+  for (let redirects = 0; ; redirects++) {
+    await acquireCrawlSlot(currentUrl);
+    const response = await axios.get(currentUrl, {
+      ...config,
+      headers: { ...config.headers, 'User-Agent': CRAWL_CONFIG.userAgent },
+      maxRedirects: 0,
+      validateStatus: status => REDIRECT_STATUSES.includes(status) || validateStatus(status)
+    });
+
+    if (!REDIRECT_STATUSES.includes(response.status)) return response;
+
+    const location = response.headers.location;
+    const next = location ? new URL(location, currentUrl) : null;
+    if (!next || !['http:', 'https:'].includes(next.protocol)) {
+      throw new axios.AxiosError(
+        `Invalid redirect from ${currentUrl}`,
+        axios.AxiosError.ERR_BAD_RESPONSE, response.config, response.request, response
+      );
+    }
+    if (redirects >= CRAWL_CONFIG.maxRedirects) {
+      throw new axios.AxiosError(
+        `Too many redirects from ${url}`,
+        axios.AxiosError.ERR_FR_TOO_MANY_REDIRECTS, response.config, response.request, response
+      );
+    }
+    currentUrl = next.toString();
+  }
+}
+
+function getCrawlStats() {
+  return { ...stats, robotsCached: robotsCache.size, userAgent: CRAWL_CONFIG.userAgent };
+}
+
+module.exports = {
+  CRAWL_CONFIG,
+  parseRobotsTxt,
+  selectRobotsPolicy,
+  isPathAllowed,
+  getRobotsPolicy,
+  acquireCrawlSlot,
+  politeGet,
+  getCrawlStats
+};
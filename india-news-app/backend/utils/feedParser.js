@@ -0,0 +1,196 @@
+const cheerio = require('cheerio');
+
+/**
+ * Feed Parser Utility
+ * Parses RSS 2.0 (and RSS 1.0/RDF), Atom and JSON Feed documents into plain
+ * items { title, link, summary, image, publishedAt } so feed sources need no
+ * CSS selectors. Used by scrapeSource for sources with type: 'rss'
+ */
+
+const FEED_ACCEPT_HEADER = 'application/rss+xml, application/atom+xml, application/feed+json, application/json;q=0.9, application/xml;q=0.9, text/xml;q=0.9, */*;q=0.8';
+
+const MAX_SUMMARY_LENGTH = 500;
+
+// Feed text often holds HTML (escaped or CDATA); keep the readable text only
+function htmlToText(html) {
+  if (!html) return '';
+  const text = cheerio.load(`<div>${html}</div>`)('div').first().text();
+  return text.replace(/\s+/g, ' ').trim();
+}
+
+function truncate(text, maxLength = MAX_SUMMARY_LENGTH) {
+  if (text.length <= maxLength) return text;
+  const cut = text.slice(0, maxLength);
+  const lastSpace = cut.lastIndexOf(' ');
+  return `${lastSpace > maxLength * 0.6 ? cut.slice(0, lastSpace) : cut}…`;
+}
+
+function firstImageInHtml(html) {
+  if (!html) return null;
+  const $ = cheerio.load(html);
+  const img = $('img').first();
+  return img.attr('src') || img.attr('data-src') || null;
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(String(url).trim(), baseUrl || undefined);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function finalizeItem({ title, link, summary, image, publishedAt }, baseUrl) {
+  return {
+    title: htmlToText(title),
+    link: resolveUrl(link, baseUrl),
+    summary: truncate(htmlToText(summary)),
+    image: resolveUrl(image, baseUrl),
+    publishedAt: parseDate(publishedAt)
+  };
+}
+
+// Namespaced tags (media:content, content:encoded) need their colon escaped
+function ns(tag) {
+  return tag.replace(':', '\\:');
+}
+
+function rssImage($, $item) {
+  const enclosure = $item.find('enclosure').filter((i, el) => {
+    const type = $(el).attr('type') || '';
+    return type.startsWith('image/') || /\.(jpe?g|png|gif|webp)(\?|$)/i.test($(el).attr('url') || '');
+  }).first();
+  if (enclosure.length) return enclosure.attr('url');
+
+  const media = $item.find(`${ns('media:content')}, ${ns('media:thumbnail')}`).filter((i, el) => {
+    const medium = $(el).attr('medium');
+    const type = $(el).attr('type') || '';
+    return !medium || medium === 'image' || type.startsWith('image/');
+  }).first();
+  if (media.length) return media.attr('url');
+
+  // Some sources nest the thumbnail inside a media:group
+  const grouped = $item.find(`${ns('media:group')} ${ns('media:thumbnail')}`).first();
+  if (grouped.length) return grouped.attr('url');
+
+  return firstImageInHtml($item.find(ns('content:encoded')).first().text()) ||
+    firstImageInHtml($item.find('description').first().text());
+}
+
+function parseRssItems($, baseUrl) {
+  return $('item').map((i, el) => {
+    const $item = $(el);
+    const guid = $item.children('guid');
+    const permalinkGuid = guid.length && guid.attr('isPermaLink') !== 'false' ? guid.text() : null;
+    const description = $item.children('description').text() ||
+      $item.find(ns('content:encoded')).first().text();
+
+    return finalizeItem({
+      title: $item.children('title').text(),
+      link: $item.children('link').text() || $item.attr('rdf:about') || permalinkGuid,
+      summary: description,
+      image: rssImage($, $item),
+      publishedAt: $item.children('pubDate').text() || $item.find(ns('dc:date')).first().text()
+    }, baseUrl);
+  }).get();
+}
+
+function parseAtomEntries($, baseUrl) {
+  return $('entry').map((i, el) => {
+    const $entry = $(el);
+    const links = $entry.children('link');
+    const alternate = links.filter((j, link) => !$(link).attr('rel') || $(link).attr('rel') === 'alternate').first();
+    const imageLink = links.filter((j, link) => $(link).attr('rel') === 'enclosure' &&
+      ($(link).attr('type') || '').startsWith('image/')).first();
+    const content = $entry.children('content').text();
+    const media = $entry.find(`${ns('media:thumbnail')}, ${ns('media:content')}`).first();
+
+    return finalizeItem({
+      title: $entry.children('title').text(),
+      link: alternate.attr('href') || links.first().attr('href'),
+      summary: $entry.children('summary').text() || content,
+      image: imageLink.attr('href') || media.attr('url') || firstImageInHtml(content),
+      publishedAt: $entry.children('published').text() || $entry.children('updated').text()
+    }, baseUrl);
+  }).get();
+}
+
+function parseJsonFeedItems(feed, baseUrl) {
+  const feedBase = feed.home_page_url || baseUrl;
+  return (Array.isArray(feed.items) ? feed.items : []).map(item => finalizeItem({
+    title: item.title,
+    link: item.url || item.external_url || (/^https?:\/\//i.test(item.id || '') ? item.id : null),
+    summary: item.summary || item.content_text || item.content_html,
+    image: item.image || item.banner_image || firstImageInHtml(item.content_html),
+    publishedAt: item.date_published || item.date_modified
+  }, feedBase));
+}
+
+function isJsonFeed(data) {
+  return Boolean(data) && typeof data === 'object' &&
+    typeof data.version === 'string' && data.version.includes('jsonfeed.org');
+}
+
+/**
+ * Parse a feed document
+ * @param {string|Object} data - Response body (axios may already have parsed JSON)
+ * @param {string} baseUrl - Feed URL, used to resolve relative links
+ * @returns {Object} - { format: 'rss'|'atom'|'jsonfeed', title, items }
+ * @throws {Error} - When the document is not a recognised feed
+ */
+function parseFeed(data, baseUrl = null) {
+  let body = data;
+  if (Buffer.isBuffer(body)) body = body.toString('utf8');
+
+  if (typeof body === 'string' && /^\s*[{[]/.test(body)) {
+    try {
+      body = JSON.parse(body);
+    } catch (error) {
+      throw new Error('Invalid JSON feed');
+    }
+  }
+
+  if (body && typeof body === 'object') {
+    if (!isJsonFeed(body)) {
+      throw new Error('Unrecognised feed format: JSON without a jsonfeed.org version');
+    }
+    return { format: 'jsonfeed', title: body.title || null, items: parseJsonFeedItems(body, baseUrl) };
+  }
+
+  if (typeof body !== 'string' || body.trim() === '') {
+    throw new Error('Empty feed response');
+  }
+
+  const $ = cheerio.load(body, { xml: true });
+
+  if ($('feed').length) {
+    return {
+      format: 'atom',
+      title: $('feed').children('title').text().trim() || null,
+      items: parseAtomEntries($, baseUrl)
+    };
+  }
+
+  if ($('rss').length || $(ns('rdf:RDF')).length) {
+    return {
+      format: 'rss',
+      title: $('channel').children('title').first().text().trim() || null,
+      items: parseRssItems($, baseUrl)
+    };
+  }
+
+  throw new Error('Unrecognised feed format: expected RSS, Atom or JSON Feed');
+}
+
+module.exports = {
+  parseFeed,
+  FEED_ACCEPT_HEADER
+};
@@ -65,7 +65,8 @@ const NORTHEAST_STATES = {
  */
 async function analyzeGeographicRelevance(article, proposedState) {
   try {
-    const { title, summary = '', content = '', source = '' } = article;
+    const { title, summary = '', source = '' } = article;
+    const content = article.content || article.body || ''; // Scraped articles carry the page text as body
     const fullText = `${title} ${summary} ${content}`.toLowerCase();
     
     // Step 1: Keyword-based analysis
@@ -179,7 +180,8 @@ async function performAIGeographicAnalysis(article, proposedState) {
     throw new Error('OpenAI not available');
   }
   
-  const { title, summary = '', content = '' } = article;
+  const { title, summary = '' } = article;
+  const content = article.content || article.body || '';
   
   const prompt = `
 Analyze this news article to determine its geographic relevance to Northeast Indian states.
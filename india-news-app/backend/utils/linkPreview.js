@@ -0,0 +1,204 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { rGetJSON, rSetJSON } = require('../config/redisClient');
+
+/**
+ * Link Preview Utility
+ * Unfurls a URL into { title, description, image, siteName } from Open Graph,
+ * Twitter card or plain HTML tags. Fetches are bounded (timeout, size cap,
+ * redirect limit) and refuse private, loopback and link-local addresses so
+ * user-supplied links can't reach internal services (SSRF)
+ */
+
+const PREVIEW_CONFIG = {
+  timeoutMs: 5000,
+  maxBytes: 1024 * 1024, // Only the <head> matters, but some pages inline a lot
+  maxRedirects: 3,
+  cacheTTL: 24 * 60 * 60, // Seconds a preview (or a failed lookup) is reused
+  failureTTL: 60 * 60,
+  userAgent: 'Mozilla/5.0 (compatible; YapLinkPreview/1.0)'
+};
+
+// First http(s) link in user text (trailing punctuation is not part of the URL)
+const URL_REGEX = /https?:\/\/[^\s<>"'`]+/i;
+
+// Address ranges that must never be fetched
+const BLOCKED_ADDRESSES = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24],
+  ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24],
+  ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv4'));
+[
+  ['::', 96], // Unspecified, loopback and IPv4-compatible (::127.0.0.1)
+  ['::1', 128], ['64:ff9b::', 96], ['2001:db8::', 32],
+  // Prefixes that wrap an IPv4 address: NAT64 local-use, Teredo and 6to4
+  ['64:ff9b:1::', 48], ['2001::', 32], ['2002::', 16],
+  ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([network, prefix]) => BLOCKED_ADDRESSES.addSubnet(network, prefix, 'ipv6'));
+
+function extractFirstUrl(text) {
+  if (!text) return null;
+  const match = text.match(URL_REGEX);
+  if (!match) return null;
+  return match[0].replace(/[.,;:!?)\]}]+$/, '');
+}
+
+function isBlockedAddress(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as the IPv4 address it wraps
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return isBlockedAddress(mapped[1]);
+
+  const family = net.isIP(address);
+  if (family === 0) return true;
+  return BLOCKED_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+// Throws unless the URL is a plain http(s) URL on a standard port that does
+// not point at a blocked IP literal. Hostnames are checked at connect time
+function assertFetchableUrl(rawUrl) {
+  const url = new URL(rawUrl);
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error(`Unsupported protocol: ${url.protocol}`);
+  }
+  if (url.port && !['80', '443'].includes(url.port)) {
+    throw new Error(`Blocked port: ${url.port}`);
+  }
+  if (url.username || url.password) {
+    throw new Error('URLs with credentials are not fetched');
+  }
+
+  const hostname = url.hostname.replace(/^\[|\]$/g, '');
+  if (hostname === 'localhost' || hostname.endsWith('.localhost')) {
+    throw new Error('Blocked host');
+  }
+  if (net.isIP(hostname) && isBlockedAddress(hostname)) {
+    throw new Error('Blocked address');
+  }
+
+  return url;
+}
+
+// DNS lookup used for every connection (including redirects): resolving to any
+// blocked address fails the request, which also defeats DNS rebinding
+async function safeLookup(hostname) {
+  const addresses = await dns.promises.lookup(hostname, { all: true });
+  if (addresses.length === 0 || addresses.some(entry => isBlockedAddress(entry.address))) {
+    throw new Error(`Blocked address for ${hostname}`);
+  }
+  return [addresses[0].address, addresses[0].family];
+}
+
+function truncate(value, maxLength) {
+  if (!value) return null;
+  const text = value.replace(/\s+/g, ' ').trim();
+  if (!text) return null;
+  return text.length > maxLength ? `${text.substring(0, maxLength - 3)}...` : text;
+}
+
+// Resolve a (possibly relative) URL from the page, keeping only http(s) results
+function absoluteUrl(value, baseUrl) {
+  if (!value) return null;
+  try {
+    const url = new URL(value.trim(), baseUrl);
+    return ['http:', 'https:'].includes(url.protocol) ? url.toString() : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function parsePreview(html, pageUrl) {
+  const $ = cheerio.load(html);
+  const meta = (...names) => {
+    for (const name of names) {
+      const content = $(`meta[property="${name}"]`).attr('content') || $(`meta[name="${name}"]`).attr('content');
+      if (content && content.trim()) return content;
+    }
+    return null;
+  };
+
+  const title = truncate(meta('og:title', 'twitter:title') || $('title').first().text(), 200);
+  if (!title) return null;
+
+  return {
+    url: absoluteUrl(meta('og:url'), pageUrl) || pageUrl,
+    title,
+    description: truncate(meta('og:description', 'twitter:description', 'description'), 500),
+    image: absoluteUrl(meta('og:image', 'og:image:url', 'twitter:image', 'twitter:image:src'), pageUrl),
+    siteName: truncate(meta('og:site_name', 'application-name'), 100) || new URL(pageUrl).hostname.replace(/^www\./, '')
+  };
+}
+
+/**
+ * Fetch and parse a preview for a URL. Returns null when the page can't be
+ * fetched or has nothing to show; never throws
+ */
+async function fetchLinkPreview(rawUrl) {
+  const cacheKey = `linkpreview:${crypto.createHash('sha1').update(rawUrl).digest('hex')}`;
+
+  try {
+    const cached = await rGetJSON(cacheKey);
+    if (cached) return cached.preview;
+  } catch (error) {
+    // Cache is best effort
+  }
+
+  let preview = null;
+  try {
+    const url = assertFetchableUrl(rawUrl);
+
+    const response = await axios.get(url.toString(), {
+      headers: {
+        'User-Agent': PREVIEW_CONFIG.userAgent,
+        'Accept': 'text/html,application/xhtml+xml'
+      },
+      timeout: PREVIEW_CONFIG.timeoutMs,
+      signal: AbortSignal.timeout(PREVIEW_CONFIG.timeoutMs),
+      maxContentLength: PREVIEW_CONFIG.maxBytes,
+      maxRedirects: PREVIEW_CONFIG.maxRedirects,
+      beforeRedirect: (options) => {
+        assertFetchableUrl(options.href);
+      },
+      lookup: safeLookup,
+      proxy: false,
+      responseType: 'arraybuffer'
+    });
+
+    const contentType = response.headers['content-type'] || '';
+    if (/text\/html|application\/xhtml\+xml/i.test(contentType)) {
+      const charset = (contentType.match(/charset=([^;]+)/i) || [])[1];
+      let decoder;
+      try {
+        decoder = new TextDecoder(charset ? charset.trim() : 'utf-8');
+      } catch (error) {
+        decoder = new TextDecoder('utf-8');
+      }
+      const finalUrl = response.request?.res?.responseUrl || url.toString();
+      preview = parsePreview(decoder.decode(response.data), finalUrl);
+    }
+  } catch (error) {
+    console.log(`🔗 Link preview failed for ${rawUrl}: ${error.message}`);
+  }
+
+  try {
+    await rSetJSON(cacheKey, { preview }, { ex: preview ? PREVIEW_CONFIG.cacheTTL : PREVIEW_CONFIG.failureTTL });
+  } catch (error) {
+    // Cache is best effort
+  }
+
+  return preview;
+}
+
+module.exports = {
+  PREVIEW_CONFIG,
+  extractFirstUrl,
+  isBlockedAddress,
+  assertFetchableUrl,
+  parsePreview,
+  fetchLinkPreview
+};
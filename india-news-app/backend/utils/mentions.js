@@ -0,0 +1,115 @@
+const User = require('../userModel');
+
+/**
+ * @mention Utility
+ * Finds @username tokens in user text, resolves them against User and decides
+ * who may be notified based on the gender/state audience of the content
+ */
+
+// Same character rules as usernames (3-20 letters, digits, underscores).
+// The token must not follow a word character, so emails are not mentions
+const MENTION_REGEX = /(^|[^a-zA-Z0-9_@])@([a-zA-Z0-9_]{3,20})(?![a-zA-Z0-9_])/g;
+
+// Cap per piece of content so one post cannot notify half the site
+const MAX_MENTIONS = 10;
+
+/**
+ * Find @username tokens with their character offsets ([start, end) including the @).
+ * Usernames are kept as typed; resolveMentions matches them case-insensitively
+ */
+function parseMentions(text) {
+  if (!text) return [];
+
+  const mentions = [];
+  let match;
+  MENTION_REGEX.lastIndex = 0;
+
+  while ((match = MENTION_REGEX.exec(text)) !== null) {
+    const start = match.index + match[1].length;
+    mentions.push({
+      username: match[2],
+      start,
+      end: start + match[2].length + 1
+    });
+  }
+
+  return mentions;
+}
+
+/**
+ * Whether a user belongs to the audience of a piece of content
+ * audience.gender: gendered spaces (tea/brospace, tea/island tabs)
+ * audience.state: state-scoped spaces (local, general state forums)
+ */
+function canSeeContent(user, audience = {}) {
+  if (!user || user.status === 'banned') return false;
+  if (audience.gender && user.gender !== audience.gender) return false;
+  if (audience.state && user.state !== audience.state) return false;
+  return true;
+}
+
+/**
+ * Audience of a Tea/Island post and its comments: Tea/Island tabs by gender,
+ * general forums by the post's state
+ */
+function getTeaIslandAudience(post) {
+  if (post.tab === 'tea') return { gender: 'female' };
+  if (post.tab === 'island') return { gender: 'male' };
+  return { state: post.state };
+}
+
+/**
+ * Resolve mentions in text. Returns offsets for every token that names a real
+ * user, and the subset of users allowed to be notified. Lookup failures return
+ * no mentions so creating the content never fails because of them
+ */
+async function resolveMentions(text, { audience = {}, authorId = null } = {}) {
+  const tokens = parseMentions(text);
+  if (tokens.length === 0) {
+    return { mentions: [], recipients: [] };
+  }
+
+  // One lookup per name regardless of how it was capitalized
+  const usernames = [...new Map(tokens.map(token => [token.username.toLowerCase(), token.username])).values()]
+    .slice(0, MAX_MENTIONS);
+  let users;
+  try {
+    users = await User.find({ username: { $in: usernames }, status: { $ne: 'banned' } })
+      .collation({ locale: 'en', strength: 2 }) // Case-insensitive match
+      .select('username gender state status pushNotificationsEnabled')
+      .lean();
+  } catch (error) {
+    console.error('❌ Failed to resolve mentions:', error.message);
+    return { mentions: [], recipients: [] };
+  }
+
+  // Usernames are unique case-sensitively, so "@rahul" may match both "Rahul"
+  // and "rahul": an exact match wins, otherwise the first one found
+  const byUsername = new Map();
+  users.forEach(user => {
+    const key = user.username.toLowerCase();
+    if (!byUsername.has(key) || usernames.includes(user.username)) byUsername.set(key, user);
+  });
+
+  const mentions = tokens
+    .filter(token => byUsername.has(token.username.toLowerCase()))
+    .map(token => {
+      const user = byUsername.get(token.username.toLowerCase());
+      return { userId: user._id, username: user.username, start: token.start, end: token.end };
+    });
+
+  const recipients = [...new Set(byUsername.values())].filter(user =>
+    canSeeContent(user, audience) &&
+    (!authorId || user._id.toString() !== authorId.toString())
+  );
+
+  return { mentions, recipients };
+}
+
+module.exports = {
+  MAX_MENTIONS,
+  parseMentions,
+  canSeeContent,
+  getTeaIslandAudience,
+  resolveMentions
+};
@@ -0,0 +1,250 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+require('dotenv').config({ path: path.join(__dirname, '../.env') });
+const { politeGet } = require('./crawlPolicy');
+
+/**
+ * Scraper Fetch Utility
+ * Fetch layer for scraper source URLs (listing pages, feeds, sitemaps):
+ * - Keeps a bounded on-disk cache of recent responses with their ETag and
+ *   Last-Modified, and sends conditional requests (If-None-Match /
+ *   If-Modified-Since) so unchanged pages come back as a bodyless 304
+ * - Honors Retry-After on 429/503: requests to that host fail fast until then
+ * - Counts bytes downloaded and saved for the scheduler's reports
+ * Requests go through the crawl policy (robots.txt, per-domain rate limit)
+ */
+
+const FETCH_CONFIG = {
+  cacheDir: process.env.SCRAPER_CACHE_DIR || path.join(__dirname, '../cache/scraper'),
+  maxEntries: 300,
+  maxCacheBytes: (parseInt(process.env.SCRAPER_CACHE_MAX_MB, 10) || 50) * 1024 * 1024,
+  timeoutMs: 10000,
+  maxRetryAfterMs: 24 * 60 * 60 * 1000 // Ignore absurd Retry-After values
+};
+
+const stats = {
+  requests: 0,
+  notModified: 0,
+  bytesDownloaded: 0,
+  bytesSaved: 0,
+  retryAfterSkips: 0,
+  cacheEvictions: 0
+};
+
+// host -> timestamp before which we must not request it again
+const retryAfterUntil = new Map();
+
+// file -> size of the cache entries on disk, least recently used first
+// (Map keeps insertion order; a use moves the entry to the end)
+let cacheIndex = null;
+let cacheIndexBytes = 0;
+let cacheIndexLoading = null;
+
+function cacheFile(url) {
+  return path.join(FETCH_CONFIG.cacheDir, `${crypto.createHash('sha1').update(url).digest('hex')}.json`);
+}
+
+// Scan the cache directory once per process; later reads and writes keep the
+// index current so the directory is never rescanned
+function loadCacheIndex() {
+  if (cacheIndex) return Promise.resolve(cacheIndex);
+  if (!cacheIndexLoading) {
+    cacheIndexLoading = (async () => {
+      let names = [];
+      try {
+        names = (await fs.promises.readdir(FETCH_CONFIG.cacheDir)).filter(name => name.endsWith('.json'));
+      } catch (error) {
+        // No cache directory yet
+      }
+
+      const entries = await Promise.all(names.map(async name => {
+        const file = path.join(FETCH_CONFIG.cacheDir, name);
+        try {
+          const { size, mtimeMs } = await fs.promises.stat(file);
+          return { file, size, mtimeMs };
+        } catch (error) {
+          return null;
+        }
+      }));
+
+      cacheIndex = new Map(entries
+        .filter(Boolean)
+        .sort((a, b) => a.mtimeMs - b.mtimeMs)
+        .map(entry => [entry.file, entry.size]));
+      cacheIndexBytes = [...cacheIndex.values()].reduce((total, size) => total + size, 0);
+      return cacheIndex;
+    })();
+  }
+  return cacheIndexLoading;
+}
+
+function indexSet(file, size) {
+  indexDelete(file);
+  cacheIndex.set(file, size);
+  cacheIndexBytes += size;
+}
+
+function indexDelete(file) {
+  if (!cacheIndex.has(file)) return;
+  cacheIndexBytes -= cacheIndex.get(file);
+  cacheIndex.delete(file);
+}
+
+async function readCacheEntry(url) {
+  const file = cacheFile(url);
+  try {
+    await loadCacheIndex();
+    const entry = JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    if (entry.url !== url) return null;
+
+    // Reads count as use for eviction (the mtime carries it across restarts)
+    if (cacheIndex.has(file)) indexSet(file, cacheIndex.get(file));
+    const now = new Date();
+    await fs.promises.utimes(file, now, now);
+    return entry;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Drop the least recently used entries until the cache fits its bounds
+async function evictCacheEntries() {
+  const victims = [];
+  for (const file of cacheIndex.keys()) {
+    if (cacheIndex.size - victims.length <= FETCH_CONFIG.maxEntries &&
+      cacheIndexBytes <= FETCH_CONFIG.maxCacheBytes) break;
+    victims.push(file);
+    cacheIndexBytes -= cacheIndex.get(file);
+  }
+
+  victims.forEach(file => cacheIndex.delete(file));
+  stats.cacheEvictions += victims.length;
+  await Promise.all(victims.map(file => fs.promises.rm(file, { force: true })));
+}
+
+async function writeCacheEntry(entry) {
+  try {
+    await loadCacheIndex();
+    await fs.promises.mkdir(FETCH_CONFIG.cacheDir, { recursive: true });
+    const file = cacheFile(entry.url);
+    const tempFile = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    const content = JSON.stringify(entry);
+    await fs.promises.writeFile(tempFile, content);
+    await fs.promises.rename(tempFile, file);
+    indexSet(file, Buffer.byteLength(content));
+    await evictCacheEntries();
+  } catch (error) {
+    console.warn(`⚠️ Scraper cache write failed for ${entry.url}: ${error.message}`);
+  }
+}
+
+async function removeCacheEntry(url) {
+  const file = cacheFile(url);
+  await loadCacheIndex();
+  indexDelete(file);
+  await fs.promises.rm(file, { force: true });
+}
+
+function encodeBody(data) {
+  return Buffer.isBuffer(data)
+    ? { body: data.toString('base64'), encoding: 'base64' }
+    : { body: String(data), encoding: 'utf8' };
+}
+
+function decodeBody(entry) {
+  return entry.encoding === 'base64' ? Buffer.from(entry.body, 'base64') : entry.body;
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+  if (!value) return null;
+  const seconds = Number(value);
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : new Date(value).getTime() - Date.now();
+  if (!Number.isFinite(ms) || ms <= 0) return null;
+  return Math.min(ms, FETCH_CONFIG.maxRetryAfterMs);
+}
+
+function retryAfterError(host, until) {
+  const error = new Error(`${host} asked us to retry after ${new Date(until).toISOString()}`);
+  error.status = 429;
+  error.code = 'RETRY_AFTER';
+  error.retryAt = new Date(until);
+  return error;
+}
+
+/**
+ * GET a source URL through the response cache with a conditional request
+ * @param {string} url
+ * @param {Object} options - headers, responseType ('text' | 'arraybuffer'), timeout, maxContentLength
+ * @returns {Promise<Object>} - { data, status, notModified, bytes }. On 304 data is
+ *   the cached body, so callers can parse it anyway or skip the unchanged page
+ * @throws {Error} - Request errors; code RETRY_AFTER while the host asked us to wait,
+ *   ROBOTS_DISALLOWED when robots.txt forbids the URL
+ */
+async function fetchSourceUrl(url, { headers = {}, responseType = 'text', timeout = FETCH_CONFIG.timeoutMs, maxContentLength } = {}) {
+  const host = new URL(url).host;
+  const waitUntil = retryAfterUntil.get(host);
+  if (waitUntil && waitUntil > Date.now()) {
+    stats.retryAfterSkips++;
+    throw retryAfterError(host, waitUntil);
+  }
+  retryAfterUntil.delete(host);
+
+  const cached = await readCacheEntry(url);
+  const requestHeaders = { ...headers };
+  if (cached?.etag) requestHeaders['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) requestHeaders['If-Modified-Since'] = cached.lastModified;
+
+  stats.requests++;
+  let response;
+  try {
+    response = await politeGet(url, {
+      headers: requestHeaders,
+      responseType,
+      timeout,
+      maxContentLength,
+      validateStatus: status => (status >= 200 && status < 300) || (status === 304 && Boolean(cached))
+    });
+  } catch (error) {
+    const status = error.response?.status;
+    const retryAfterMs = [429, 503].includes(status) ? parseRetryAfter(error.response.headers['retry-after']) : null;
+    if (retryAfterMs) {
+      const until = Date.now() + retryAfterMs;
+      retryAfterUntil.set(host, until);
+      throw retryAfterError(host, until);
+    }
+    throw error;
+  }
+
+  if (response.status === 304) {
+    stats.notModified++;
+    stats.bytesSaved += cached.size;
+    return { data: decodeBody(cached), status: 304, notModified: true, bytes: 0 };
+  }
+
+  const data = responseType === 'arraybuffer' ? Buffer.from(response.data) : response.data;
+  const size = Buffer.isBuffer(data) ? data.length : Buffer.byteLength(String(data));
+  stats.bytesDownloaded += size;
+
+  const etag = response.headers.etag || null;
+  const lastModified = response.headers['last-modified'] || null;
+  if (etag || lastModified) {
+    await writeCacheEntry({ url, etag, lastModified, fetchedAt: new Date().toISOString(), size, ...encodeBody(data) });
+  } else if (cached) {
+    // The page no longer supports conditional requests; don't send stale validators
+    await removeCacheEntry(url);
+  }
+
+  return { data, status: response.status, notModified: false, bytes: size };
+}
+
+function getFetchStats() {
+  return { ...stats };
+}
+
+module.exports = {
+  FETCH_CONFIG,
+  fetchSourceUrl,
+  getFetchStats
+};
@@ -0,0 +1,112 @@
+const cheerio = require('cheerio');
+const zlib = require('zlib');
+
+/**
+ * Sitemap Parser Utility
+ * Parses sitemap.xml files, sitemap indexes and Google News sitemaps into
+ * plain entries so sources whose listing pages load dynamically can still be
+ * discovered. Used by scrapeSource for sources with type: 'sitemap'
+ */
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(String(value).trim());
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function resolveUrl(url, baseUrl) {
+  if (!url) return null;
+  try {
+    const resolved = new URL(String(url).trim(), baseUrl || undefined);
+    return ['http:', 'https:'].includes(resolved.protocol) ? resolved.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Namespaced tags (news:title, image:loc) need their colon escaped
+function ns(tag) {
+  return tag.replace(':', '\\:');
+}
+
+// Sitemaps may be served gzipped (sitemap.xml.gz) without Content-Encoding
+function decodeSitemapBody(data) {
+  if (Buffer.isBuffer(data) || data instanceof ArrayBuffer) {
+    const buffer = Buffer.from(data);
+    const isGzip = buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+    return (isGzip ? zlib.gunzipSync(buffer) : buffer).toString('utf8');
+  }
+  return typeof data === 'string' ? data : '';
+}
+
+/**
+ * Parse a sitemap document
+ * @param {string|Buffer} data - Response body
+ * @param {string} baseUrl - Sitemap URL, used to resolve relative locations
+ * @returns {Object} - { type: 'index', sitemaps: [{ url, lastModified }] }
+ *   or { type: 'urlset', entries: [{ url, lastModified, publishedAt, title, image }] }
+ * @throws {Error} - When the document is not a sitemap
+ */
+function parseSitemap(data, baseUrl = null) {
+  const body = decodeSitemapBody(data);
+  if (body.trim() === '') {
+    throw new Error('Empty sitemap response');
+  }
+
+  const $ = cheerio.load(body, { xml: true });
+
+  if ($('sitemapindex').length) {
+    const sitemaps = $('sitemapindex > sitemap').map((i, el) => ({
+      url: resolveUrl($(el).children('loc').text(), baseUrl),
+      lastModified: parseDate($(el).children('lastmod').text())
+    })).get().filter(sitemap => sitemap.url);
+
+    return { type: 'index', sitemaps };
+  }
+
+  if ($('urlset').length) {
+    const entries = $('urlset > url').map((i, el) => {
+      const $url = $(el);
+      const news = $url.find(ns('news:news')).first();
+
+      return {
+        url: resolveUrl($url.children('loc').text(), baseUrl),
+        lastModified: parseDate($url.children('lastmod').text()),
+        // Google News sitemap fields (only present in news sitemaps)
+        publishedAt: parseDate(news.find(ns('news:publication_date')).first().text()),
+        title: news.find(ns('news:title')).first().text().trim() || null,
+        image: resolveUrl($url.find(`${ns('image:image')} ${ns('image:loc')}`).first().text(), baseUrl)
+      };
+    }).get().filter(entry => entry.url);
+
+    return { type: 'urlset', entries };
+  }
+
+  throw new Error('Unrecognised sitemap format: expected <urlset> or <sitemapindex>');
+}
+
+/**
+ * Keep the entries worth scraping: URL matches pathPattern (a RegExp or
+ * RegExp source, matched against the path) and the entry is newer than
+ * maxAgeHours. Undated entries only pass when there's no age limit.
+ * Newest first
+ */
+function filterSitemapEntries(entries, { pathPattern = null, maxAgeHours = null, now = new Date() } = {}) {
+  const pattern = pathPattern instanceof RegExp || !pathPattern ? pathPattern : new RegExp(pathPattern, 'i');
+  const cutoff = maxAgeHours ? now.getTime() - maxAgeHours * 3600000 : null;
+  const entryDate = entry => entry.publishedAt || entry.lastModified;
+
+  return entries
+    .filter(entry => !pattern || pattern.test(new URL(entry.url).pathname))
+    .filter(entry => {
+      if (cutoff === null) return true;
+      const date = entryDate(entry);
+      return Boolean(date) && date.getTime() >= cutoff;
+    })
+    .sort((a, b) => (entryDate(b)?.getTime() || 0) - (entryDate(a)?.getTime() || 0));
+}
+
+module.exports = {
+  parseSitemap,
+  filterSitemapEntries
+};
@@ -0,0 +1,196 @@
+const { normalizeText, calculateTitleSimilarity } = require('./stateDeduplication');
+const { NORTHEAST_STATES } = require('./geographicRelevance');
+
+/**
+ * Story Clustering Utility
+ * Groups articles about the same event across sources and states into
+ * "stories". Unlike stateDeduplication (near-identical titles, one state),
+ * articles are compared by shared words in the title and summary and only
+ * joined when they were published close together.
+ */
+
+// Tuned on cross-source headline pairs (test/storyClustering.test.js): same-event
+// pairs score 0.3+, unrelated pairs from the same state stay under 0.18
+const CLUSTER_DEFAULTS = {
+  similarityThreshold: 0.24, // Combined text similarity needed to join a story
+  titleMatchThreshold: 0.85, // Near-identical titles always match (as in stateDeduplication)
+  titleWeight: 0.6, // Title vs title+summary word overlap
+  fullWindowHours: 12, // Full similarity within this time gap...
+  maxGapHours: 72, // ...fading to no match at this gap
+  placeWeight: 0.5 // State/city names are shared by unrelated stories, so count less
+};
+
+// Words that say nothing about which event an article covers
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'by', 'for', 'from', 'has', 'have', 'he', 'her',
+  'his', 'in', 'into', 'is', 'it', 'its', 'of', 'on', 'or', 'over', 'said', 'says', 'she', 'that',
+  'the', 'their', 'they', 'this', 'to', 'was', 'were', 'will', 'with', 'after', 'amid', 'against',
+  'about', 'new', 'news', 'latest', 'breaking', 'update', 'today', 'day', 'one', 'two', 'three',
+  'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten',
+  'state', 'govt', 'also', 'not', 'all', 'more', 'up', 'out'
+]);
+
+// Words different outlets use for the same event, mapped to one form
+const SYNONYMS = Object.fromEntries(Object.entries({
+  death: ['killed', 'kill', 'kills', 'dead', 'deaths', 'die', 'died', 'dies', 'toll', 'lives', 'fatal'],
+  injur: ['injured', 'injures', 'injuries', 'injury', 'hurt', 'wounded'],
+  flood: ['floods', 'flooding', 'flooded', 'deluge', 'inundated', 'inundation'],
+  quake: ['earthquake', 'earthquakes', 'tremor', 'tremors', 'quakes'],
+  fire: ['fires', 'blaze', 'torched', 'ablaze', 'arson'],
+  arrest: ['arrested', 'arrests', 'held', 'nabbed', 'detained', 'apprehended'],
+  seiz: ['seized', 'seizes', 'seize', 'seizure', 'recovered', 'confiscated'],
+  open: ['opens', 'opened', 'inaugurates', 'inaugurated', 'inaugurate', 'unveils', 'unveiled'],
+  begin: ['begins', 'began', 'starts', 'started', 'kicks', 'commences'],
+  accident: ['crash', 'collision', 'overturns', 'mishap']
+}).flatMap(([canonical, words]) => words.map(word => [word, canonical])));
+
+// Light stemming so "floods"/"flood" and "crosses"/"cross" match
+function stem(token) {
+  if (/(ss|sh|ch|x|z)es$/.test(token)) return token.slice(0, -2);
+  return token.replace(/(ing|ed|s)$/, '') || token;
+}
+
+function tokenize(text) {
+  const tokens = normalizeText(text)
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter(token => token.length > 2 && !STOPWORDS.has(token))
+    // Counts and years ("5 killed", "2024") are shared by unrelated stories
+    .filter(token => !/^\d+$/.test(token))
+    .map(token => SYNONYMS[token] || stem(token));
+  return new Set(tokens);
+}
+
+// Place names from the geographic relevance keywords (tokenized like titles)
+const PLACE_TOKENS = new Set(
+  Object.entries(NORTHEAST_STATES).flatMap(([state, data]) => [state, ...data.keywords, ...data.districts])
+    .flatMap(name => [...tokenize(name)])
+);
+
+// Weighted Jaccard overlap (place names weigh placeWeight, other words 1)
+function jaccard(setA, setB, placeWeight) {
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const weight = token => (PLACE_TOKENS.has(token) ? placeWeight : 1);
+  let shared = 0;
+  let total = 0;
+  for (const token of setA) {
+    total += weight(token);
+    if (setB.has(token)) shared += weight(token);
+  }
+  for (const token of setB) {
+    if (!setA.has(token)) total += weight(token);
+  }
+  return total > 0 ? shared / total : 0;
+}
+
+// Feed sources report when the story was published; others only when we scraped it
+function publishedTime(article) {
+  return new Date(article.publishedAt || article.scrapedAt || article.createdAt || Date.now()).getTime();
+}
+
+// Pre-computed comparison features for an article
+function buildFeatures(article) {
+  return {
+    article,
+    title: article.title || '',
+    titleTokens: tokenize(article.title),
+    allTokens: tokenize(`${article.title || ''} ${article.summary || ''} ${article.aiSummary || ''}`),
+    time: publishedTime(article)
+  };
+}
+
+// 1 within fullWindowHours, fading linearly to 0 at maxGapHours
+function timeProximity(timeA, timeB, options) {
+  const gapHours = Math.abs(timeA - timeB) / 3600000;
+  if (gapHours <= options.fullWindowHours) return 1;
+  if (gapHours >= options.maxGapHours) return 0;
+  return 1 - (gapHours - options.fullWindowHours) / (options.maxGapHours - options.fullWindowHours);
+}
+
+/**
+ * Similarity of two articles (0-1): title and title+summary word overlap,
+ * scaled by how close together they were published
+ */
+function articleSimilarity(featuresA, featuresB, options = CLUSTER_DEFAULTS) {
+  const proximity = timeProximity(featuresA.time, featuresB.time, options);
+  if (proximity === 0) return 0;
+
+  const textSimilarity = calculateTitleSimilarity(featuresA.title, featuresB.title) >= options.titleMatchThreshold
+    ? 1
+    : options.titleWeight * jaccard(featuresA.titleTokens, featuresB.titleTokens, options.placeWeight) +
+      (1 - options.titleWeight) * jaccard(featuresA.allTokens, featuresB.allTokens, options.placeWeight);
+
+  return textSimilarity * proximity;
+}
+
+/**
+ * Cluster articles into stories. Articles are visited oldest first and join the
+ * story holding their most similar article (if above the threshold); otherwise
+ * they start a new story. Only stories sharing a title word are compared.
+ * @returns {Array<Array<Object>>} - Stories as arrays of articles, oldest first
+ */
+function clusterArticles(articles, options = {}) {
+  const settings = { ...CLUSTER_DEFAULTS, ...options };
+  const features = articles.map(buildFeatures).sort((a, b) => a.time - b.time);
+
+  const stories = [];
+  const storiesByToken = new Map();
+
+  for (const current of features) {
+    const candidates = new Set();
+    for (const token of current.titleTokens) {
+      (storiesByToken.get(token) || []).forEach(index => candidates.add(index));
+    }
+
+    let bestStory = -1;
+    let bestScore = 0;
+    for (const index of candidates) {
+      for (const member of stories[index]) {
+        const score = articleSimilarity(current, member, settings);
+        if (score > bestScore) {
+          bestScore = score;
+          bestStory = index;
+        }
+      }
+    }
+
+    const storyIndex = bestScore >= settings.similarityThreshold ? bestStory : stories.length;
+    if (storyIndex === stories.length) stories.push([]);
+    stories[storyIndex].push(current);
+
+    for (const token of current.titleTokens) {
+      const indexes = storiesByToken.get(token) || [];
+      if (!indexes.includes(storyIndex)) indexes.push(storyIndex);
+      storiesByToken.set(token, indexes);
+    }
+  }
+
+  return stories.map(story => story.map(member => member.article));
+}
+
+// Engagement used to pick a story's lead (same weights as ne-popular)
+function engagementScore(article) {
+  const reactions = Object.values(article.reactionCounts || {}).reduce((total, count) => total + (count || 0), 0);
+  return reactions * 2 + (article.commentCount || 0) * 5 + (article.views || 0) * 0.1;
+}
+
+/**
+ * Pick the article that fronts a story: most engagement, then AI-enhanced,
+ * then with an image, then the first to report it
+ */
+function pickLeadArticle(articles) {
+  return [...articles].sort((a, b) =>
+    engagementScore(b) - engagementScore(a) ||
+    Number(Boolean(b.aiGenerated)) - Number(Boolean(a.aiGenerated)) ||
+    Number(Boolean(b.image)) - Number(Boolean(a.image)) ||
+    publishedTime(a) - publishedTime(b)
+  )[0];
+}
+
+module.exports = {
+  CLUSTER_DEFAULTS,
+  tokenize,
+  articleSimilarity,
+  clusterArticles,
+  pickLeadArticle
+};